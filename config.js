@@ -1,9 +1,19 @@
 const API_URL = 'http://backend.zpsanglijataayu.in:5000/api';
 const MONGODB_URI = 'mongodb://localhost:27017/nasha-mukti';
 const CLIENT_URL = 'https://www.zpsanglijataayu.in';
+// Where the API is reached from outside, for links sent by email (the server listens on HTTPS)
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || 'https://backend.zpsanglijataayu.in').replace(/\/$/, '');
+const PUBLIC_API_URL = `${PUBLIC_BASE_URL}/api`;
+// Marathi first: most of the audience in Sangli reads it
+const SUPPORTED_LOCALES = ['mr', 'hi', 'en'];
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'mr';
 
 module.exports = {
     API_URL,
     MONGODB_URI,
-    CLIENT_URL
-}; 
\ No newline at end of file
+    CLIENT_URL,
+    PUBLIC_BASE_URL,
+    PUBLIC_API_URL,
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE
+};
\ No newline at end of file
@@ -1,5 +1,5 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const SessionService = require('../services/sessionService');
 
 const auth = async (req, res, next) => {
   try {
@@ -9,8 +9,9 @@ const auth = async (req, res, next) => {
       throw new Error();
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findOne({ _id: decoded.userId });
+    // Rejects expired tokens as well as tokens whose session was revoked
+    const { userId, sessionId } = await SessionService.verifyAccessToken(token);
+    const user = await User.findOne({ _id: userId });
 
     if (!user) {
       throw new Error();
@@ -18,12 +19,34 @@ const auth = async (req, res, next) => {
 
     req.user = user;
     req.token = token;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Please authenticate.' });
   }
 };
 
+// Attaches the user when a valid token is sent, but lets anonymous requests through
+const optionalAuth = async (req, res, next) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const { userId, sessionId } = await SessionService.verifyAccessToken(token);
+    const user = await User.findOne({ _id: userId });
+    if (user) {
+      req.user = user;
+      req.token = token;
+      req.sessionId = sessionId;
+    }
+  } catch (error) {
+    // An expired token on a public page should not turn into an error
+  }
+  next();
+};
+
 const checkRole = (roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -33,4 +56,4 @@ const checkRole = (roles) => {
   };
 };
 
-module.exports = { auth, checkRole }; 
\ No newline at end of file
+module.exports = { auth, optionalAuth, checkRole }; 
\ No newline at end of file
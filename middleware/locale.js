@@ -0,0 +1,17 @@
+const LocaleService = require('../services/localeService');
+
+// Pick the response language from ?lang= or Accept-Language.
+// ?lang=all asks for every stored translation, as editing screens need.
+const locale = (req, res, next) => {
+  req.locale = LocaleService.negotiate({
+    lang: req.query.lang,
+    acceptLanguage: req.header('Accept-Language')
+  });
+  req.contentLocale = req.query.lang === 'all' ? 'all' : req.locale;
+
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+  next();
+};
+
+module.exports = locale;
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const UploadCheckService = require('../services/uploadCheckService');
+
+// Runs after multer: checks each file's content against the types allowed for its field
+// (rules maps field name to mimetypes) and runs the virus scanner. Refused files are quarantined.
+const validateUploads = (rules) => async (req, res, next) => {
+  let files = [];
+  if (req.file) {
+    files = [req.file];
+  } else if (Array.isArray(req.files)) {
+    files = req.files;
+  } else if (req.files) {
+    files = Object.values(req.files).flat();
+  }
+
+  try {
+    await UploadCheckService.check(files, rules, req);
+    next();
+  } catch (error) {
+    // Nothing from a refused request is kept; multer may have written the other files to disk
+    files.filter(file => file.path).forEach(file => {
+      fs.unlink(file.path, err => {
+        if (err && err.code !== 'ENOENT') console.error('Error deleting file:', err);
+      });
+    });
+
+    if (error.name === 'UploadRejectedError') {
+      return res.status(400).json({ message: error.message, file: error.file });
+    }
+    if (error.name === 'ScanUnavailableError') {
+      console.error('Virus scanner unavailable:', error.message);
+      return res.status(503).json({ message: 'Uploads cannot be checked right now, please try again later' });
+    }
+    console.error('Error checking uploads:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+module.exports = validateUploads;
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Administrative hierarchy: district -> taluka -> village
+const adminAreaSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Lower-cased, whitespace-collapsed name used for matching
+  nameKey: {
+    type: String,
+    required: true
+  },
+  level: {
+    type: String,
+    required: true,
+    enum: ['district', 'taluka', 'village']
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminArea',
+    default: null,
+    required: function() {
+      return this.level !== 'district';
+    }
+  },
+  district: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminArea'
+  },
+  code: {
+    type: String,
+    trim: true
+  },
+  // Alternative spellings (e.g. Marathi or old free-text values), stored normalised
+  aliases: [{
+    type: String
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+adminAreaSchema.index({ level: 1, parent: 1, nameKey: 1 }, { unique: true });
+adminAreaSchema.index({ level: 1, parent: 1, aliases: 1 });
+
+adminAreaSchema.statics.normalize = function(value) {
+  return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+adminAreaSchema.pre('validate', function(next) {
+  this.nameKey = this.constructor.normalize(this.name);
+  this.aliases = [...new Set((this.aliases || []).map(alias => this.constructor.normalize(alias)).filter(Boolean))];
+  if (this.level === 'district') {
+    this.parent = null;
+    this.district = this._id;
+  }
+  next();
+});
+
+module.exports = mongoose.model('AdminArea', adminAreaSchema);
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['booked', 'cancelled', 'completed', 'no_show'];
+
+// A confidential counselling booking; the person booking may not have an account
+const appointmentSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The client keeps the plain token to reschedule or cancel; only its hash is stored
+  accessTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CounsellingSlot',
+    required: true
+  },
+  counsellor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Copied from the slot so reminders can be found without a join
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  preferredLanguage: {
+    type: String
+  },
+  // Language the client booked in, for emails about this appointment
+  locale: {
+    type: String
+  },
+  // Only ever shown to the assigned counsellor
+  concern: {
+    type: String,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'booked'
+  },
+  cancelledBy: {
+    type: String,
+    enum: ['client', 'counsellor']
+  },
+  cancelReason: {
+    type: String
+  },
+  rescheduleCount: {
+    type: Number,
+    default: 0
+  },
+  // Keys of the reminders already sent for the current slot, e.g. '24h'
+  remindersSent: [{
+    type: String
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+appointmentSchema.index({ counsellor: 1, startsAt: 1 });
+appointmentSchema.index({ status: 1, startsAt: 1 });
+
+appointmentSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+appointmentSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
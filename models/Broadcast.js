@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_LOCALES } = require('../config');
+
+const TRANSLATABLE_FIELDS = ['title', 'message'];
+const STATUSES = ['scheduled', 'sending', 'sent', 'cancelled', 'failed'];
+const TYPES = ['info', 'success', 'warning', 'error'];
+
+const translationSchema = new mongoose.Schema({
+  title: String,
+  message: String
+}, { _id: false });
+
+// An announcement composed by an admin and sent as a notification to everyone in its audience
+const broadcastSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // Language the title and message above are written in
+  sourceLocale: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: 'en'
+  },
+  translations: SUPPORTED_LOCALES.reduce((result, locale) => ({ ...result, [locale]: translationSchema }), {}),
+  type: {
+    type: String,
+    enum: TYPES,
+    default: 'info'
+  },
+  link: String,
+  // Who receives it; see NotificationService.audienceQuery. Empty means every user.
+  audience: {
+    roles: [String],
+    districts: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdminArea'
+    }],
+    talukas: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdminArea'
+    }],
+    segment: {
+      type: { type: String },
+      event: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Event'
+      },
+      statuses: [String]
+    }
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'scheduled'
+  },
+  scheduledAt: {
+    type: Date,
+    default: Date.now
+  },
+  // The queued send, so rescheduling and cancelling can reach it
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  stats: {
+    // Users in the audience when sending started
+    targeted: {
+      type: Number,
+      default: 0
+    },
+    // Users reached so far on any channel, digests included
+    delivered: {
+      type: Number,
+      default: 0
+    }
+  },
+  startedAt: Date,
+  sentAt: Date,
+  error: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+broadcastSchema.index({ status: 1, scheduledAt: -1 });
+
+broadcastSchema.statics.TRANSLATABLE_FIELDS = TRANSLATABLE_FIELDS;
+broadcastSchema.statics.STATUSES = STATUSES;
+broadcastSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model('Broadcast', broadcastSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Participation certificate; the details are copied so verification still works if the event changes
+const certificateSchema = new mongoose.Schema({
+  verificationId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventRegistration',
+    required: true,
+    unique: true
+  },
+  participantName: {
+    type: String,
+    required: true
+  },
+  eventTitle: {
+    type: String,
+    required: true
+  },
+  eventDate: {
+    type: Date,
+    required: true
+  },
+  district: {
+    type: String,
+    required: true
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+certificateSchema.index({ event: 1 });
+
+module.exports = mongoose.model('Certificate', certificateSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['open', 'booked', 'cancelled'];
+
+// A block of time an Official_member has opened for counselling
+const counsellingSlotSchema = new mongoose.Schema({
+  counsellor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['in_person', 'phone', 'video'],
+    default: 'in_person'
+  },
+  // Venue for in-person sessions or meeting link for video
+  location: {
+    type: String,
+    trim: true
+  },
+  district: {
+    type: String
+  },
+  districtArea: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminArea'
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'open'
+  },
+  // Set together with status 'booked' in a single atomic update
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+counsellingSlotSchema.index({ counsellor: 1, startsAt: 1 });
+counsellingSlotSchema.index({ status: 1, startsAt: 1 });
+counsellingSlotSchema.index({ districtArea: 1, status: 1, startsAt: 1 });
+
+counsellingSlotSchema.pre('validate', function(next) {
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'End time must be after the start time');
+  }
+  next();
+});
+
+counsellingSlotSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+counsellingSlotSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('CounsellingSlot', counsellingSlotSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A notification held back for the recipient's next digest
+const digestEntrySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  category: String,
+  title: {
+    type: String,
+    required: true
+  },
+  message: String,
+  link: String,
+  // Channels the notification would have used, so the digest goes out on the same ones
+  channels: [String],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+digestEntrySchema.index({ user: 1, createdAt: 1 });
+
+module.exports = mongoose.model('DigestEntry', digestEntrySchema);
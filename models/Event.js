@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_LOCALES } = require('../config');
+
+const TRANSLATABLE_FIELDS = ['title', 'description', 'location'];
+
+const translationSchema = new mongoose.Schema({
+  title: String,
+  description: String,
+  location: String
+}, { _id: false });
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -18,6 +27,17 @@ const eventSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  districtArea: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminArea'
+  },
+  // Language the title, description and location above are written in
+  sourceLocale: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: 'en'
+  },
+  translations: SUPPORTED_LOCALES.reduce((result, locale) => ({ ...result, [locale]: translationSchema }), {}),
   date: {
     type: Date,
     required: true
@@ -26,22 +46,65 @@ const eventSchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  // Maximum number of pending/approved registrations; unlimited when not set
+  capacity: {
+    type: Number,
+    min: 1
+  },
+  // Registrations holding a seat (pending or approved), kept by RegistrationService so seats
+  // are taken atomically; missing on events from before it was added until their next sign-up
+  seatsTaken: Number,
+  registrationDeadline: {
+    type: Date
+  },
+  // storage and key locate the file in StorageService; publicId is kept for Cloudinary uploads
   images: [{
+    storage: String,
+    key: String,
     url: String,
-    publicId: String
+    publicId: String,
+    filename: String,
+    size: Number,
+    mimetype: String
   }],
   reports: [{
+    storage: String,
+    key: String,
     filename: String,
     size: Number,
     mimetype: String,
     fileUrl: String,
     publicId: String
   }],
+  // Large media sent through resumable uploads
+  videos: [{
+    storage: String,
+    key: String,
+    url: String,
+    publicId: String,
+    filename: String,
+    size: Number,
+    mimetype: String
+  }],
+  audio: [{
+    storage: String,
+    key: String,
+    url: String,
+    publicId: String,
+    filename: String,
+    size: Number,
+    mimetype: String
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
+  // Officers who help the creator manage registrations and check-in
+  sharedWith: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -50,7 +113,32 @@ const eventSchema = new mongoose.Schema({
 
 // Indexes for better query performance
 eventSchema.index({ district: 1 });
+eventSchema.index({ districtArea: 1 });
 eventSchema.index({ date: 1 });
-eventSchema.index({ title: 'text', description: 'text' });
+// Full-text search over the original text and every translation; titles count the most.
+// 'none' skips English stemming, which would mangle Marathi and Hindi words.
+const textWeights = { title: 10, location: 3, description: 2 };
+eventSchema.index(
+  TRANSLATABLE_FIELDS.reduce((index, field) => {
+    index[field] = 'text';
+    SUPPORTED_LOCALES.forEach(locale => {
+      index[`translations.${locale}.${field}`] = 'text';
+    });
+    return index;
+  }, {}),
+  {
+    name: 'search_text',
+    default_language: 'none',
+    weights: TRANSLATABLE_FIELDS.reduce((weights, field) => {
+      weights[field] = textWeights[field];
+      SUPPORTED_LOCALES.forEach(locale => {
+        weights[`translations.${locale}.${field}`] = textWeights[field];
+      });
+      return weights;
+    }, {})
+  }
+);
+
+eventSchema.statics.TRANSLATABLE_FIELDS = TRANSLATABLE_FIELDS;
 
 module.exports = mongoose.model('Event', eventSchema); 
\ No newline at end of file
@@ -51,15 +51,47 @@ const eventRegistrationSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  districtArea: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminArea'
+  },
+  talukaArea: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminArea'
+  },
+  villageArea: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminArea'
+  },
+  // Language the registrant used, for emails about this registration
+  locale: {
+    type: String
+  },
   additionalInfo: {
     type: String,
     trim: true
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
+    enum: ['pending', 'approved', 'rejected', 'waitlisted', 'cancelled'],
     default: 'pending'
   },
+  waitlistedAt: {
+    type: Date
+  },
+  promotedAt: {
+    type: Date
+  },
+  ticketIssuedAt: {
+    type: Date
+  },
+  checkedInAt: {
+    type: Date
+  },
+  checkedInBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   sharedWith: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -70,4 +102,7 @@ const eventRegistrationSchema = new mongoose.Schema({
   }
 });
 
+// Seat counting and waitlist ordering per event
+eventRegistrationSchema.index({ event: 1, status: 1, waitlistedAt: 1 });
+
 module.exports = mongoose.model('EventRegistration', eventRegistrationSchema); 
\ No newline at end of file
@@ -1,12 +1,100 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_LOCALES } = require('../config');
+const ImageService = require('../services/imageService');
 
+const STATUSES = ['draft', 'in_review', 'published', 'archived'];
+
+const TRANSLATABLE_FIELDS = ['title', 'description', 'content'];
+
+const translationSchema = new mongoose.Schema({
+  title: String,
+  description: String,
+  content: String
+}, { _id: false });
+
+// storage and key locate the file in StorageService; path is only set for local files
 const fileSchema = {
+  storage: String,
+  key: String,
+  url: String,
   filename: String,
   path: String,
   mimetype: String,
   size: Number
 };
 
+// Videos and audio are transcoded in the background (MediaService); until then only url is playable
+const mediaSchema = {
+  ...fileSchema,
+  duration: Number,
+  width: Number,
+  height: Number,
+  // Progressive download in a format every browser plays (H.264/AAC MP4, or AAC for audio)
+  web: {
+    storage: String,
+    key: String,
+    url: String,
+    mimetype: String,
+    size: Number
+  },
+  // Adaptive streaming playlist
+  hls: {
+    storage: String,
+    key: String,
+    url: String
+  },
+  poster: {
+    storage: String,
+    key: String,
+    url: String,
+    width: Number,
+    height: Number
+  },
+  // Every file made from this one, so they are deleted with it
+  derived: [{
+    storage: String,
+    key: String,
+    _id: false
+  }],
+  processing: {
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'ready', 'failed']
+    },
+    error: String,
+    attempts: Number,
+    startedAt: Date,
+    completedAt: Date
+  }
+};
+
+// Images also keep their dimensions and the resized WebP copies made on upload
+const imageSchema = new mongoose.Schema({
+  ...fileSchema,
+  width: Number,
+  height: Number,
+  variants: [{
+    storage: String,
+    key: String,
+    url: String,
+    path: String,
+    width: Number,
+    height: Number,
+    format: String,
+    size: Number,
+    _id: false
+  }]
+}, { id: false, toJSON: { virtuals: true }, toObject: { virtuals: true } });
+
+// Ready for <img srcset="..."> with url as the src fallback
+imageSchema.virtual('srcset').get(function() {
+  return ImageService.srcset(this);
+});
+
+imageSchema.virtual('thumbnailUrl').get(function() {
+  return ImageService.thumbnailUrl(this);
+});
+
 const initiativeSchema = new mongoose.Schema({
   initiative: {
     type: String,
@@ -29,13 +117,47 @@ const initiativeSchema = new mongoose.Schema({
     type: String,
     required: true
   },
-  images: [fileSchema],
-  videos: [fileSchema],
+  // Language the title, description and content above are written in
+  sourceLocale: {
+    type: String,
+    enum: SUPPORTED_LOCALES,
+    default: 'en'
+  },
+  translations: SUPPORTED_LOCALES.reduce((result, locale) => ({ ...result, [locale]: translationSchema }), {}),
+  images: [imageSchema],
+  videos: [mediaSchema],
   documents: [fileSchema],
-  audio: [fileSchema],
+  audio: [mediaSchema],
   listItems: [{
     type: String
   }],
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'draft'
+  },
+  // Live from this moment; set in the future when publishing is scheduled
+  publishedAt: {
+    type: Date
+  },
+  // Every submit, approval, rejection and archive, with the reviewer's comment
+  reviewHistory: [{
+    action: {
+      type: String,
+      required: true
+    },
+    from: String,
+    to: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    comment: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -51,9 +173,39 @@ const initiativeSchema = new mongoose.Schema({
   }
 });
 
+initiativeSchema.index({ status: 1, publishedAt: -1 });
+initiativeSchema.index({ createdBy: 1, status: 1 });
+
+// Full-text search over the original text and every translation; titles count the most.
+// 'none' skips English stemming, which would mangle Marathi and Hindi words.
+const textWeights = { title: 10, description: 4, content: 1 };
+initiativeSchema.index(
+  TRANSLATABLE_FIELDS.reduce((index, field) => {
+    index[field] = 'text';
+    SUPPORTED_LOCALES.forEach(locale => {
+      index[`translations.${locale}.${field}`] = 'text';
+    });
+    return index;
+  }, { subCategory: 'text' }),
+  {
+    name: 'search_text',
+    default_language: 'none',
+    weights: TRANSLATABLE_FIELDS.reduce((weights, field) => {
+      weights[field] = textWeights[field];
+      SUPPORTED_LOCALES.forEach(locale => {
+        weights[`translations.${locale}.${field}`] = textWeights[field];
+      });
+      return weights;
+    }, { subCategory: 2 })
+  }
+);
+
 initiativeSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
+initiativeSchema.statics.STATUSES = STATUSES;
+initiativeSchema.statics.TRANSLATABLE_FIELDS = TRANSLATABLE_FIELDS;
+
 module.exports = mongoose.model('Initiative', initiativeSchema); 
\ No newline at end of file
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+
+// storage and key locate the file in StorageService; path is only set for local files
+const fileSchema = {
+  storage: String,
+  key: String,
+  url: String,
+  filename: String,
+  path: String,
+  mimetype: String,
+  size: Number
+};
+
+const mediaSchema = {
+  ...fileSchema,
+  duration: Number,
+  width: Number,
+  height: Number,
+  // Progressive download in a format every browser plays (H.264/AAC MP4, or AAC for audio)
+  web: {
+    storage: String,
+    key: String,
+    url: String,
+    mimetype: String,
+    size: Number
+  },
+  // Adaptive streaming playlist
+  hls: {
+    storage: String,
+    key: String,
+    url: String
+  },
+  poster: {
+    storage: String,
+    key: String,
+    url: String,
+    width: Number,
+    height: Number
+  },
+  // Every file made from this one, so they are deleted with it
+  derived: [{
+    storage: String,
+    key: String,
+    _id: false
+  }],
+  processing: {
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'ready', 'failed']
+    },
+    error: String,
+    attempts: Number,
+    startedAt: Date,
+    completedAt: Date
+  }
+};
+
+const imageSchema = {
+  ...fileSchema,
+  width: Number,
+  height: Number,
+  variants: [{
+    storage: String,
+    key: String,
+    url: String,
+    path: String,
+    width: Number,
+    height: Number,
+    format: String,
+    size: Number,
+    _id: false
+  }]
+};
+
+// Immutable snapshot of an initiative's content after a change
+const initiativeRevisionSchema = new mongoose.Schema({
+  initiativeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Initiative',
+    required: true
+  },
+  // 1, 2, 3... per initiative
+  number: {
+    type: Number,
+    required: true
+  },
+  // baseline: the content as it was before history was kept
+  action: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'restore'],
+    required: true
+  },
+  restoredFrom: {
+    type: Number
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  initiative: String,
+  subCategory: String,
+  title: String,
+  description: String,
+  content: String,
+  images: [imageSchema],
+  videos: [mediaSchema],
+  documents: [fileSchema],
+  audio: [mediaSchema],
+  listItems: [String],
+  sourceLocale: String,
+  translations: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+initiativeRevisionSchema.index({ initiativeId: 1, number: -1 }, { unique: true });
+initiativeRevisionSchema.index({ 'images.key': 1 });
+initiativeRevisionSchema.index({ 'videos.key': 1 });
+initiativeRevisionSchema.index({ 'documents.key': 1 });
+initiativeRevisionSchema.index({ 'audio.key': 1 });
+// Uploads from before the storage service are only known by path
+initiativeRevisionSchema.index({ 'images.path': 1 });
+initiativeRevisionSchema.index({ 'videos.path': 1 });
+initiativeRevisionSchema.index({ 'documents.path': 1 });
+initiativeRevisionSchema.index({ 'audio.path': 1 });
+
+initiativeRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Initiative revisions cannot be changed'));
+  }
+  next();
+});
+
+initiativeRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Initiative revisions cannot be changed'));
+});
+
+module.exports = mongoose.model('InitiativeRevision', initiativeRevisionSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['queued', 'running', 'completed', 'dead'];
+
+// A unit of background work. Workers claim queued jobs whose runAt has passed; failures are
+// retried with backoff until maxAttempts, after which the job stays here as a dead letter.
+const jobSchema = new mongoose.Schema({
+  // Handler name, e.g. notifications.fanout
+  type: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'queued'
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  // At most one queued or running job per key, for periodic work several servers schedule
+  uniqueKey: String,
+  // Held by a worker while running; a job whose lock lapsed is picked up again
+  lockedBy: String,
+  lockedUntil: Date,
+  // Where a long job got to, so a retry can carry on instead of starting over
+  progress: mongoose.Schema.Types.Mixed,
+  result: mongoose.Schema.Types.Mixed,
+  lastError: String,
+  // The most recent failures, newest last
+  failures: [{
+    _id: false,
+    at: Date,
+    message: String
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: Date,
+  completedAt: Date,
+  deadAt: Date,
+  // Finished jobs are removed by MongoDB after this; dead letters have none and are kept
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+// At most one queued job per key, so servers enqueueing the same periodic job at once get one
+jobSchema.index({ uniqueKey: 1 }, { unique: true, partialFilterExpression: { status: 'queued', uniqueKey: { $exists: true } } });
+jobSchema.index({ type: 1, status: 1 });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+jobSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Job', jobSchema);
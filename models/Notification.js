@@ -26,10 +26,21 @@ const notificationSchema = new mongoose.Schema({
   link: {
     type: String
   },
+  // Preference category it was sent under, e.g. events or counselling
+  category: {
+    type: String
+  },
+  // Set when the notification was sent as part of an admin broadcast
+  broadcast: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Broadcast'
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+notificationSchema.index({ broadcast: 1, read: 1 }, { sparse: true });
+
 module.exports = mongoose.model('Notification', notificationSchema); 
\ No newline at end of file
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const CHANNELS = ['inApp', 'email', 'sms'];
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+// Notification categories and the catalog notifications in each. digest: may wait for the
+// user's digest; required: in-app delivery cannot be switched off.
+const CATEGORIES = {
+  events: {
+    names: ['eventCreated'],
+    digest: true,
+    defaults: { inApp: true, email: false, sms: false }
+  },
+  registrations: {
+    names: ['registrationCreated', 'registrationWaitlisted', 'registrationShared', 'registrationStatus', 'waitlistPromoted'],
+    digest: false,
+    defaults: { inApp: true, email: false, sms: false }
+  },
+  tips: {
+    names: ['tipReported', 'tipAssigned'],
+    digest: false,
+    defaults: { inApp: true, email: false, sms: false }
+  },
+  initiatives: {
+    names: [
+      'initiativeSubmitted', 'initiativeApproved', 'initiativeScheduled',
+      'initiativeRejected', 'initiativeArchived', 'initiativeReopened'
+    ],
+    digest: true,
+    defaults: { inApp: true, email: false, sms: false }
+  },
+  counselling: {
+    names: [
+      'appointmentConfirmed', 'appointmentBooked', 'appointmentRescheduled', 'appointmentRescheduledCounsellor',
+      'appointmentMoved', 'appointmentCancelledByClient', 'appointmentCancelledByCounsellor',
+      'appointmentReminder', 'appointmentUpcoming'
+    ],
+    digest: false,
+    defaults: { inApp: true, email: false, sms: false }
+  },
+  // Admin broadcasts
+  announcements: {
+    names: [],
+    digest: true,
+    defaults: { inApp: true, email: false, sms: false }
+  },
+  // Things the user asked for, such as finished exports, and their digests
+  account: {
+    names: ['exportReady', 'digestDaily', 'digestWeekly'],
+    digest: false,
+    required: true,
+    defaults: { inApp: true, email: false, sms: false }
+  }
+};
+
+const channelSchema = new mongoose.Schema(
+  CHANNELS.reduce((fields, channel) => ({ ...fields, [channel]: Boolean }), {}),
+  { _id: false }
+);
+
+// One per user; a user without one gets the category defaults
+const notificationPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  // Channels per category; unset channels fall back to the category defaults
+  categories: Object.keys(CATEGORIES).reduce((fields, category) => ({ ...fields, [category]: channelSchema }), {}),
+  // Only notifications about these districts (AdminArea ids); empty means everywhere
+  districts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminArea'
+  }],
+  // No live pushes, email or SMS between start and end (HH:MM, local time); they wait until the end
+  quietHours: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      default: '22:00'
+    },
+    end: {
+      type: String,
+      default: '07:00'
+    }
+  },
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata'
+  },
+  // Collect digest categories into one summary instead of individual notifications
+  digest: {
+    frequency: {
+      type: String,
+      enum: DIGEST_FREQUENCIES,
+      default: 'off'
+    },
+    // Local hour it goes out, and for weekly digests the day (0 = Sunday)
+    hour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 8
+    },
+    weekday: {
+      type: Number,
+      min: 0,
+      max: 6,
+      default: 1
+    },
+    nextAt: Date
+  },
+  // Where SMS notifications go
+  smsNumber: String
+}, {
+  timestamps: true
+});
+
+notificationPreferenceSchema.index({ 'digest.frequency': 1, 'digest.nextAt': 1 });
+
+notificationPreferenceSchema.statics.CHANNELS = CHANNELS;
+notificationPreferenceSchema.statics.CATEGORIES = CATEGORIES;
+notificationPreferenceSchema.statics.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
+
+module.exports = mongoose.model('NotificationPreference', notificationPreferenceSchema);
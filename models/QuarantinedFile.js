@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const REASONS = ['unrecognised', 'type_not_allowed', 'type_mismatch', 'infected'];
+
+// An upload that was refused, kept outside the public folders for an admin to inspect
+const quarantinedFileSchema = new mongoose.Schema({
+  reason: {
+    type: String,
+    enum: REASONS,
+    required: true
+  },
+  // Form field and names as the client sent them
+  field: String,
+  originalName: String,
+  declaredType: String,
+  // What the content actually looks like, when recognised
+  detectedType: String,
+  signature: String,
+  size: Number,
+  sha256: {
+    type: String,
+    required: true
+  },
+  // Location under the quarantine folder
+  path: {
+    type: String,
+    required: true
+  },
+  route: String,
+  ip: String,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+quarantinedFileSchema.index({ createdAt: -1 });
+quarantinedFileSchema.index({ sha256: 1 });
+
+quarantinedFileSchema.statics.REASONS = REASONS;
+
+module.exports = mongoose.model('QuarantinedFile', quarantinedFileSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// One login on one device; access tokens carry its id so it can be revoked
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the token that was rotated out, used to detect refresh token reuse
+  previousTokenHash: {
+    type: String,
+    select: false
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const TYPES = ['deaddiction_centre', 'rehabilitation_centre', 'counsellor', 'helpline', 'hospital', 'ngo'];
+
+// Directory entry for a de-addiction centre, counsellor or helpline
+const supportCentreSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: TYPES
+  },
+  description: {
+    type: String
+  },
+  // e.g. counselling, detox, residential, outpatient, family_support
+  services: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  languages: [{
+    type: String,
+    trim: true
+  }],
+  address: {
+    type: String,
+    trim: true
+  },
+  district: {
+    type: String,
+    required: function() {
+      return this.type !== 'helpline';
+    }
+  },
+  taluka: {
+    type: String
+  },
+  districtArea: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminArea'
+  },
+  talukaArea: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminArea'
+  },
+  timings: [{
+    days: [{
+      type: String,
+      enum: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']
+    }],
+    opens: String, // HH:mm
+    closes: String // HH:mm
+  }],
+  open24x7: {
+    type: Boolean,
+    default: false
+  },
+  contact: {
+    phone: String,
+    alternatePhone: String,
+    email: String,
+    website: String,
+    whatsapp: String
+  },
+  isFree: {
+    type: Boolean,
+    default: false
+  },
+  location: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined } // [longitude, latitude]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+supportCentreSchema.index({ location: '2dsphere' }, { sparse: true });
+supportCentreSchema.index({ districtArea: 1, type: 1 });
+supportCentreSchema.index({ services: 1 });
+supportCentreSchema.index(
+  { name: 'text', services: 'text', description: 'text', address: 'text' },
+  { name: 'search_text', default_language: 'none', weights: { name: 10, services: 4, description: 2, address: 1 } }
+);
+
+supportCentreSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+supportCentreSchema.statics.TYPES = TYPES;
+
+module.exports = mongoose.model('SupportCentre', supportCentreSchema);
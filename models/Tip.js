@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['new', 'under_review', 'assigned', 'investigating', 'action_taken', 'closed', 'rejected'];
+
+const fileSchema = {
+  filename: String,
+  path: String,
+  mimetype: String,
+  size: Number
+};
+
+// Anonymous citizen report of drug-related activity; nothing identifying the reporter is stored
+const tipSchema = new mongoose.Schema({
+  caseNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // The reporter keeps the plain token; only its hash is stored
+  accessTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: ['trafficking', 'selling', 'cultivation', 'manufacturing', 'consumption', 'other']
+  },
+  description: {
+    type: String,
+    required: true
+  },
+  location: {
+    address: String,
+    landmark: String,
+    district: {
+      type: String,
+      required: true
+    },
+    taluka: String,
+    village: String,
+    districtArea: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdminArea'
+    },
+    talukaArea: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdminArea'
+    },
+    coordinates: {
+      type: { type: String, enum: ['Point'] },
+      coordinates: { type: [Number], default: undefined } // [longitude, latitude]
+    }
+  },
+  occurredAt: {
+    type: Date
+  },
+  evidence: [fileSchema],
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'new'
+  },
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Message the reporter sees when checking the case status
+  publicMessage: {
+    type: String
+  },
+  notes: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    text: {
+      type: String,
+      required: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Append-only record of every triage action; actor is empty for the anonymous reporter
+  auditTrail: [{
+    action: {
+      type: String,
+      required: true
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    from: String,
+    to: String,
+    details: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+tipSchema.index({ status: 1, createdAt: -1 });
+tipSchema.index({ 'location.districtArea': 1, status: 1 });
+tipSchema.index({ assignedTo: 1, status: 1 });
+tipSchema.index({ 'location.coordinates': '2dsphere' }, { sparse: true });
+
+tipSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Record a triage action in the audit trail
+tipSchema.methods.audit = function(action, actor, { from, to, details } = {}) {
+  this.auditTrail.push({ action, actor: actor || undefined, from, to, details });
+};
+
+tipSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Tip', tipSchema);
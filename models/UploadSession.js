@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const PURPOSES = ['initiative', 'event'];
+const STATUSES = ['uploading', 'finalizing', 'complete', 'attached', 'failed'];
+
+// A resumable upload: chunks are appended to a temporary file until size bytes have arrived,
+// then the file is checked and stored, waiting to be attached to an initiative or event
+const uploadSessionSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // What the file will be attached to; decides the allowed types
+  purpose: {
+    type: String,
+    enum: PURPOSES,
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  mimetype: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Optional SHA-256 (hex) of the whole file, checked after the last chunk
+  checksum: String,
+  // Bytes received so far; the next chunk must start here
+  offset: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'uploading'
+  },
+  tempPath: String,
+  // Storage descriptor once the file is complete
+  file: mongoose.Schema.Types.Mixed,
+  error: String,
+  // Held while a chunk is being written, or the finished file checked and stored,
+  // so two requests cannot work on the same upload at once
+  lockedUntil: Date,
+  // Unfinished or unattached uploads are cleaned up after this
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ expiresAt: 1 });
+uploadSessionSchema.index({ owner: 1, status: 1 });
+
+uploadSessionSchema.statics.PURPOSES = PURPOSES;
+uploadSessionSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { SUPPORTED_LOCALES } = require('../config');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -29,12 +31,39 @@ const userSchema = new mongoose.Schema({
       return this.role === 'block_officer';
     }
   },
+  districtArea: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminArea'
+  },
+  // Optional narrower jurisdiction for block officers inside their district
+  talukaAreas: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminArea'
+  }],
   officialRole: {
     type: String,
     required: function() {
       return this.role === 'Official_member';
     }
   },
+  // Language for notifications; falls back to the site default
+  preferredLocale: {
+    type: String,
+    enum: SUPPORTED_LOCALES
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Single-use tokens are stored hashed, only the emailed copy is usable
+  emailVerification: {
+    tokenHash: { type: String, select: false },
+    expiresAt: Date
+  },
+  passwordReset: {
+    tokenHash: { type: String, select: false },
+    expiresAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -59,4 +88,24 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a single-use token for 'emailVerification' or 'passwordReset'
+userSchema.methods.createAuthToken = function(purpose, ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this[purpose] = {
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  };
+  return token;
+};
+
+// Find the user holding an unexpired token for the given purpose
+userSchema.statics.findByAuthToken = function(purpose, token) {
+  return this.findOne({
+    [`${purpose}.tokenHash`]: hashToken(token),
+    [`${purpose}.expiresAt`]: { $gt: new Date() }
+  });
+};
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
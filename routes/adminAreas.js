@@ -0,0 +1,239 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { escapeRegExp } = require('lodash');
+const { body, validationResult } = require('express-validator');
+const AdminArea = require('../models/AdminArea');
+const Event = require('../models/Event');
+const EventRegistration = require('../models/EventRegistration');
+const User = require('../models/User');
+const AdminAreaService = require('../services/adminAreaService');
+const { auth, checkRole } = require('../middleware/auth');
+
+// CSV files for bulk import are small, keep them in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  }
+});
+
+// Models that copy an area's name next to their reference
+const AREA_REFERENCES = {
+  district: [
+    { model: Event, ref: 'districtArea', name: 'district' },
+    { model: EventRegistration, ref: 'districtArea', name: 'district' },
+    { model: User, ref: 'districtArea', name: 'district' }
+  ],
+  taluka: [
+    { model: EventRegistration, ref: 'talukaArea', name: 'taluka' }
+  ],
+  village: [
+    { model: EventRegistration, ref: 'villageArea', name: 'village' }
+  ]
+};
+
+// List or search areas
+router.get('/', async (req, res) => {
+  try {
+    const filter = { isActive: true };
+    if (req.query.level) {
+      filter.level = String(req.query.level);
+    }
+    if (req.query.parent) {
+      filter.parent = String(req.query.parent);
+    }
+    if (req.query.q) {
+      const key = AdminArea.normalize(req.query.q);
+      filter.$or = [
+        { nameKey: { $regex: `^${escapeRegExp(key)}` } },
+        { aliases: { $regex: `^${escapeRegExp(key)}` } }
+      ];
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const areas = await AdminArea.find(filter).sort({ name: 1 }).limit(limit);
+    res.json(areas);
+  } catch (error) {
+    console.error('Error fetching areas:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List districts
+router.get('/districts', async (req, res) => {
+  try {
+    const districts = await AdminArea.find({ level: 'district', isActive: true }).sort({ name: 1 });
+    res.json(districts);
+  } catch (error) {
+    console.error('Error fetching districts:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Bulk import from a CSV file (district,taluka,village columns) or a JSON rows array (admin only)
+router.post('/import',
+  auth,
+  checkRole(['admin']),
+  upload.single('file'),
+  async (req, res) => {
+    try {
+      let rows = [];
+      if (req.file) {
+        rows = AdminAreaService.parseCsv(req.file.buffer.toString('utf8'));
+      } else if (Array.isArray(req.body.rows)) {
+        rows = req.body.rows;
+      } else {
+        return res.status(400).json({ message: 'Upload a CSV file or send a rows array' });
+      }
+
+      const summary = await AdminAreaService.importRows(rows);
+      res.json({ message: 'Import complete', rows: rows.length, ...summary });
+    } catch (error) {
+      console.error('Error importing areas:', error);
+      if (error.name === 'AreaValidationError') {
+        return res.status(400).json({ message: error.message });
+      }
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Get a single area
+router.get('/:id', async (req, res) => {
+  try {
+    const area = await AdminArea.findById(req.params.id).populate('parent', 'name level');
+    if (!area) {
+      return res.status(404).json({ message: 'Area not found' });
+    }
+    res.json(area);
+  } catch (error) {
+    console.error('Error fetching area:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List the talukas of a district or the villages of a taluka
+router.get('/:id/children', async (req, res) => {
+  try {
+    const children = await AdminArea.find({ parent: req.params.id, isActive: true }).sort({ name: 1 });
+    res.json(children);
+  } catch (error) {
+    console.error('Error fetching child areas:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create an area (admin only)
+router.post('/',
+  auth,
+  checkRole(['admin']),
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('level').isIn(AdminAreaService.LEVELS).withMessage('Invalid level'),
+    body('parent').if(body('level').not().equals('district')).isMongoId().withMessage('Parent is required'),
+    body('code').optional().trim(),
+    body('aliases').optional().isArray().withMessage('Aliases must be an array')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, level, parent, code, aliases } = req.body;
+      const area = await AdminAreaService.create({ name, level, parent, code, aliases });
+      res.status(201).json(area);
+    } catch (error) {
+      console.error('Error creating area:', error);
+      if (error.name === 'AreaValidationError') {
+        return res.status(400).json({ message: error.message });
+      }
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'An area with this name already exists here' });
+      }
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Update an area (admin only)
+router.put('/:id',
+  auth,
+  checkRole(['admin']),
+  [
+    body('name').optional().trim().notEmpty().withMessage('Name is required'),
+    body('code').optional().trim(),
+    body('aliases').optional().isArray().withMessage('Aliases must be an array'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const area = await AdminArea.findById(req.params.id);
+      if (!area) {
+        return res.status(404).json({ message: 'Area not found' });
+      }
+
+      const { name, code, aliases, isActive } = req.body;
+      if (aliases) area.aliases = aliases;
+      if (code !== undefined) area.code = code;
+      if (isActive !== undefined) area.isActive = isActive;
+
+      const renamed = name && name !== area.name;
+      if (renamed) {
+        // Keep the old spelling matchable for clients that still send it
+        area.aliases = [...area.aliases, area.name];
+        area.name = name;
+      }
+
+      await area.save();
+
+      // Copy the new name onto everything that references this area
+      if (renamed) {
+        await Promise.all(AREA_REFERENCES[area.level].map(({ model, ref, name: field }) =>
+          model.updateMany({ [ref]: area._id }, { [field]: area.name })
+        ));
+      }
+
+      res.json(area);
+    } catch (error) {
+      console.error('Error updating area:', error);
+      if (error.code === 11000) {
+        return res.status(400).json({ message: 'An area with this name already exists here' });
+      }
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Delete an unused area (admin only); areas in use should be deactivated instead
+router.delete('/:id', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const area = await AdminArea.findById(req.params.id);
+    if (!area) {
+      return res.status(404).json({ message: 'Area not found' });
+    }
+
+    const childCount = await AdminArea.countDocuments({ parent: area._id });
+    const referenceCounts = await Promise.all(AREA_REFERENCES[area.level].map(({ model, ref }) =>
+      model.countDocuments({ [ref]: area._id })
+    ));
+    if (childCount > 0 || referenceCounts.some(count => count > 0)) {
+      return res.status(409).json({ message: 'Area is in use; deactivate it instead' });
+    }
+
+    await area.deleteOne();
+    res.json({ message: 'Area deleted' });
+  } catch (error) {
+    console.error('Error deleting area:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const { auth, checkRole } = require('../middleware/auth');
+const AnalyticsService = require('../services/analyticsService');
+const RegistrationService = require('../services/registrationService');
+
+// Filters shared by every report; results are always limited to the user's jurisdiction
+const reportFilters = [
+  query('from').optional().isISO8601().withMessage('from must be a valid date'),
+  query('to').optional().isISO8601().withMessage('to must be a valid date'),
+  query('status').optional().isString(),
+  query('gender').optional().isString(),
+  query('ageBand').optional().custom(value => String(value).split(',').every(label =>
+    RegistrationService.AGE_BANDS.some(band => band.label === label.trim())
+  )).withMessage('Unknown age band')
+];
+
+const canViewReports = checkRole(['admin', 'Official_member', 'block_officer']);
+
+// Run a report, answering 400 for invalid filters
+const report = (build) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    res.json(await build(req));
+  } catch (error) {
+    console.error('Error building analytics report:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Headline numbers: events held, registrations, approval and attendance rates
+router.get('/overview',
+  auth,
+  canViewReports,
+  reportFilters,
+  report(req => AnalyticsService.overview(req.user, req.query))
+);
+
+// Events per district or month
+router.get('/events',
+  auth,
+  canViewReports,
+  [...reportFilters, query('groupBy').optional().isIn(['district', 'month']).withMessage('groupBy must be district or month')],
+  report(req => AnalyticsService.eventsBy(req.user, req.query, req.query.groupBy))
+);
+
+// Registrations, approval and attendance per district, taluka, village or month
+router.get('/registrations',
+  auth,
+  canViewReports,
+  [
+    ...reportFilters,
+    query('groupBy').optional().isIn(['district', 'taluka', 'village', 'month'])
+      .withMessage('groupBy must be district, taluka, village or month')
+  ],
+  report(req => AnalyticsService.registrationsBy(req.user, req.query, req.query.groupBy))
+);
+
+// Registrants by age band and gender
+router.get('/demographics',
+  auth,
+  canViewReports,
+  reportFilters,
+  report(req => AnalyticsService.demographics(req.user, req.query))
+);
+
+module.exports = router;
@@ -1,9 +1,217 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
+const { escape } = require('lodash');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { auth, checkRole } = require('../middleware/auth');
+const MailService = require('../services/mailService');
+const SessionService = require('../services/sessionService');
+const LocaleService = require('../services/localeService');
+const { CLIENT_URL } = require('../config');
+
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+
+const sendVerificationEmail = (user, token) => {
+  const link = `${CLIENT_URL}/verify-email?token=${token}`;
+  return MailService.send({
+    to: user.email,
+    subject: 'Verify your JATAAYU account',
+    text: `Hello ${user.name},\n\nPlease verify your email address by opening the link below:\n${link}\n\nThis link expires in 24 hours.`,
+    html: `<p>Hello ${escape(user.name)},</p><p>Please verify your email address by opening the link below:</p><p><a href="${link}">${link}</a></p><p>This link expires in 24 hours.</p>`
+  });
+};
+
+const sendPasswordResetEmail = (user, token) => {
+  const link = `${CLIENT_URL}/reset-password?token=${token}`;
+  return MailService.send({
+    to: user.email,
+    subject: 'Reset your JATAAYU password',
+    text: `Hello ${user.name},\n\nA password reset was requested for your account. Open the link below to choose a new password:\n${link}\n\nThis link expires in 1 hour. If you did not request this, you can ignore this email.`,
+    html: `<p>Hello ${escape(user.name)},</p><p>A password reset was requested for your account. Open the link below to choose a new password:</p><p><a href="${link}">${link}</a></p><p>This link expires in 1 hour. If you did not request this, you can ignore this email.</p>`
+  });
+};
+
+// Public self-service sign-up
+router.post('/register',
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('email').isEmail().withMessage('Please enter a valid email'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+    body('district').optional().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { name, email, password, district } = req.body;
+
+      let user = await User.findOne({ email });
+      if (user) {
+        return res.status(400).json({ message: 'User already exists' });
+      }
+
+      // Public sign-ups can never choose their own role
+      user = new User({
+        name,
+        email,
+        password,
+        district,
+        role: 'public',
+        emailVerified: false,
+        // Start with the language they signed up in
+        preferredLocale: req.locale
+      });
+      const token = user.createAuthToken('emailVerification', EMAIL_VERIFICATION_TTL);
+      await user.save();
+
+      // The account exists now either way; if the email did not go out, resend-verification sends another
+      let message = 'Registration successful. Please check your email to verify your account.';
+      try {
+        await sendVerificationEmail(user, token);
+      } catch (error) {
+        console.error('Error sending verification email:', error);
+        message = 'Registration successful, but the verification email could not be sent. Please request a new one.';
+      }
+
+      res.status(201).json({
+        message,
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role
+        }
+      });
+    } catch (error) {
+      console.error('Error registering user:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Verify email address with the emailed token
+router.post('/verify-email',
+  [
+    body('token').trim().notEmpty().withMessage('Token is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findByAuthToken('emailVerification', req.body.token);
+      if (!user) {
+        return res.status(400).json({ message: 'Invalid or expired token' });
+      }
+
+      user.emailVerified = true;
+      user.emailVerification = undefined;
+      await user.save();
+
+      res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+      console.error('Error verifying email:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Send a fresh verification email
+router.post('/resend-verification',
+  [
+    body('email').isEmail().withMessage('Please enter a valid email')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findOne({ email: req.body.email });
+      if (user && !user.emailVerified) {
+        const token = user.createAuthToken('emailVerification', EMAIL_VERIFICATION_TTL);
+        await user.save();
+        await sendVerificationEmail(user, token);
+      }
+
+      // Same response either way so the endpoint cannot be used to probe accounts
+      res.json({ message: 'If the account exists and is unverified, a verification email has been sent' });
+    } catch (error) {
+      console.error('Error resending verification:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Request a password reset link
+router.post('/forgot-password',
+  [
+    body('email').isEmail().withMessage('Please enter a valid email')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findOne({ email: req.body.email });
+      if (user) {
+        const token = user.createAuthToken('passwordReset', PASSWORD_RESET_TTL);
+        await user.save();
+        await sendPasswordResetEmail(user, token);
+      }
+
+      // Same response either way so the endpoint cannot be used to probe accounts
+      res.json({ message: 'If the account exists, a password reset email has been sent' });
+    } catch (error) {
+      console.error('Error requesting password reset:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Reset password with the emailed token
+router.post('/reset-password',
+  [
+    body('token').trim().notEmpty().withMessage('Token is required'),
+    body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findByAuthToken('passwordReset', req.body.token);
+      if (!user) {
+        return res.status(400).json({ message: 'Invalid or expired token' });
+      }
+
+      user.password = req.body.password;
+      user.passwordReset = undefined;
+      // Receiving the reset link proves ownership of the mailbox
+      user.emailVerified = true;
+      await user.save();
+
+      // Anyone holding the old password must sign in again
+      await SessionService.revokeAllForUser(user._id, 'password_reset');
+
+      res.json({ message: 'Password has been reset successfully' });
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
 
 // Admin-only route to create Official_member
 router.post('/create-official',
@@ -98,6 +306,10 @@ router.put('/officials/:id',
 
       await user.save();
 
+      if (password) {
+        await SessionService.revokeAllForUser(user._id, 'password_changed');
+      }
+
       res.json({
         message: 'Official member updated successfully',
         user: {
@@ -142,15 +354,20 @@ router.post('/login',
         return res.status(400).json({ message: 'Invalid credentials' });
       }
 
-      // Generate JWT token
-      const token = jwt.sign(
-        { userId: user._id },
-        process.env.JWT_SECRET,
-        { expiresIn: '24h' }
-      );
+      // Self-registered accounts must confirm their email first
+      if (user.role === 'public' && !user.emailVerified) {
+        return res.status(403).json({ message: 'Please verify your email before logging in' });
+      }
+
+      // Start a device session with a short-lived access token and a refresh token
+      const { accessToken, refreshToken } = await SessionService.createSession(user, {
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+      });
 
       res.json({
-        token,
+        token: accessToken,
+        refreshToken,
         user: {
           id: user._id,
           name: user.name,
@@ -165,6 +382,66 @@ router.post('/login',
   }
 );
 
+// Exchange a refresh token for a new token pair
+router.post('/refresh',
+  [
+    body('refreshToken').notEmpty().withMessage('Refresh token is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { accessToken, refreshToken } = await SessionService.refresh(req.body.refreshToken, {
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+      });
+
+      res.json({ token: accessToken, refreshToken });
+    } catch (error) {
+      res.status(401).json({ message: 'Invalid refresh token' });
+    }
+  }
+);
+
+// Log out of the current session
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await SessionService.revokeSession(req.sessionId, 'logout', req.user._id);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Log out of every session of the current user
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    const count = await SessionService.revokeAllForUser(req.user._id, 'logout_all');
+    res.json({ message: 'Logged out of all sessions', count });
+  } catch (error) {
+    console.error('Error logging out of all sessions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await SessionService.listActiveSessions(req.user._id);
+    res.json(sessions.map(session => ({
+      ...session.toObject(),
+      current: session._id.toString() === req.sessionId
+    })));
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get current user
 router.get('/me', auth, async (req, res) => {
   try {
@@ -175,4 +452,27 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// Set the language used for the current user's notifications
+router.put('/me/locale',
+  auth,
+  [body('locale').isIn(LocaleService.SUPPORTED_LOCALES).withMessage('Unsupported language')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { preferredLocale: req.body.locale },
+        { new: true }
+      ).select('-password');
+      res.json(user);
+    } catch (error) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
 module.exports = router; 
\ No newline at end of file
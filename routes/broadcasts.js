@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Broadcast = require('../models/Broadcast');
+const BroadcastService = require('../services/broadcastService');
+const NotificationService = require('../services/notificationService');
+const LocaleService = require('../services/localeService');
+const { auth, checkRole } = require('../middleware/auth');
+
+// Announcements sent as notifications to a chosen audience. The audience narrows by
+// roles, districts, talukas and a segment such as
+// { type: 'eventRegistrants', event: <event id>, statuses: ['approved'] }; leave it empty for everyone.
+
+const handleError = (res, error, label) => {
+  if (error.name === 'BroadcastError') {
+    return res.status(error.status).json({ message: error.message });
+  }
+  if (['AreaValidationError', 'LocaleValidationError', 'ValidationError'].includes(error.name)) {
+    return res.status(400).json({ message: error.message });
+  }
+  if (error.name === 'CastError') {
+    return res.status(404).json({ message: 'Broadcast not found' });
+  }
+  console.error(`Error ${label}:`, error);
+  res.status(500).json({ message: 'Server error' });
+};
+
+const composeRules = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('title').trim().notEmpty().withMessage('Title is required'),
+    field('message').trim().notEmpty().withMessage('Message is required'),
+    body('type').optional().isIn(Broadcast.TYPES).withMessage('Invalid type'),
+    body('link').optional().isString().withMessage('Link must be text'),
+    body('audience').optional().isObject().withMessage('Audience must be an object'),
+    body('scheduledAt').optional().isISO8601().withMessage('Scheduled time must be a date').toDate()
+      .custom(value => value > new Date()).withMessage('Scheduled time must be in the future')
+  ];
+};
+
+// What the compose form sent, with translations checked
+const composed = (req) => {
+  const data = {};
+  ['title', 'message', 'type', 'link', 'audience', 'scheduledAt', 'sourceLocale'].forEach(field => {
+    if (req.body[field] !== undefined) data[field] = req.body[field];
+  });
+  const translations = LocaleService.parseTranslations(req.body.translations, Broadcast.TRANSLATABLE_FIELDS);
+  if (translations) data.translations = translations;
+  return data;
+};
+
+// Broadcasts, newest first, with delivery and read counts (admin only)
+router.get('/', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (status) {
+      if (!Broadcast.STATUSES.includes(status)) {
+        return res.status(400).json({ message: 'Invalid status' });
+      }
+      query.status = status;
+    }
+
+    const [broadcasts, total] = await Promise.all([
+      Broadcast.find(query)
+        .populate('createdBy', 'name email')
+        .sort({ scheduledAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      Broadcast.countDocuments(query)
+    ]);
+    const stats = await BroadcastService.stats(broadcasts.map(broadcast => broadcast._id));
+
+    res.json({
+      broadcasts: broadcasts.map(broadcast => BroadcastService.present(broadcast, stats)),
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page)
+    });
+  } catch (error) {
+    handleError(res, error, 'fetching broadcasts');
+  }
+});
+
+// How many users an audience reaches right now, for the compose form (admin only)
+router.post('/audience/count',
+  auth,
+  checkRole(['admin']),
+  [body('audience').optional().isObject().withMessage('Audience must be an object')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const audience = await BroadcastService.resolveAudience(req.body.audience);
+      res.json({ count: await NotificationService.countAudience(audience) });
+    } catch (error) {
+      handleError(res, error, 'counting broadcast audience');
+    }
+  }
+);
+
+router.get('/:id', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const broadcast = await Broadcast.findById(req.params.id).populate('createdBy', 'name email');
+    if (!broadcast) {
+      return res.status(404).json({ message: 'Broadcast not found' });
+    }
+    const stats = await BroadcastService.stats([broadcast._id]);
+    res.json(BroadcastService.present(broadcast, stats));
+  } catch (error) {
+    handleError(res, error, 'fetching broadcast');
+  }
+});
+
+// Compose a broadcast; without scheduledAt it goes out straight away (admin only)
+router.post('/', auth, checkRole(['admin']), composeRules(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const broadcast = await BroadcastService.create(composed(req), req.user);
+    res.status(201).json(BroadcastService.present(broadcast));
+  } catch (error) {
+    handleError(res, error, 'creating broadcast');
+  }
+});
+
+// Edit or reschedule a broadcast that has not started sending (admin only)
+router.put('/:id', auth, checkRole(['admin']), composeRules(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const broadcast = await Broadcast.findById(req.params.id);
+    if (!broadcast) {
+      return res.status(404).json({ message: 'Broadcast not found' });
+    }
+
+    const updated = await BroadcastService.update(broadcast, composed(req));
+    res.json(BroadcastService.present(updated));
+  } catch (error) {
+    handleError(res, error, 'updating broadcast');
+  }
+});
+
+// Call off a scheduled broadcast (admin only)
+router.post('/:id/cancel', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const broadcast = await Broadcast.findById(req.params.id);
+    if (!broadcast) {
+      return res.status(404).json({ message: 'Broadcast not found' });
+    }
+
+    const cancelled = await BroadcastService.cancel(broadcast);
+    res.json(BroadcastService.present(cancelled));
+  } catch (error) {
+    handleError(res, error, 'cancelling broadcast');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Certificate = require('../models/Certificate');
+const Event = require('../models/Event');
+const { auth } = require('../middleware/auth');
+const CertificateService = require('../services/certificateService');
+const PolicyService = require('../services/policyService');
+
+// Generate certificates for an event's approved or checked-in registrants
+router.post('/event/:eventId',
+  auth,
+  [
+    body('checkedInOnly').optional().isBoolean().toBoolean().withMessage('checkedInOnly must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const event = await Event.findById(req.params.eventId);
+      if (!event) {
+        return res.status(404).json({ message: 'Event not found' });
+      }
+
+      if (!PolicyService.canManageRegistrations(req.user, event)) {
+        return res.status(403).json({ message: 'Not authorized' });
+      }
+
+      if (event.date > new Date()) {
+        return res.status(400).json({ message: 'Certificates can only be generated after the event' });
+      }
+
+      const created = await CertificateService.generateForEvent(event, req.user._id, {
+        checkedInOnly: Boolean(req.body.checkedInOnly)
+      });
+      const total = await Certificate.countDocuments({ event: event._id });
+
+      res.status(201).json({
+        message: `${created.length} certificate(s) generated`,
+        generated: created.length,
+        total
+      });
+    } catch (error) {
+      console.error('Error generating certificates:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// List certificates issued for an event
+router.get('/event/:eventId', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!PolicyService.canManageRegistrations(req.user, event)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const certificates = await Certificate.find({ event: event._id }).sort({ participantName: 1 });
+    res.json(certificates);
+  } catch (error) {
+    console.error('Error fetching certificates:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download all of an event's certificates as one PDF for printing
+router.get('/event/:eventId/pdf', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ message: 'Event not found' });
+    }
+
+    if (!PolicyService.canManageRegistrations(req.user, event)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    const certificates = await Certificate.find({ event: event._id }).sort({ participantName: 1 });
+    if (certificates.length === 0) {
+      return res.status(404).json({ message: 'No certificates have been generated for this event' });
+    }
+
+    const pdf = await CertificateService.renderPdf(certificates);
+    res.type('application/pdf');
+    res.set('Content-Disposition', `attachment; filename="certificates-${event._id}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error rendering certificates:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Public verification of a certificate
+router.get('/verify/:verificationId', async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({ verificationId: req.params.verificationId.toUpperCase() });
+    if (!certificate) {
+      return res.status(404).json({ valid: false, message: 'Certificate not found' });
+    }
+
+    res.json({
+      valid: true,
+      verificationId: certificate.verificationId,
+      participantName: certificate.participantName,
+      eventTitle: certificate.eventTitle,
+      eventDate: certificate.eventDate,
+      district: certificate.district,
+      issuedAt: certificate.issuedAt
+    });
+  } catch (error) {
+    console.error('Error verifying certificate:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download a single certificate by its verification ID
+router.get('/:verificationId/pdf', async (req, res) => {
+  try {
+    const certificate = await Certificate.findOne({ verificationId: req.params.verificationId.toUpperCase() });
+    if (!certificate) {
+      return res.status(404).json({ message: 'Certificate not found' });
+    }
+
+    const pdf = await CertificateService.renderPdf(certificate);
+    res.type('application/pdf');
+    res.set('Content-Disposition', `inline; filename="certificate-${certificate.verificationId}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error rendering certificate:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,338 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const CounsellingSlot = require('../models/CounsellingSlot');
+const Appointment = require('../models/Appointment');
+const { auth, checkRole } = require('../middleware/auth');
+const AppointmentService = require('../services/appointmentService');
+const AdminAreaService = require('../services/adminAreaService');
+
+const COUNSELLOR_ROLES = ['Official_member'];
+
+const clientValidation = [
+  body('reference').trim().notEmpty().withMessage('Reference is required'),
+  body('accessToken').trim().notEmpty().withMessage('Access token is required')
+];
+
+// What a client may see of their own appointment
+const clientView = (appointment, slot) => ({
+  reference: appointment.reference,
+  status: appointment.status,
+  startsAt: appointment.startsAt,
+  endsAt: appointment.endsAt,
+  mode: slot ? slot.mode : undefined,
+  location: slot ? slot.location : undefined,
+  cancelReason: appointment.cancelReason
+});
+
+const handleError = (res, error, label) => {
+  console.error(`Error ${label}:`, error);
+  if (error.name === 'BookingError') {
+    return res.status(error.status).json({ message: error.message });
+  }
+  if (error.name === 'AreaValidationError' || error.name === 'ValidationError') {
+    return res.status(400).json({ message: error.message });
+  }
+  res.status(500).json({ message: 'Server error' });
+};
+
+// List open slots for booking (no auth required)
+router.get('/slots', async (req, res) => {
+  try {
+    const { counsellor, district, mode, from, to } = req.query;
+    const filter = {
+      status: 'open',
+      startsAt: { $gt: new Date() }
+    };
+    if (counsellor) filter.counsellor = String(counsellor);
+    if (district) filter.district = String(district);
+    if (mode) filter.mode = String(mode);
+    if (from && !isNaN(new Date(from))) filter.startsAt.$gte = new Date(from);
+    if (to && !isNaN(new Date(to))) filter.startsAt.$lte = new Date(to);
+
+    const slots = await CounsellingSlot.find(filter)
+      .select('-appointment')
+      .sort({ startsAt: 1 })
+      .limit(200)
+      .populate('counsellor', 'name officialRole');
+
+    res.json(slots);
+  } catch (error) {
+    handleError(res, error, 'fetching slots');
+  }
+});
+
+// Publish availability slots (counsellors only)
+router.post('/slots',
+  auth,
+  checkRole(COUNSELLOR_ROLES),
+  [
+    body('slots').isArray({ min: 1, max: 100 }).withMessage('Provide between 1 and 100 slots'),
+    body('slots.*.startsAt').isISO8601().toDate().withMessage('Invalid start time'),
+    body('slots.*.endsAt').isISO8601().toDate().withMessage('Invalid end time'),
+    body('slots.*.mode').optional().isIn(['in_person', 'phone', 'video']).withMessage('Invalid mode'),
+    body('slots.*.location').optional().trim(),
+    body('district').optional().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const area = req.body.district
+        ? await AdminAreaService.resolve({ district: req.body.district })
+        : {};
+      const slots = await AppointmentService.createSlots(req.user, req.body.slots, area);
+
+      res.status(201).json(slots);
+    } catch (error) {
+      handleError(res, error, 'creating slots');
+    }
+  }
+);
+
+// The counsellor's own calendar
+router.get('/slots/mine', auth, checkRole(COUNSELLOR_ROLES), async (req, res) => {
+  try {
+    const { from, to, status } = req.query;
+    const filter = { counsellor: req.user._id };
+    if (status) filter.status = String(status);
+    if (from || to) {
+      filter.startsAt = {};
+      if (from) filter.startsAt.$gte = new Date(from);
+      if (to) filter.startsAt.$lte = new Date(to);
+      if (Object.values(filter.startsAt).some(date => isNaN(date))) {
+        return res.status(400).json({ message: 'Invalid date range' });
+      }
+    }
+
+    const slots = await CounsellingSlot.find(filter)
+      .sort({ startsAt: 1 })
+      .populate('appointment', 'reference name status');
+
+    res.json(slots);
+  } catch (error) {
+    handleError(res, error, 'fetching calendar');
+  }
+});
+
+// Withdraw a slot; a booked client is told and can pick another one
+router.delete('/slots/:id',
+  auth,
+  checkRole(COUNSELLOR_ROLES),
+  [body('reason').optional().trim()],
+  async (req, res) => {
+    try {
+      const slot = await CounsellingSlot.findById(req.params.id);
+      if (!slot) {
+        return res.status(404).json({ message: 'Slot not found' });
+      }
+      if (slot.counsellor.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: 'Not authorized' });
+      }
+
+      const cancelled = await AppointmentService.cancelSlot(slot._id, req.body.reason);
+      if (!cancelled) {
+        return res.status(409).json({ message: 'Slot is already cancelled' });
+      }
+
+      res.json({ message: 'Slot cancelled', slot: cancelled });
+    } catch (error) {
+      handleError(res, error, 'cancelling slot');
+    }
+  }
+);
+
+// Book a slot (no auth required)
+router.post('/appointments',
+  [
+    body('slotId').isMongoId().withMessage('Valid slot is required'),
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('email').isEmail().normalizeEmail().withMessage('Valid email is required'),
+    body('phone').optional().trim(),
+    body('preferredLanguage').optional().trim(),
+    body('concern').optional().trim().isLength({ max: 2000 }).withMessage('Please keep the note under 2000 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { slotId, name, email, phone, preferredLanguage, concern } = req.body;
+      const { appointment, slot, accessToken } = await AppointmentService.book(slotId, {
+        name,
+        email,
+        phone,
+        preferredLanguage,
+        concern,
+        locale: req.locale
+      });
+
+      res.status(201).json({
+        message: 'Appointment booked. Keep the reference and access token to reschedule or cancel.',
+        ...clientView(appointment, slot),
+        accessToken
+      });
+    } catch (error) {
+      handleError(res, error, 'booking appointment');
+    }
+  }
+);
+
+// Look up an appointment with its reference and access token (no auth required)
+router.post('/appointments/lookup', clientValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const appointment = await AppointmentService.findForClient(req.body.reference, req.body.accessToken);
+    if (!appointment) {
+      return res.status(404).json({ message: 'No appointment found for these details' });
+    }
+
+    const slot = await CounsellingSlot.findById(appointment.slot);
+    res.json(clientView(appointment, slot));
+  } catch (error) {
+    handleError(res, error, 'looking up appointment');
+  }
+});
+
+// Move an appointment to another open slot (no auth required)
+router.put('/appointments/reschedule',
+  [
+    ...clientValidation,
+    body('slotId').isMongoId().withMessage('Valid slot is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const appointment = await AppointmentService.findForClient(req.body.reference, req.body.accessToken);
+      if (!appointment) {
+        return res.status(404).json({ message: 'No appointment found for these details' });
+      }
+
+      const { slot } = await AppointmentService.reschedule(appointment, req.body.slotId);
+      res.json(clientView(appointment, slot));
+    } catch (error) {
+      handleError(res, error, 'rescheduling appointment');
+    }
+  }
+);
+
+// Cancel an appointment (no auth required)
+router.put('/appointments/cancel',
+  [
+    ...clientValidation,
+    body('reason').optional().trim()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const appointment = await AppointmentService.findForClient(req.body.reference, req.body.accessToken);
+      if (!appointment) {
+        return res.status(404).json({ message: 'No appointment found for these details' });
+      }
+
+      await AppointmentService.cancel(appointment, 'client', req.body.reason);
+      res.json(clientView(appointment));
+    } catch (error) {
+      handleError(res, error, 'cancelling appointment');
+    }
+  }
+);
+
+// The counsellor's appointments
+router.get('/appointments', auth, checkRole(COUNSELLOR_ROLES), async (req, res) => {
+  try {
+    const { status, upcoming, page = 1, limit = 20 } = req.query;
+    const filter = { counsellor: req.user._id };
+    if (status) filter.status = String(status);
+    if (upcoming === 'true') filter.startsAt = { $gt: new Date() };
+
+    const appointments = await Appointment.find(filter)
+      .sort({ startsAt: upcoming === 'true' ? 1 : -1 })
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .limit(parseInt(limit))
+      .populate('slot', 'mode location');
+    const total = await Appointment.countDocuments(filter);
+
+    res.json({
+      appointments,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page)
+    });
+  } catch (error) {
+    handleError(res, error, 'fetching appointments');
+  }
+});
+
+// A single appointment, including the client's note (assigned counsellor only)
+router.get('/appointments/:id', auth, checkRole(COUNSELLOR_ROLES), async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id)
+      .select('+concern')
+      .populate('slot', 'mode location');
+    if (!appointment) {
+      return res.status(404).json({ message: 'Appointment not found' });
+    }
+    if (appointment.counsellor.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+
+    res.json(appointment);
+  } catch (error) {
+    handleError(res, error, 'fetching appointment');
+  }
+});
+
+// Record how a session went (assigned counsellor only)
+router.put('/appointments/:id/status',
+  auth,
+  checkRole(COUNSELLOR_ROLES),
+  [body('status').isIn(['completed', 'no_show']).withMessage('Invalid status')],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const appointment = await Appointment.findById(req.params.id);
+      if (!appointment) {
+        return res.status(404).json({ message: 'Appointment not found' });
+      }
+      if (appointment.counsellor.toString() !== req.user._id.toString()) {
+        return res.status(403).json({ message: 'Not authorized' });
+      }
+      if (appointment.status !== 'booked') {
+        return res.status(400).json({ message: 'Only booked appointments can be updated' });
+      }
+      if (appointment.startsAt > new Date()) {
+        return res.status(400).json({ message: 'This session has not started yet' });
+      }
+
+      appointment.status = req.body.status;
+      await appointment.save();
+
+      res.json(appointment);
+    } catch (error) {
+      handleError(res, error, 'updating appointment');
+    }
+  }
+);
+
+module.exports = router;
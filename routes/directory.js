@@ -0,0 +1,226 @@
+const express = require('express');
+const router = express.Router();
+const { escapeRegExp } = require('lodash');
+const { body, query, validationResult } = require('express-validator');
+const SupportCentre = require('../models/SupportCentre');
+const { auth } = require('../middleware/auth');
+const isAdmin = require('../middleware/isAdmin');
+const AdminAreaService = require('../services/adminAreaService');
+
+const centreValidation = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('type').isIn(SupportCentre.TYPES).withMessage('Invalid type'),
+  body('district').if(body('type').not().equals('helpline')).trim().notEmpty().withMessage('District is required'),
+  body('services').optional().isArray().withMessage('Services must be an array'),
+  body('languages').optional().isArray().withMessage('Languages must be an array'),
+  body('timings').optional().isArray().withMessage('Timings must be an array'),
+  body('timings.*.opens').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Opening time must be HH:mm'),
+  body('timings.*.closes').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Closing time must be HH:mm'),
+  body('contact.email').optional({ checkFalsy: true }).isEmail().withMessage('Invalid contact email'),
+  body('latitude').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).toFloat().withMessage('Invalid latitude'),
+  body('longitude').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).toFloat().withMessage('Invalid longitude')
+];
+
+// Turn a request body into directory fields, validating the district and taluka
+const buildCentre = async (data) => {
+  const centre = {
+    name: data.name,
+    type: data.type,
+    description: data.description,
+    services: data.services || [],
+    languages: data.languages || [],
+    address: data.address,
+    timings: data.timings || [],
+    open24x7: Boolean(data.open24x7),
+    contact: data.contact || {},
+    isFree: Boolean(data.isFree),
+    // Left undefined so an update without them clears the old values
+    district: undefined,
+    districtArea: undefined,
+    taluka: undefined,
+    talukaArea: undefined,
+    location: undefined
+  };
+
+  if (data.district) {
+    const areas = await AdminAreaService.resolve({ district: data.district, taluka: data.taluka || undefined });
+    centre.district = areas.district.name;
+    centre.districtArea = areas.district._id;
+    centre.taluka = areas.taluka ? areas.taluka.name : undefined;
+    centre.talukaArea = areas.taluka ? areas.taluka._id : undefined;
+  }
+
+  if (data.latitude !== undefined && data.latitude !== null && data.longitude !== undefined && data.longitude !== null) {
+    centre.location = { type: 'Point', coordinates: [data.longitude, data.latitude] };
+  }
+
+  return centre;
+};
+
+// Search the directory by district, taluka, type, service or name
+router.get('/', async (req, res) => {
+  try {
+    const { type, service, district, taluka, q, page = 1, limit = 20 } = req.query;
+    const filter = { isActive: true };
+    if (type) filter.type = String(type);
+    if (service) filter.services = String(service).toLowerCase();
+    if (taluka) filter.taluka = String(taluka);
+    if (district) {
+      // Statewide helplines are relevant to every district
+      filter.$or = [{ district: String(district) }, { type: 'helpline', district: { $exists: false } }];
+    }
+    if (q) {
+      filter.name = { $regex: escapeRegExp(String(q)), $options: 'i' };
+    }
+
+    const centres = await SupportCentre.find(filter)
+      .sort({ name: 1 })
+      .skip((parseInt(page) - 1) * parseInt(limit))
+      .limit(parseInt(limit));
+    const total = await SupportCentre.countDocuments(filter);
+
+    res.json({
+      centres,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page)
+    });
+  } catch (error) {
+    console.error('Error searching directory:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Find the nearest centres to a point, with distance in metres
+router.get('/nearby',
+  [
+    query('lat').isFloat({ min: -90, max: 90 }).toFloat().withMessage('Valid latitude is required'),
+    query('lng').isFloat({ min: -180, max: 180 }).toFloat().withMessage('Valid longitude is required'),
+    query('radiusKm').optional().isFloat({ min: 0.1, max: 500 }).toFloat().withMessage('Radius must be between 0.1 and 500 km'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { lat, lng, radiusKm = 50, limit = 20, type, service } = req.query;
+      const filter = { isActive: true };
+      if (type) filter.type = String(type);
+      if (service) filter.services = String(service).toLowerCase();
+
+      const centres = await SupportCentre.aggregate([
+        {
+          $geoNear: {
+            near: { type: 'Point', coordinates: [lng, lat] },
+            distanceField: 'distance',
+            maxDistance: radiusKm * 1000,
+            query: filter,
+            spherical: true
+          }
+        },
+        { $limit: limit }
+      ]);
+
+      res.json(centres);
+    } catch (error) {
+      console.error('Error searching nearby centres:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// List the services offered across the directory
+router.get('/services', async (req, res) => {
+  try {
+    const services = await SupportCentre.distinct('services', { isActive: true });
+    res.json(services.sort());
+  } catch (error) {
+    console.error('Error fetching services:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a single directory entry
+router.get('/:id', async (req, res) => {
+  try {
+    const centre = await SupportCentre.findById(req.params.id);
+    if (!centre || !centre.isActive) {
+      return res.status(404).json({ message: 'Centre not found' });
+    }
+    res.json(centre);
+  } catch (error) {
+    console.error('Error fetching centre:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a directory entry (admin only)
+router.post('/', auth, isAdmin, centreValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const centre = new SupportCentre({
+      ...(await buildCentre(req.body)),
+      createdBy: req.user._id
+    });
+    await centre.save();
+
+    res.status(201).json(centre);
+  } catch (error) {
+    console.error('Error creating centre:', error);
+    if (error.name === 'AreaValidationError' || error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Update a directory entry (admin only)
+router.put('/:id', auth, isAdmin, centreValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const centre = await SupportCentre.findById(req.params.id);
+    if (!centre) {
+      return res.status(404).json({ message: 'Centre not found' });
+    }
+
+    centre.set(await buildCentre(req.body));
+    if (req.body.isActive !== undefined) {
+      centre.isActive = Boolean(req.body.isActive);
+    }
+    await centre.save();
+
+    res.json(centre);
+  } catch (error) {
+    console.error('Error updating centre:', error);
+    if (error.name === 'AreaValidationError' || error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a directory entry (admin only)
+router.delete('/:id', auth, isAdmin, async (req, res) => {
+  try {
+    const centre = await SupportCentre.findByIdAndDelete(req.params.id);
+    if (!centre) {
+      return res.status(404).json({ message: 'Centre not found' });
+    }
+    res.json({ message: 'Centre deleted' });
+  } catch (error) {
+    console.error('Error deleting centre:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
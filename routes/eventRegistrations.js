@@ -1,10 +1,41 @@
+const fs = require('fs');
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const EventRegistration = require('../models/EventRegistration');
 const Event = require('../models/Event');
 const { auth } = require('../middleware/auth');
 const { check, validationResult } = require('express-validator');
 const NotificationService = require('../services/notificationService');
+const RegistrationService = require('../services/registrationService');
+const TicketService = require('../services/ticketService');
+const SocketService = require('../services/socketService');
+const ExportService = require('../services/exportService');
+const AdminAreaService = require('../services/adminAreaService');
+const PolicyService = require('../services/policyService');
+const JobService = require('../services/jobService');
+const Job = require('../models/Job');
+
+const getAttendance = async (eventId) => {
+  const counts = await EventRegistration.aggregate([
+    { $match: { event: eventId } },
+    {
+      $group: {
+        _id: null,
+        approved: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] } },
+        checkedIn: { $sum: { $cond: [{ $ifNull: ['$checkedInAt', false] }, 1, 0] } },
+        total: { $sum: 1 }
+      }
+    }
+  ]);
+  const { approved = 0, checkedIn = 0, total = 0 } = counts[0] || {};
+  return {
+    registrations: total,
+    approved,
+    checkedIn,
+    attendanceRate: approved ? checkedIn / approved : 0
+  };
+};
 
 // Register for an event (no auth required)
 router.post('/', [
@@ -30,25 +61,50 @@ router.post('/', [
       return res.status(404).json({ msg: 'Event not found' });
     }
 
-    const registration = new EventRegistration({
-      ...req.body,
-      status: 'pending'
+    if (event.registrationDeadline && event.registrationDeadline < new Date()) {
+      return res.status(400).json({ msg: 'Registration for this event has closed' });
+    }
+
+    // Location must match the administrative master data
+    const areas = await AdminAreaService.resolve({
+      district: req.body.district,
+      taluka: req.body.taluka,
+      village: req.body.village
     });
 
-    await registration.save();
+    // Status, tickets and check-in are decided by the server, never by the client
+    const {
+      status, waitlistedAt, promotedAt, sharedWith,
+      ticketIssuedAt, checkedInAt, checkedInBy, locale,
+      ...data
+    } = req.body;
+    const registration = await RegistrationService.register(event, {
+      ...data,
+      locale: req.locale,
+      district: areas.district.name,
+      taluka: areas.taluka.name,
+      village: areas.village.name,
+      districtArea: areas.district._id,
+      talukaArea: areas.taluka._id,
+      villageArea: areas.village._id
+    });
+    const waitlistPosition = await RegistrationService.getWaitlistPosition(registration);
 
     // Send notification to event creator
-    await NotificationService.createNotification(
+    await NotificationService.createLocalizedNotification(
       event.createdBy,
-      'New Event Registration',
-      `${registration.name} has registered for your event "${event.title}"`,
+      registration.status === 'waitlisted' ? 'registrationWaitlisted' : 'registrationCreated',
+      { name: registration.name, event: event.title },
       'info',
       `/event-registrations/${event._id}`
     );
 
-    res.json(registration);
+    res.json({ ...registration.toObject(), waitlistPosition });
   } catch (err) {
     console.error(err.message);
+    if (err.name === 'AreaValidationError') {
+      return res.status(400).json({ msg: err.message });
+    }
     res.status(500).send('Server Error');
   }
 });
@@ -61,13 +117,16 @@ router.get('/event/:eventId', auth, async (req, res) => {
       return res.status(404).json({ msg: 'Event not found' });
     }
 
-    // Check if user is the creator or has been shared with
-    if (event.createdBy.toString() !== req.user.id && 
-        !event.sharedWith.includes(req.user.id)) {
+    // Check the event is within the user's jurisdiction
+    if (!PolicyService.canManageRegistrations(req.user, event)) {
       return res.status(403).json({ msg: 'Not authorized' });
     }
 
-    const registrations = await EventRegistration.find({ event: req.params.eventId })
+    // Block officers assigned to talukas only see registrations from them
+    const registrations = await EventRegistration.find({
+      event: req.params.eventId,
+      ...PolicyService.registrationFilter(req.user, event)
+    })
       .sort({ createdAt: -1 });
     
     res.json(registrations);
@@ -90,8 +149,8 @@ router.post('/share/:registrationId', auth, async (req, res) => {
       return res.status(404).json({ msg: 'Event not found' });
     }
 
-    // Check if user is the creator of the event
-    if (event.createdBy.toString() !== req.user.id) {
+    // Check the registration is within the user's jurisdiction
+    if (!PolicyService.canManageRegistrations(req.user, event, registration)) {
       return res.status(403).json({ msg: 'Not authorized' });
     }
 
@@ -102,10 +161,10 @@ router.post('/share/:registrationId', auth, async (req, res) => {
 
       // Send notifications to shared users
       for (const userId of req.body.userIds) {
-        await NotificationService.createNotification(
+        await NotificationService.createLocalizedNotification(
           userId,
-          'Event Registration Shared',
-          `Event registration for "${event.title}" has been shared with you`,
+          'registrationShared',
+          { event: event.title },
           'info',
           `/event-registrations/${event._id}`
         );
@@ -120,7 +179,14 @@ router.post('/share/:registrationId', auth, async (req, res) => {
 });
 
 // Update registration status (auth required)
-router.put('/:registrationId/status', auth, async (req, res) => {
+router.put('/:registrationId/status', auth, [
+  check('status', 'Invalid status').isIn(['pending', 'approved', 'rejected', 'waitlisted', 'cancelled']),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
   try {
     const registration = await EventRegistration.findById(req.params.registrationId);
     if (!registration) {
@@ -132,25 +198,343 @@ router.put('/:registrationId/status', auth, async (req, res) => {
       return res.status(404).json({ msg: 'Event not found' });
     }
 
-    // Check if user is the creator of the event
-    if (event.createdBy.toString() !== req.user.id) {
+    // Check the registration is within the user's jurisdiction
+    if (!PolicyService.canManageRegistrations(req.user, event, registration)) {
       return res.status(403).json({ msg: 'Not authorized' });
     }
 
     const oldStatus = registration.status;
-    registration.status = req.body.status;
-    await registration.save();
+    // Takes a seat when moving back to pending or approved, refused when the event is full
+    const updated = await RegistrationService.changeStatus(event, registration, req.body.status);
+
+    if (updated.ticketIssuedAt && !registration.ticketIssuedAt) {
+      try {
+        await TicketService.sendTicket(updated, event);
+      } catch (error) {
+        console.error('Error sending ticket:', error);
+      }
+    }
 
     // Send notification to the registrant's email about status change
-    await NotificationService.createNotification(
-      registration._id,
-      'Registration Status Updated',
-      `Your registration status for "${event.title}" has been updated from ${oldStatus} to ${req.body.status}`,
+    await RegistrationService.notifyRegistrant(
+      updated,
+      'registrationStatus',
+      {
+        event: event.title,
+        from: { key: `status.${oldStatus}` },
+        to: { key: `status.${req.body.status}` }
+      },
       'info',
       `/events/${event._id}`
     );
 
-    res.json(registration);
+    // A freed seat goes to the next person on the waitlist, never back to this registration
+    const seatFreed = RegistrationService.SEAT_STATUSES.includes(oldStatus) &&
+      !RegistrationService.SEAT_STATUSES.includes(updated.status);
+    if (seatFreed) {
+      await RegistrationService.promoteFromWaitlist(event, { except: updated._id });
+    }
+
+    res.json(updated);
+  } catch (err) {
+    if (err.name === 'SeatError') {
+      return res.status(err.status).json({ msg: err.message });
+    }
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// Export registrations across events as CSV or XLSX (auth required)
+router.get('/export', auth, async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!ExportService.FORMATS.includes(format)) {
+    return res.status(400).json({ msg: 'Format must be csv or xlsx' });
+  }
+
+  try {
+    RegistrationService.buildFilter(req.query);
+  } catch (error) {
+    return res.status(400).json({ msg: error.message });
+  }
+
+  try {
+    await ExportService.streamRegistrations(
+      res,
+      await ExportService.registrationsFilter(req.user, req.query),
+      format,
+      'registrations'
+    );
+  } catch (err) {
+    console.error(err.message);
+    if (res.headersSent) {
+      return res.destroy(err);
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// Build the same export in the background for large selections; the user is notified when it is ready
+router.post('/export/jobs', auth, async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!ExportService.FORMATS.includes(format)) {
+    return res.status(400).json({ msg: 'Format must be csv or xlsx' });
+  }
+
+  try {
+    RegistrationService.buildFilter(req.query);
+  } catch (error) {
+    return res.status(400).json({ msg: error.message });
+  }
+
+  try {
+    // Only plain values are kept; the filter is built again from them when the job runs
+    const query = Object.fromEntries(Object.entries(req.query).filter(([, value]) => (
+      typeof value === 'string' || (Array.isArray(value) && value.every(item => typeof item === 'string'))
+    )));
+    const job = await JobService.enqueue(
+      'exports.registrations',
+      { user: req.user._id, query, format },
+      { createdBy: req.user._id }
+    );
+    res.status(202).json({ id: job._id, status: job.status });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+const findExportJob = (req) => Job.findOne({
+  _id: mongoose.isValidObjectId(req.params.jobId) ? req.params.jobId : null,
+  type: 'exports.registrations',
+  createdBy: req.user._id
+});
+
+// Where a background export is up to
+router.get('/export/jobs/:jobId', auth, async (req, res) => {
+  try {
+    const job = await findExportJob(req);
+    if (!job) {
+      return res.status(404).json({ msg: 'Export not found' });
+    }
+
+    res.json({
+      id: job._id,
+      status: job.status,
+      format: job.payload.format,
+      error: job.status === 'dead' ? job.lastError : undefined,
+      createdAt: job.createdAt,
+      completedAt: job.completedAt,
+      expiresAt: job.result ? job.result.expiresAt : undefined
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// Download a finished background export
+router.get('/export/jobs/:jobId/download', auth, async (req, res) => {
+  try {
+    const job = await findExportJob(req);
+    if (!job) {
+      return res.status(404).json({ msg: 'Export not found' });
+    }
+    if (job.status !== 'completed') {
+      return res.status(409).json({ msg: 'Export is not ready yet' });
+    }
+    if (new Date(job.result.expiresAt) < new Date() || !fs.existsSync(job.result.path)) {
+      return res.status(410).json({ msg: 'Export has expired; please request it again' });
+    }
+
+    res.setHeader('Content-Type', ExportService.contentType(job.result.format));
+    res.setHeader('Content-Disposition', `attachment; filename="registrations.${job.result.format}"`);
+    fs.createReadStream(job.result.path).on('error', err => res.destroy(err)).pipe(res);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// Export one event's registrations as CSV or XLSX (auth required)
+router.get('/event/:eventId/export', auth, async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!ExportService.FORMATS.includes(format)) {
+    return res.status(400).json({ msg: 'Format must be csv or xlsx' });
+  }
+
+  let filter;
+  try {
+    filter = RegistrationService.buildFilter(req.query);
+  } catch (error) {
+    return res.status(400).json({ msg: error.message });
+  }
+
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ msg: 'Event not found' });
+    }
+
+    if (!PolicyService.canManageRegistrations(req.user, event)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    filter.event = event._id;
+    await ExportService.streamRegistrations(
+      res,
+      { $and: [filter, PolicyService.registrationFilter(req.user, event)] },
+      format,
+      `registrations-${event._id}`
+    );
+  } catch (err) {
+    console.error(err.message);
+    if (res.headersSent) {
+      return res.destroy(err);
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// Download a ticket as a QR image or PDF; knowing the signed code is the authorisation
+router.get('/ticket/:code', async (req, res) => {
+  try {
+    const parsed = TicketService.parseTicketCode(req.params.code);
+    if (!parsed) {
+      return res.status(400).json({ msg: 'Invalid ticket' });
+    }
+
+    const registration = await EventRegistration.findById(parsed.registrationId);
+    if (!registration || registration.event.toString() !== parsed.eventId || registration.status !== 'approved') {
+      return res.status(404).json({ msg: 'Ticket not found' });
+    }
+
+    const event = await Event.findById(registration.event);
+    if (!event) {
+      return res.status(404).json({ msg: 'Event not found' });
+    }
+
+    const code = TicketService.getTicketCode(registration);
+    if (req.query.format === 'png') {
+      const png = await TicketService.renderQrPng(code);
+      res.type('image/png');
+      return res.send(png);
+    }
+
+    const pdf = await TicketService.renderTicketPdf(registration, event);
+    res.type('application/pdf');
+    res.set('Content-Disposition', `inline; filename="ticket-${registration._id}.pdf"`);
+    res.send(pdf);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// Get the ticket code and links for a registration (auth required)
+router.get('/:registrationId/ticket', auth, async (req, res) => {
+  try {
+    const registration = await EventRegistration.findById(req.params.registrationId);
+    if (!registration) {
+      return res.status(404).json({ msg: 'Registration not found' });
+    }
+
+    const event = await Event.findById(registration.event);
+    if (!event) {
+      return res.status(404).json({ msg: 'Event not found' });
+    }
+
+    if (!PolicyService.canManageRegistrations(req.user, event, registration)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    if (registration.status !== 'approved') {
+      return res.status(400).json({ msg: 'Tickets are only issued for approved registrations' });
+    }
+
+    res.json({
+      code: TicketService.getTicketCode(registration),
+      qrUrl: TicketService.getTicketUrl(registration, 'png'),
+      pdfUrl: TicketService.getTicketUrl(registration, 'pdf'),
+      checkedInAt: registration.checkedInAt
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// Check in an attendee by scanning their ticket (auth required)
+router.post('/event/:eventId/check-in', auth, [
+  check('code', 'Ticket code is required').not().isEmpty(),
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ msg: 'Event not found' });
+    }
+
+    const parsed = TicketService.parseTicketCode(req.body.code);
+    if (!parsed || parsed.eventId !== event._id.toString()) {
+      return res.status(400).json({ msg: 'Invalid ticket' });
+    }
+
+    const registration = await EventRegistration.findById(parsed.registrationId);
+    if (!registration || registration.event.toString() !== parsed.eventId) {
+      return res.status(400).json({ msg: 'Invalid ticket' });
+    }
+
+    if (!PolicyService.canManageRegistrations(req.user, event, registration)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    if (registration.status !== 'approved') {
+      return res.status(400).json({ msg: `Registration is ${registration.status}, not approved` });
+    }
+
+    // Only the first scan wins, even if two volunteers scan at the same moment
+    const checkedIn = await EventRegistration.findOneAndUpdate(
+      { _id: registration._id, checkedInAt: { $exists: false } },
+      { checkedInAt: new Date(), checkedInBy: req.user._id },
+      { new: true }
+    );
+    if (!checkedIn) {
+      return res.status(409).json({
+        msg: 'Ticket has already been checked in',
+        checkedInAt: registration.checkedInAt
+      });
+    }
+
+    const attendance = await getAttendance(event._id);
+
+    // Keep the organiser's live dashboard current
+    SocketService.emitToUser(event.createdBy, 'attendance_update', { eventId: event._id, ...attendance });
+
+    res.json({ registration: checkedIn, attendance });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// Live attendance against registrations (auth required)
+router.get('/event/:eventId/attendance', auth, async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({ msg: 'Event not found' });
+    }
+
+    if (!PolicyService.canManageRegistrations(req.user, event)) {
+      return res.status(403).json({ msg: 'Not authorized' });
+    }
+
+    res.json(await getAttendance(event._id));
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
@@ -1,20 +1,26 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
 const { body, validationResult } = require('express-validator');
 const Event = require('../models/Event');
-const User = require('../models/User');
 const NotificationService = require('../services/notificationService');
 const { auth, checkRole } = require('../middleware/auth');
+const validateUploads = require('../middleware/validateUploads');
 const EventRegistration = require('../models/EventRegistration');
-
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+const RegistrationService = require('../services/registrationService');
+const AdminArea = require('../models/AdminArea');
+const AdminAreaService = require('../services/adminAreaService');
+const PolicyService = require('../services/policyService');
+const LocaleService = require('../services/localeService');
+const SearchService = require('../services/searchService');
+const StorageService = require('../services/storageService');
+const UploadSessionService = require('../services/uploadSessionService');
+
+// Types accepted per form field; validateUploads checks the content really is one of them
+const UPLOAD_TYPES = {
+  images: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'],
+  reports: ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document']
+};
 
 // Configure multer for file uploads
 const upload = multer({
@@ -25,12 +31,11 @@ const upload = multer({
   fileFilter: (req, file, cb) => {
     // Accept images and documents
     if (file.fieldname === 'images') {
-      if (!file.mimetype.startsWith('image/')) {
-        return cb(new Error('Only image files are allowed for images'), false);
+      if (!UPLOAD_TYPES.images.includes(file.mimetype)) {
+        return cb(new Error('Only JPEG, PNG, GIF and WebP images are allowed for images'), false);
       }
     } else if (file.fieldname === 'reports') {
-      const allowedMimes = ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
-      if (!allowedMimes.includes(file.mimetype)) {
+      if (!UPLOAD_TYPES.reports.includes(file.mimetype)) {
         return cb(new Error('Only PDF and Word documents are allowed for reports'), false);
       }
     }
@@ -41,122 +46,121 @@ const upload = multer({
   { name: 'reports', maxCount: 5 }
 ]);
 
+const asReport = (file) => ({ ...file, fileUrl: file.url });
+
+// Store uploaded images and reports and take finished resumable uploads listed in uploadIds.
+// Reports keep their link in fileUrl.
+const saveUploads = async (req) => {
+  const files = req.files || {};
+  const images = await StorageService.saveAll(files.images, { folder: 'events/images' });
+  let reports = [];
+  try {
+    reports = await StorageService.saveAll(files.reports, { folder: 'events/reports' });
+    const uploadIds = JSON.parse(req.body.uploadIds || '[]');
+    const uploaded = await UploadSessionService.claim(uploadIds, req.user, 'event');
+
+    return {
+      images,
+      reports: [...reports, ...uploaded.filter(file => file.mimetype.startsWith('application/'))].map(asReport),
+      videos: uploaded.filter(file => file.mimetype.startsWith('video/')),
+      audio: uploaded.filter(file => file.mimetype.startsWith('audio/')),
+      uploadIds
+    };
+  } catch (error) {
+    await StorageService.removeAll([...images, ...reports]);
+    throw error;
+  }
+};
+
 // Create event
 router.post('/',
   auth,
   checkRole(['admin', 'block_officer', 'Official_member']),
   upload,
+  validateUploads(UPLOAD_TYPES),
   [
     body('title').trim().notEmpty().withMessage('Title is required'),
     body('description').trim().notEmpty().withMessage('Description is required'),
     body('location').trim().notEmpty().withMessage('Location is required'),
     body('district').trim().notEmpty().withMessage('District is required'),
     body('date').isISO8601().toDate().withMessage('Valid date is required'),
-    body('time').optional().isString().withMessage('Time should be in a valid format')
+    body('time').optional().isString().withMessage('Time should be in a valid format'),
+    body('capacity').optional({ checkFalsy: true }).isInt({ min: 1 }).toInt().withMessage('Capacity must be a positive number'),
+    body('registrationDeadline').optional({ checkFalsy: true }).isISO8601().toDate().withMessage('Valid registration deadline is required'),
+    body('sourceLocale').optional({ checkFalsy: true }).isIn(LocaleService.SUPPORTED_LOCALES).withMessage('Unsupported language')
   ],
   async (req, res) => {
+    let claimedUploads = [];
     try {
       const errors = validationResult(req);
       if (!errors.isEmpty()) {
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { title, description, location, district, date, time } = req.body;
-
-      // Upload images to Cloudinary only if images are provided
-      let images = [];
-      if (req.files && req.files.images && req.files.images.length > 0) {
-        const imageUploadPromises = req.files.images.map(file => {
-          return new Promise((resolve, reject) => {
-            const stream = cloudinary.uploader.upload_stream(
-              { 
-                folder: 'events/images',
-                resource_type: 'image'
-              },
-              (error, result) => {
-                if (error) reject(error);
-                else resolve({ url: result.secure_url, publicId: result.public_id });
-              }
-            );
-
-            stream.end(file.buffer);
-          });
-        });
-
-        images = await Promise.all(imageUploadPromises);
-      }
+      const { title, description, location, date, time, capacity, registrationDeadline, sourceLocale } = req.body;
+      const translations = LocaleService.parseTranslations(req.body.translations, Event.TRANSLATABLE_FIELDS);
 
-      // Upload reports to Cloudinary
-      let reports = [];
-      if (req.files && req.files.reports && req.files.reports.length > 0) {
-        const reportUploadPromises = req.files.reports.map(file => {
-          return new Promise((resolve, reject) => {
-            const stream = cloudinary.uploader.upload_stream(
-              { 
-                folder: 'events/reports',
-                resource_type: 'raw',
-                access_mode: 'public',
-                use_filename: true,
-                unique_filename: true,
-                type: 'upload'
-              },
-              (error, result) => {
-                if (error) reject(error);
-                else resolve({
-                  filename: file.originalname,
-                  size: file.size,
-                  mimetype: file.mimetype,
-                  fileUrl: result.secure_url,
-                  publicId: result.public_id
-                });
-              }
-            );
-
-            stream.end(file.buffer);
-          });
-        });
-
-        reports = await Promise.all(reportUploadPromises);
+      // Districts must come from the administrative master data
+      const areas = await AdminAreaService.resolve({ district: req.body.district });
+      const district = areas.district.name;
+
+      // Block officers can only create events in their own district
+      if (!PolicyService.canCreateEventIn(req.user, areas.district)) {
+        return res.status(403).json({ message: 'You can only create events in your own district' });
       }
 
+      // Store images and reports only if they are provided
+      const { images, reports, videos, audio, uploadIds } = await saveUploads(req);
+      claimedUploads = uploadIds;
+
       const event = new Event({
         title,
         description,
         location,
         district,
+        districtArea: areas.district._id,
         date,
         time,
+        capacity: capacity || undefined,
+        seatsTaken: 0,
+        registrationDeadline: registrationDeadline || undefined,
+        sourceLocale: sourceLocale || undefined,
+        translations,
         images,
         reports,
+        videos,
+        audio,
         createdBy: req.user._id
       });
 
       await event.save();
-
-      // Find all users to notify
-      const usersToNotify = await User.find({});
-
-      // Send notifications to all users except the event creator
-      const notificationPromises = usersToNotify.map(user => {
-        // Don't notify the event creator
-        if (user._id.toString() === req.user._id.toString()) return null;
-
-        return NotificationService.createNotification(
-          user._id,
-          'New Event Created',
-          `A new event "${title}" has been created in ${district}`,
+      // The event owns the uploaded files now
+      claimedUploads = [];
+
+      // Notify everyone except the event creator from the job queue
+      try {
+        await NotificationService.queueForAudience(
+          { exclude: [req.user._id] },
+          'eventCreated',
+          { event: title, district },
           'info',
-          `/events/${event._id}`
+          `/events/${event._id}`,
+          // Users who follow only some districts skip events elsewhere
+          { districtArea: areas.district._id }
         );
-      });
-
-      // Filter out null promises (for event creator) and wait for all notifications
-      await Promise.all(notificationPromises.filter(Boolean));
+      } catch (error) {
+        // The event is saved; a missed announcement should not report it as failed
+        console.error('Error queueing event notifications:', error);
+      }
 
       res.status(201).json(event);
     } catch (error) {
       console.error('Error creating event:', error);
-      if (error.name === 'MulterError') {
+      await UploadSessionService.release(claimedUploads);
+      if (error.name === 'UploadSessionError') {
+        return res.status(error.status).json({ message: error.message });
+      }
+      if (['MulterError', 'AreaValidationError', 'LocaleValidationError'].includes(error.name)) {
         return res.status(400).json({ message: error.message });
       }
       res.status(500).json({ message: 'Server error', error: error.message });
@@ -171,13 +175,10 @@ router.get('/', async (req, res) => {
     const skip = (page - 1) * limit;
 
     let query = {};
-    if (search) {
-      query = {
-        $or: [
-          { title: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } }
-        ]
-      };
+    // Uses the text index; raw input never reaches the regex engine
+    const textSearch = SearchService.textQuery(search);
+    if (textSearch) {
+      query = { $text: { $search: textSearch } };
     }
 
     if (type !== 'all') {
@@ -199,7 +200,7 @@ router.get('/', async (req, res) => {
     const totalPages = Math.ceil(total / limit);
 
     res.json({
-      events,
+      events: events.map(event => LocaleService.localize(event, Event.TRANSLATABLE_FIELDS, req.contentLocale)),
       totalPages,
       currentPage: parseInt(page)
     });
@@ -247,6 +248,17 @@ router.get('/my-events', auth, async (req, res) => {
   }
 });
 
+// Get district names from the administrative master data
+router.get('/districts', async (req, res) => {
+  try {
+    const districts = await AdminArea.find({ level: 'district', isActive: true }).distinct('name');
+    res.json(districts.sort());
+  } catch (error) {
+    console.error('Error fetching districts:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get a single event with its registrations
 router.get('/:id', async (req, res) => {
   try {
@@ -257,50 +269,73 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ msg: 'Event not found' });
     }
 
+    const localized = LocaleService.localize(event, Event.TRANSLATABLE_FIELDS, req.contentLocale);
+
     // If user is authenticated and is the creator, include registrations
     if (req.user && event.createdBy._id.toString() === req.user.id) {
       const registrations = await EventRegistration.find({ event: event._id });
       return res.json({
-        ...event.toObject(),
+        ...localized,
         registrations
       });
     }
 
-    res.json(event);
+    res.json(localized);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
   }
 });
 
-// Get unique districts
-router.get('/districts', async (req, res) => {
-  try {
-    const districts = await Event.distinct('district');
-    res.json(districts.sort());
-  } catch (error) {
-    console.error('Error fetching districts:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
 // Update event
 router.put('/:id',
   auth,
   checkRole(['admin', 'block_officer', 'Official_member']),
   upload,
+  validateUploads(UPLOAD_TYPES),
+  [
+    body('capacity').optional({ checkFalsy: true }).isInt({ min: 1 }).toInt().withMessage('Capacity must be a positive number')
+  ],
   async (req, res) => {
+    let claimedUploads = [];
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
       const event = await Event.findById(req.params.id);
       if (!event) {
         return res.status(404).json({ message: 'Event not found' });
       }
 
       // Check if user is authorized to update
-      if (event.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      if (!PolicyService.canEditEvent(req.user, event)) {
         return res.status(403).json({ message: 'Not authorized' });
       }
 
+      // Capacity cannot drop below the seats already taken; cancel or waitlist registrations first.
+      // A sign-up racing this edit can still take a seat it checked for, and keeps it.
+      if (typeof req.body.capacity === 'number') {
+        const taken = event.seatsTaken !== undefined
+          ? event.seatsTaken
+          : await RegistrationService.countTakenSeats(event._id);
+        if (req.body.capacity < taken) {
+          return res.status(400).json({ message: `Capacity cannot be lower than the ${taken} seats already taken` });
+        }
+      }
+
+      const translations = LocaleService.parseTranslations(req.body.translations, Event.TRANSLATABLE_FIELDS);
+
+      // A changed district must exist in the administrative master data
+      let areas = null;
+      if (req.body.district) {
+        areas = await AdminAreaService.resolve({ district: req.body.district });
+        if (!PolicyService.canCreateEventIn(req.user, areas.district)) {
+          return res.status(403).json({ message: 'You can only move events within your own district' });
+        }
+      }
+
       // Handle existing images and reports
       let existingImages = [];
       let existingReports = [];
@@ -315,59 +350,25 @@ router.put('/:id',
         existingReports = event.reports.filter(report => existingReportIds.includes(report._id.toString()));
       }
 
-      // Handle new image uploads
-      let newImages = [];
-      if (req.files && req.files.images) {
-        const imageUploadPromises = req.files.images.map(file => {
-          return new Promise((resolve, reject) => {
-            const stream = cloudinary.uploader.upload_stream(
-              { 
-                folder: 'events/images',
-                resource_type: 'image'
-              },
-              (error, result) => {
-                if (error) reject(error);
-                else resolve({ url: result.secure_url, publicId: result.public_id });
-              }
-            );
-            stream.end(file.buffer);
-          });
-        });
-        newImages = await Promise.all(imageUploadPromises);
-      }
-
-      // Handle new report uploads
-      let newReports = [];
-      if (req.files && req.files.reports) {
-        const reportUploadPromises = req.files.reports.map(file => {
-          return new Promise((resolve, reject) => {
-            const stream = cloudinary.uploader.upload_stream(
-              { 
-                folder: 'events/reports',
-                resource_type: 'raw',
-                access_mode: 'public',
-                use_filename: true,
-                unique_filename: true,
-                type: 'upload'
-              },
-              (error, result) => {
-                if (error) reject(error);
-                else resolve({
-                  filename: file.originalname,
-                  size: file.size,
-                  mimetype: file.mimetype,
-                  fileUrl: result.secure_url,
-                  publicId: result.public_id
-                });
-              }
-            );
-            stream.end(file.buffer);
-          });
-        });
-        newReports = await Promise.all(reportUploadPromises);
-      }
-
-      // Delete removed files from Cloudinary
+      // Videos and audio are only dropped when the client lists the ones to keep
+      const existingVideos = req.body.existingVideos
+        ? event.videos.filter(video => JSON.parse(req.body.existingVideos).includes(video._id.toString()))
+        : event.videos;
+      const existingAudio = req.body.existingAudio
+        ? event.audio.filter(track => JSON.parse(req.body.existingAudio).includes(track._id.toString()))
+        : event.audio;
+
+      // Handle new uploads
+      const {
+        images: newImages,
+        reports: newReports,
+        videos: newVideos,
+        audio: newAudio,
+        uploadIds
+      } = await saveUploads(req);
+      claimedUploads = uploadIds;
+
+      // Delete removed files from storage
       const removedImages = event.images.filter(img => 
         !existingImages.some(existing => existing._id.toString() === img._id.toString())
       );
@@ -375,32 +376,72 @@ router.put('/:id',
         !existingReports.some(existing => existing._id.toString() === report._id.toString())
       );
 
-      const deletePromises = [
-        ...removedImages.map(image => cloudinary.uploader.destroy(image.publicId)),
-        ...removedReports.map(report => cloudinary.uploader.destroy(report.publicId, { resource_type: 'raw' }))
+      const removedMedia = [
+        ...event.videos.filter(video => !existingVideos.includes(video)),
+        ...event.audio.filter(track => !existingAudio.includes(track))
       ];
-      await Promise.all(deletePromises);
+
+      await StorageService.removeAll([...removedImages, ...removedReports, ...removedMedia]);
 
       // Update the event with new data
       const updatedEventData = {
         ...req.body,
         images: [...existingImages, ...newImages],
-        reports: [...existingReports, ...newReports]
+        reports: [...existingReports, ...newReports],
+        videos: [...existingVideos, ...newVideos],
+        audio: [...existingAudio, ...newAudio]
       };
 
       // Remove the stringified arrays from the update data
       delete updatedEventData.existingImages;
       delete updatedEventData.existingReports;
+      delete updatedEventData.existingVideos;
+      delete updatedEventData.existingAudio;
+      delete updatedEventData.uploadIds;
+      // Only RegistrationService moves the seat counter
+      delete updatedEventData.seatsTaken;
+      delete updatedEventData.translations;
+      if (translations) {
+        updatedEventData.translations = translations;
+      }
+
+      if (areas) {
+        updatedEventData.district = areas.district.name;
+        updatedEventData.districtArea = areas.district._id;
+      } else {
+        delete updatedEventData.district;
+        delete updatedEventData.districtArea;
+      }
+
+      // An empty value clears the limit or deadline
+      const unsetData = {};
+      ['capacity', 'registrationDeadline'].forEach(field => {
+        if (updatedEventData[field] === '') {
+          delete updatedEventData[field];
+          unsetData[field] = '';
+        }
+      });
 
       const updatedEvent = await Event.findByIdAndUpdate(
         req.params.id,
-        { $set: updatedEventData },
-        { new: true }
+        { $set: updatedEventData, $unset: unsetData },
+        { new: true, runValidators: true }
       ).populate('createdBy', 'name email');
+      claimedUploads = [];
+
+      // Raising or removing the capacity may free seats for waitlisted people
+      await RegistrationService.promoteFromWaitlist(updatedEvent);
 
       res.json(updatedEvent);
     } catch (error) {
       console.error('Error updating event:', error);
+      await UploadSessionService.release(claimedUploads);
+      if (error.name === 'UploadSessionError') {
+        return res.status(error.status).json({ message: error.message });
+      }
+      if (error.name === 'AreaValidationError' || error.name === 'LocaleValidationError') {
+        return res.status(400).json({ message: error.message });
+      }
       res.status(500).json({ message: 'Server error', error: error.message });
     }
   }
@@ -418,16 +459,12 @@ router.delete('/:id',
       }
 
       // Check if user is authorized to delete
-      if (event.createdBy.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      if (!PolicyService.canEditEvent(req.user, event)) {
         return res.status(403).json({ message: 'Not authorized' });
       }
 
-      // Delete images and reports from Cloudinary
-      const deletePromises = [
-        ...event.images.map(image => cloudinary.uploader.destroy(image.publicId)),
-        ...event.reports.map(report => cloudinary.uploader.destroy(report.publicId, { resource_type: 'raw' }))
-      ];
-      await Promise.all(deletePromises);
+      // Delete images, reports and media from storage
+      await StorageService.removeAll([...event.images, ...event.reports, ...event.videos, ...event.audio]);
 
       await event.deleteOne();
       res.json({ message: 'Event deleted' });
@@ -1,49 +1,44 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 const Initiative = require('../models/Initiative');
-const { auth } = require('../middleware/auth');
+const InitiativeRevision = require('../models/InitiativeRevision');
+const { body, validationResult } = require('express-validator');
+const { auth, optionalAuth } = require('../middleware/auth');
 const isAdmin = require('../middleware/isAdmin');
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadDir = 'uploads/initiatives';
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-    }
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
+const validateUploads = require('../middleware/validateUploads');
+const InitiativeService = require('../services/initiativeService');
+const LocaleService = require('../services/localeService');
+const StorageService = require('../services/storageService');
+const ImageService = require('../services/imageService');
+const UploadSessionService = require('../services/uploadSessionService');
+const MediaService = require('../services/mediaService');
+
+// Types accepted per form field; validateUploads checks the content really is one of them
+const UPLOAD_TYPES = {
+  files: [
+    'image/jpeg',
+    'image/png',
+    'image/gif',
+    'video/mp4',
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'audio/mpeg',     // MP3
+    'audio/wav',      // WAV
+    'audio/ogg',      // OGG
+    'audio/aac'       // AAC
+  ]
+};
+
+// Configure multer for file uploads; files are held in memory until StorageService stores them
 const upload = multer({
-  storage: storage,
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = [
-      'image/jpeg',
-      'image/png',
-      'image/gif',
-      'video/mp4',
-      'application/pdf',
-      'application/msword',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-      'audio/mpeg',     // MP3
-      'audio/wav',      // WAV
-      'audio/ogg',      // OGG
-      'audio/aac'       // AAC
-    ];
-    
-    if (allowedTypes.includes(file.mimetype)) {
+    if ((UPLOAD_TYPES[file.fieldname] || []).includes(file.mimetype)) {
       cb(null, true);
     } else {
       cb(new Error('Invalid file type'));
@@ -51,10 +46,34 @@ const upload = multer({
   }
 });
 
-// Get all initiatives with filtering options
-router.get('/', async (req, res) => {
+// Files kept on edit, picked by _id from the stored initiative; the client may send ids or the
+// file objects it was given, but only the _id is read, so nobody can point a file elsewhere
+const keptFiles = (initiative, field, value) => {
+  const ids = new Set(JSON.parse(value || '[]').map(entry => String(entry && entry._id ? entry._id : entry)));
+  return initiative[field]
+    .filter(file => ids.has(file._id.toString()))
+    .map(file => file.toObject({ virtuals: false }));
+};
+
+// New videos and audio are transcoded in the background; the periodic sweep covers a failed request here
+const scheduleMedia = (files) => {
+  if (files.some(file => file.processing && file.processing.status === 'pending')) {
+    MediaService.schedule().catch(error => console.error('Error scheduling media processing:', error));
+  }
+};
+
+// Get all initiatives with filtering options; editors can ask for other states with ?status=
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    let query = {};
+    let query = InitiativeService.publicFilter();
+
+    if (req.query.status && InitiativeService.isEditor(req.user)) {
+      const statuses = String(req.query.status).split(',').map(status => status.trim()).filter(Boolean);
+      if (statuses.some(status => !Initiative.STATUSES.includes(status))) {
+        return res.status(400).json({ message: 'Invalid status' });
+      }
+      query = InitiativeService.editorFilter(req.user, statuses);
+    }
     
     // Filter by category if provided
     if (req.query.category) {
@@ -72,6 +91,7 @@ router.get('/', async (req, res) => {
     console.log('Initiative API query:', JSON.stringify(query));
     
     const initiatives = await Initiative.find(query)
+      .select(InitiativeService.isEditor(req.user) ? '' : '-reviewHistory')
       .sort({ createdAt: -1 })
       .limit(limit);
     
@@ -92,7 +112,7 @@ router.get('/', async (req, res) => {
       }
     }
       
-    res.json(initiatives);
+    res.json(initiatives.map(item => LocaleService.localize(item, Initiative.TRANSLATABLE_FIELDS, req.contentLocale)));
   } catch (error) {
     console.error('Error in initiatives API:', error);
     res.status(500).json({ message: error.message });
@@ -100,48 +120,37 @@ router.get('/', async (req, res) => {
 });
 
 // Create new initiative (admin only)
-router.post('/', auth, isAdmin, upload.array('files'), async (req, res) => {
+router.post('/', auth, isAdmin, upload.array('files'), validateUploads(UPLOAD_TYPES), async (req, res) => {
+  let savedFiles = [];
+  let claimedUploads = [];
   try {
     const { initiative, subCategory, title, description, content } = req.body;
     const listItems = JSON.parse(req.body.listItems || '[]');
+    const translations = LocaleService.parseTranslations(req.body.translations, Initiative.TRANSLATABLE_FIELDS);
     
-    const files = req.files || [];
+    savedFiles = await StorageService.saveAll(req.files, { folder: 'initiatives' }, ImageService.save);
+    // Large files sent beforehand through /api/uploads
+    const uploadIds = JSON.parse(req.body.uploadIds || '[]');
+    const uploaded = await UploadSessionService.claim(uploadIds, req.user, 'initiative');
+    claimedUploads = uploadIds;
     const images = [];
     const videos = [];
     const documents = [];
     const audio = [];  // Added for audio files
 
     // Categorize new files
-    files.forEach(file => {
-      const fileData = {
-        filename: file.originalname,
-        path: file.path,
-        mimetype: file.mimetype,
-        size: file.size
-      };
-
-      if (file.mimetype.startsWith('image/')) {
+    [...savedFiles, ...uploaded].forEach(fileData => {
+      if (fileData.mimetype.startsWith('image/')) {
         images.push(fileData);
-      } else if (file.mimetype.startsWith('video/')) {
-        videos.push(fileData);
-      } else if (file.mimetype.startsWith('audio/')) {
-        audio.push(fileData);
+      } else if (fileData.mimetype.startsWith('video/')) {
+        videos.push(MediaService.queued(fileData));
+      } else if (fileData.mimetype.startsWith('audio/')) {
+        audio.push(MediaService.queued(fileData));
       } else {
         documents.push(fileData);
       }
     });
 
-    // Add existing files
-    const existingImages = JSON.parse(req.body.existingImages || '[]');
-    const existingVideos = JSON.parse(req.body.existingVideos || '[]');
-    const existingDocuments = JSON.parse(req.body.existingDocuments || '[]');
-    const existingAudio = JSON.parse(req.body.existingAudio || '[]');
-
-    images.push(...existingImages);
-    videos.push(...existingVideos);
-    documents.push(...existingDocuments);
-    audio.push(...existingAudio);
-
     const newInitiative = new Initiative({
       initiative,
       subCategory,
@@ -153,39 +162,53 @@ router.post('/', auth, isAdmin, upload.array('files'), async (req, res) => {
       documents,
       audio,
       listItems,
+      sourceLocale: req.body.sourceLocale || undefined,
+      translations,
+      // Everything starts as a draft and goes live through the review actions
+      status: 'draft',
       createdBy: req.user.id
     });
 
     const savedInitiative = await newInitiative.save();
+    // The initiative owns the files now
+    savedFiles = [];
+    claimedUploads = [];
+    scheduleMedia([...videos, ...audio]);
+    await InitiativeService.recordRevision(savedInitiative, req.user._id, 'create');
     res.status(201).json(savedInitiative);
   } catch (error) {
     // Clean up uploaded files if there's an error
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, err => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
+    await StorageService.removeAll(savedFiles);
+    await UploadSessionService.release(claimedUploads);
     res.status(400).json({ message: error.message });
   }
 });
 
 // Update initiative (admin only)
-router.put('/:id', auth, isAdmin, upload.array('files'), async (req, res) => {
+router.put('/:id', auth, isAdmin, upload.array('files'), validateUploads(UPLOAD_TYPES), async (req, res) => {
+  let savedFiles = [];
+  let claimedUploads = [];
   try {
     const initiative = await Initiative.findById(req.params.id);
     if (!initiative) {
       return res.status(404).json({ message: 'Initiative not found' });
     }
+    if (!InitiativeService.canEdit(req.user, initiative)) {
+      return res.status(403).json({ message: 'Only drafts you created can be edited; ask an admin to reopen it' });
+    }
 
     console.log('Updating initiative ID:', req.params.id);
     console.log('Received files:', req.files ? req.files.length : 0);
 
     const { title, description, content, initiative: initiativeType, subCategory } = req.body;
     const listItems = JSON.parse(req.body.listItems || '[]');
+    const translations = LocaleService.parseTranslations(req.body.translations, Initiative.TRANSLATABLE_FIELDS);
     
-    const files = req.files || [];
+    savedFiles = await StorageService.saveAll(req.files, { folder: 'initiatives' }, ImageService.save);
+    // Large files sent beforehand through /api/uploads
+    const uploadIds = JSON.parse(req.body.uploadIds || '[]');
+    const uploaded = await UploadSessionService.claim(uploadIds, req.user, 'initiative');
+    claimedUploads = uploadIds;
     const images = [];
     const videos = [];
     const documents = [];
@@ -193,26 +216,18 @@ router.put('/:id', auth, isAdmin, upload.array('files'), async (req, res) => {
 
     // Categorize new files
     console.log('Categorizing uploaded files...');
-    files.forEach(file => {
-      const fileData = {
-        originalname: file.originalname,
-        filename: file.filename,
-        path: file.path,
-        mimetype: file.mimetype,
-        size: file.size
-      };
-
-      console.log('Processing file:', file.originalname, 'type:', file.mimetype);
-
-      if (file.mimetype.startsWith('image/')) {
+    [...savedFiles, ...uploaded].forEach(fileData => {
+      console.log('Processing file:', fileData.filename, 'type:', fileData.mimetype);
+
+      if (fileData.mimetype.startsWith('image/')) {
         console.log('Categorized as image');
         images.push(fileData);
-      } else if (file.mimetype.startsWith('video/')) {
+      } else if (fileData.mimetype.startsWith('video/')) {
         console.log('Categorized as video');
-        videos.push(fileData);
-      } else if (file.mimetype.startsWith('audio/')) {
+        videos.push(MediaService.queued(fileData));
+      } else if (fileData.mimetype.startsWith('audio/')) {
         console.log('Categorized as audio');
-        audio.push(fileData);
+        audio.push(MediaService.queued(fileData));
       } else {
         console.log('Categorized as document');
         documents.push(fileData);
@@ -221,10 +236,10 @@ router.put('/:id', auth, isAdmin, upload.array('files'), async (req, res) => {
 
     // Add existing files
     try {
-      const existingImages = JSON.parse(req.body.existingImages || '[]');
-      const existingVideos = JSON.parse(req.body.existingVideos || '[]');
-      const existingDocuments = JSON.parse(req.body.existingDocuments || '[]');
-      const existingAudio = JSON.parse(req.body.existingAudio || '[]');
+      const existingImages = keptFiles(initiative, 'images', req.body.existingImages);
+      const existingVideos = keptFiles(initiative, 'videos', req.body.existingVideos);
+      const existingDocuments = keptFiles(initiative, 'documents', req.body.existingDocuments);
+      const existingAudio = keptFiles(initiative, 'audio', req.body.existingAudio);
 
       console.log('Existing images:', existingImages.length);
       console.log('Existing videos:', existingVideos.length);
@@ -244,38 +259,8 @@ router.put('/:id', auth, isAdmin, upload.array('files'), async (req, res) => {
       console.error('Error processing existing files:', error);
     }
 
-    // Delete old files that are not in existing files
-    const oldImages = initiative.images || [];
-    const oldVideos = initiative.videos || [];
-    const oldDocuments = initiative.documents || [];
-    const oldAudio = initiative.audio || [];
-
-    console.log('Original document count:', oldDocuments.length);
-
-    try {
-      const existingImagePaths = (JSON.parse(req.body.existingImages || '[]')).map(f => f.path);
-      const existingVideoPaths = (JSON.parse(req.body.existingVideos || '[]')).map(f => f.path);
-      const existingDocumentPaths = (JSON.parse(req.body.existingDocuments || '[]')).map(f => f.path);
-      const existingAudioPaths = (JSON.parse(req.body.existingAudio || '[]')).map(f => f.path);
-      
-      console.log('Existing document paths:', existingDocumentPaths);
-
-      [...oldImages, ...oldVideos, ...oldDocuments, ...oldAudio].forEach(file => {
-        if (!existingImagePaths.includes(file.path) && 
-            !existingVideoPaths.includes(file.path) && 
-            !existingDocumentPaths.includes(file.path) &&
-            !existingAudioPaths.includes(file.path)) {
-          console.log('Deleting unused file:', file.path);
-          fs.unlink(file.path, err => {
-            if (err) console.error('Error deleting old file:', err);
-          });
-        } else {
-          console.log('Keeping file:', file.path);
-        }
-      });
-    } catch (error) {
-      console.error('Error cleaning up old files:', error);
-    }
+    // Files dropped here stay on disk: earlier revisions still point at them and a restore needs them back
+    await InitiativeService.ensureBaseline(initiative);
 
     const updates = {
       title,
@@ -289,6 +274,16 @@ router.put('/:id', auth, isAdmin, upload.array('files'), async (req, res) => {
       audio,
       listItems
     };
+    if (req.body.sourceLocale) {
+      // findByIdAndUpdate below skips schema validation
+      if (!LocaleService.isSupported(req.body.sourceLocale)) {
+        throw new Error('Unsupported language');
+      }
+      updates.sourceLocale = req.body.sourceLocale;
+    }
+    if (translations) {
+      updates.translations = translations;
+    }
 
     console.log('Updating with document count:', documents.length);
 
@@ -297,18 +292,17 @@ router.put('/:id', auth, isAdmin, upload.array('files'), async (req, res) => {
       updates,
       { new: true }
     );
+    savedFiles = [];
+    claimedUploads = [];
+    scheduleMedia([...videos, ...audio]);
+    await InitiativeService.recordRevision(updatedInitiative, req.user._id, 'update');
 
     console.log('Updated initiative document count:', updatedInitiative.documents.length);
     res.json(updatedInitiative);
   } catch (error) {
     console.error('Error updating initiative:', error);
-    if (req.files) {
-      req.files.forEach(file => {
-        fs.unlink(file.path, err => {
-          if (err) console.error('Error deleting file:', err);
-        });
-      });
-    }
+    await StorageService.removeAll(savedFiles);
+    await UploadSessionService.release(claimedUploads);
     res.status(400).json({ message: error.message });
   }
 });
@@ -320,54 +314,23 @@ router.delete('/:id', auth, isAdmin, async (req, res) => {
     if (!initiative) {
       return res.status(404).json({ message: 'Initiative not found' });
     }
+    if (!InitiativeService.canEdit(req.user, initiative)) {
+      return res.status(403).json({ message: 'Only drafts you created can be deleted' });
+    }
 
-    // Delete associated files
-    initiative.images.forEach(file => {
-      fs.unlink(file.path, err => {
-        if (err) console.error('Error deleting file:', err);
-      });
-    });
-    initiative.videos.forEach(file => {
-      fs.unlink(file.path, err => {
-        if (err) console.error('Error deleting file:', err);
-      });
-    });
-    initiative.documents.forEach(file => {
-      fs.unlink(file.path, err => {
-        if (err) console.error('Error deleting file:', err);
-      });
-    });
-    initiative.audio.forEach(file => {
-      fs.unlink(file.path, err => {
-        if (err) console.error('Error deleting file:', err);
-      });
-    });
+    // Files from every revision go too, unless another initiative shares them
+    const revisions = await InitiativeRevision.find({ initiativeId: initiative._id });
+    const files = [initiative, ...revisions].flatMap(doc => InitiativeService.files(doc));
 
     await Initiative.findByIdAndDelete(req.params.id);
+    await InitiativeRevision.deleteMany({ initiativeId: initiative._id });
+    await InitiativeService.removeUnreferencedFiles(files);
     res.json({ message: 'Initiative deleted' });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// Get a single initiative by ID
-router.get('/:id', async (req, res) => {
-  try {
-    console.log(`Fetching initiative with ID: ${req.params.id}`);
-    const initiative = await Initiative.findById(req.params.id);
-    if (!initiative) {
-      console.log(`Initiative with ID ${req.params.id} not found`);
-      return res.status(404).json({ message: 'Initiative not found' });
-    }
-    
-    console.log(`Found initiative: ${initiative.title}`);
-    res.json(initiative);
-  } catch (error) {
-    console.error(`Error fetching initiative ${req.params.id}:`, error);
-    res.status(500).json({ message: error.message });
-  }
-});
-
 // Debugging endpoint to check what's in the database (admin only)
 router.get('/debug', auth, isAdmin, async (req, res) => {
   try {
@@ -423,4 +386,168 @@ router.get('/debug', auth, isAdmin, async (req, res) => {
   }
 });
 
+// Workflow actions: submit, approve, reject, archive, reopen
+Object.keys(InitiativeService.TRANSITIONS).forEach(action => {
+  router.post(`/:id/${action}`,
+    auth,
+    isAdmin,
+    [
+      body('comment').optional().trim(),
+      body('publishAt').optional({ checkFalsy: true }).isISO8601().toDate().withMessage('Invalid publish date')
+    ],
+    async (req, res) => {
+      try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+          return res.status(400).json({ errors: errors.array() });
+        }
+
+        const initiative = await Initiative.findById(req.params.id);
+        if (!initiative) {
+          return res.status(404).json({ message: 'Initiative not found' });
+        }
+
+        const updated = await InitiativeService.transition(initiative, action, req.user, {
+          comment: req.body.comment || undefined,
+          publishAt: action === 'approve' ? req.body.publishAt || undefined : undefined
+        });
+        res.json(updated);
+      } catch (error) {
+        console.error(`Error running initiative ${action}:`, error);
+        if (error.name === 'WorkflowError') {
+          return res.status(error.status).json({ message: error.message });
+        }
+        res.status(500).json({ message: error.message });
+      }
+    }
+  );
+});
+
+// Load an initiative for the revision endpoints, checking the editor may see it
+const loadForHistory = async (req, res) => {
+  const initiative = await Initiative.findById(req.params.id);
+  if (!initiative || !InitiativeService.canView(req.user, initiative)) {
+    res.status(404).json({ message: 'Initiative not found' });
+    return null;
+  }
+  return initiative;
+};
+
+// List revisions, newest first
+router.get('/:id/revisions', auth, isAdmin, async (req, res) => {
+  try {
+    const initiative = await loadForHistory(req, res);
+    if (!initiative) return;
+
+    const revisions = await InitiativeRevision.find({ initiativeId: initiative._id })
+      .select('number action restoredFrom author title createdAt')
+      .sort({ number: -1 })
+      .populate('author', 'name email');
+    res.json(revisions);
+  } catch (error) {
+    console.error('Error fetching revisions:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Compare two revisions field by field, e.g. ?from=2&to=5
+router.get('/:id/revisions/diff', auth, isAdmin, async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ message: 'from and to revision numbers are required' });
+    }
+
+    const initiative = await loadForHistory(req, res);
+    if (!initiative) return;
+
+    const [before, after] = await Promise.all([
+      InitiativeRevision.findOne({ initiativeId: initiative._id, number: from }),
+      InitiativeRevision.findOne({ initiativeId: initiative._id, number: to })
+    ]);
+    if (!before || !after) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json({ from, to, changes: InitiativeService.diffRevisions(before, after) });
+  } catch (error) {
+    console.error('Error comparing revisions:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get the full content of one revision
+router.get('/:id/revisions/:number', auth, isAdmin, async (req, res) => {
+  try {
+    const initiative = await loadForHistory(req, res);
+    if (!initiative) return;
+
+    const revision = await InitiativeRevision.findOne({ initiativeId: initiative._id, number: parseInt(req.params.number) })
+      .populate('author', 'name email');
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+    res.json(revision);
+  } catch (error) {
+    console.error('Error fetching revision:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Roll the content back to an earlier revision
+router.post('/:id/revisions/:number/restore', auth, isAdmin, async (req, res) => {
+  try {
+    const initiative = await loadForHistory(req, res);
+    if (!initiative) return;
+    if (!InitiativeService.canEdit(req.user, initiative)) {
+      return res.status(403).json({ message: 'Only drafts you created can be edited; ask an admin to reopen it' });
+    }
+
+    const revision = await InitiativeRevision.findOne({ initiativeId: initiative._id, number: parseInt(req.params.number) });
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    const restored = await InitiativeService.restoreRevision(initiative, revision, req.user);
+    res.json(restored);
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Transcoding status and streaming URLs for an initiative's videos and audio
+router.get('/:id/media', optionalAuth, async (req, res) => {
+  try {
+    const initiative = await Initiative.findById(req.params.id).select('status publishedAt createdBy videos audio');
+    if (!initiative || !InitiativeService.canView(req.user, initiative)) {
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    res.set('Cache-Control', 'no-store');
+    res.json(MediaService.present(initiative));
+  } catch (error) {
+    console.error(`Error fetching media for initiative ${req.params.id}:`, error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get a single initiative by ID
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    console.log(`Fetching initiative with ID: ${req.params.id}`);
+    const initiative = await Initiative.findById(req.params.id);
+    if (!initiative || !InitiativeService.canView(req.user, initiative)) {
+      console.log(`Initiative with ID ${req.params.id} not found`);
+      return res.status(404).json({ message: 'Initiative not found' });
+    }
+    
+    console.log(`Found initiative: ${initiative.title}`);
+    res.json(LocaleService.localize(initiative, Initiative.TRANSLATABLE_FIELDS, req.contentLocale));
+  } catch (error) {
+    console.error(`Error fetching initiative ${req.params.id}:`, error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,81 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const JobService = require('../services/jobService');
+const { auth, checkRole } = require('../middleware/auth');
+
+// Queue health: counts per job type and status, and how long due jobs have waited (admin only)
+router.get('/', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    res.json(await JobService.stats());
+  } catch (error) {
+    console.error('Error fetching job stats:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Jobs by status, newest first; ?status=dead lists the dead letters (admin only)
+router.get('/list', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const { status, type, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (status) {
+      if (!Job.STATUSES.includes(status)) {
+        return res.status(400).json({ message: 'Invalid status' });
+      }
+      query.status = status;
+    }
+    if (type) {
+      query.type = String(type);
+    }
+
+    const [jobs, total] = await Promise.all([
+      Job.find(query)
+        .select('-progress')
+        .sort({ updatedAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      Job.countDocuments(query)
+    ]);
+
+    res.json({
+      jobs,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page)
+    });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Give a dead letter another round of attempts (admin only)
+router.post('/:id/retry', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.id) && await JobService.retry(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Dead job not found' });
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Discard a dead letter once it has been looked at (admin only)
+router.delete('/:id', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.id) && await Job.findOneAndDelete({ _id: req.params.id, status: 'dead' });
+    if (!job) {
+      return res.status(404).json({ message: 'Dead job not found' });
+    }
+    res.json({ message: 'Job deleted' });
+  } catch (error) {
+    console.error('Error deleting job:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
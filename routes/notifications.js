@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { auth } = require('../middleware/auth');
 const NotificationService = require('../services/notificationService');
+const NotificationPreferenceService = require('../services/notificationPreferenceService');
 
 // Get user's notifications
 router.get('/', auth, async (req, res) => {
@@ -28,6 +29,30 @@ router.get('/unread-count', auth, async (req, res) => {
   }
 });
 
+// Get the user's notification preferences, with defaults filled in
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    const preferences = await NotificationPreferenceService.forUser(req.user._id);
+    res.json(NotificationPreferenceService.present(preferences));
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching notification preferences' });
+  }
+});
+
+// Update notification preferences: categories ({ events: { inApp, email, sms } }), districts,
+// quietHours ({ enabled, start, end }), timezone, digest ({ frequency, hour, weekday }) and smsNumber
+router.put('/preferences', auth, async (req, res) => {
+  try {
+    const preferences = await NotificationPreferenceService.update(req.user, req.body);
+    res.json(NotificationPreferenceService.present(preferences));
+  } catch (error) {
+    if (['PreferenceError', 'AreaValidationError', 'ValidationError'].includes(error.name)) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error updating notification preferences' });
+  }
+});
+
 // Mark notification as read
 router.put('/:id/read', auth, async (req, res) => {
   try {
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const QuarantinedFile = require('../models/QuarantinedFile');
+const UploadCheckService = require('../services/uploadCheckService');
+const { auth, checkRole } = require('../middleware/auth');
+
+// Refused uploads, newest first (admin only)
+router.get('/', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const { reason, page = 1, limit = 20 } = req.query;
+    const query = {};
+    if (reason) {
+      if (!QuarantinedFile.REASONS.includes(reason)) {
+        return res.status(400).json({ message: 'Invalid reason' });
+      }
+      query.reason = reason;
+    }
+
+    const [entries, total] = await Promise.all([
+      QuarantinedFile.find(query)
+        .populate('uploadedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit)),
+      QuarantinedFile.countDocuments(query)
+    ]);
+
+    res.json({
+      entries,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page)
+    });
+  } catch (error) {
+    console.error('Error fetching quarantined files:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a quarantined file once it has been looked at (admin only)
+router.delete('/:id', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const entry = await QuarantinedFile.findById(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ message: 'Quarantined file not found' });
+    }
+
+    await UploadCheckService.removeQuarantined(entry);
+    res.json({ message: 'Quarantined file deleted' });
+  } catch (error) {
+    console.error('Error deleting quarantined file:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
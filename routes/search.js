@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const SearchService = require('../services/searchService');
+
+// Search events, initiatives and the support directory, e.g. ?q=rally&type=event,initiative&page=2
+router.get('/',
+  [
+    query('q').trim().notEmpty().withMessage('Search text is required'),
+    query('type').optional().custom(value => String(value).split(',').every(type => SearchService.TYPES.includes(type.trim())))
+      .withMessage(`Type must be one of: ${SearchService.TYPES.join(', ')}`),
+    query('page').optional().isInt({ min: 1, max: SearchService.MAX_PAGE })
+      .withMessage(`Page must be between 1 and ${SearchService.MAX_PAGE}`).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { q, type, page = 1, limit = 10 } = req.query;
+      const result = await SearchService.search(q, {
+        types: type ? String(type).split(',').map(t => t.trim()) : SearchService.TYPES,
+        page,
+        limit,
+        locale: req.locale
+      });
+
+      res.json({ query: q, ...result });
+    } catch (error) {
+      console.error('Error searching:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
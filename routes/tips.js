@@ -0,0 +1,438 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Tip = require('../models/Tip');
+const User = require('../models/User');
+const { auth, checkRole } = require('../middleware/auth');
+const validateUploads = require('../middleware/validateUploads');
+const TipService = require('../services/tipService');
+const AdminAreaService = require('../services/adminAreaService');
+const PolicyService = require('../services/policyService');
+const NotificationService = require('../services/notificationService');
+const ImageService = require('../services/imageService');
+
+// Evidence is kept outside the public uploads folder and only served to officers
+const EVIDENCE_DIR = 'storage/tips';
+
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    if (!fs.existsSync(EVIDENCE_DIR)) {
+      fs.mkdirSync(EVIDENCE_DIR, { recursive: true });
+    }
+    cb(null, EVIDENCE_DIR);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+// Types accepted per form field; validateUploads checks the content really is one of them
+const UPLOAD_TYPES = {
+  evidence: [
+    'image/jpeg',
+    'image/png',
+    'audio/mpeg',
+    'audio/wav',
+    'audio/ogg',
+    'audio/aac',
+    'audio/mp4'
+  ]
+};
+
+const upload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 5
+  },
+  fileFilter: (req, file, cb) => {
+    if (UPLOAD_TYPES.evidence.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only photos and audio recordings are allowed as evidence'));
+    }
+  }
+});
+
+const TRIAGE_ROLES = ['admin', 'Official_member', 'block_officer'];
+const MAX_PAGE_SIZE = 100;
+
+const removeUploads = (files) => {
+  (files || []).forEach(file => {
+    fs.unlink(file.path, err => {
+      if (err) console.error('Error deleting file:', err);
+    });
+  });
+};
+
+// Photos are re-encoded before they are kept: EXIF can hold the GPS position and the
+// phone that took them, which would identify an anonymous reporter
+const stripMetadata = async (files) => {
+  for (const file of files || []) {
+    if (!ImageService.isProcessable(file.mimetype)) continue;
+    const data = await ImageService.stripMetadata(await fs.promises.readFile(file.path), file.mimetype);
+    await fs.promises.writeFile(file.path, data);
+    file.size = data.length;
+  }
+};
+
+// Let the district's officers know without revealing anything about the reporter. The tip is
+// already saved, so a failure here is logged rather than costing the reporter their access token.
+const notifyOfficers = async (tip, areas) => {
+  try {
+    const officers = await User.find({
+      $or: [
+        { role: 'admin' },
+        { role: 'block_officer', districtArea: areas.district._id }
+      ]
+    }).select('_id');
+    const results = await Promise.allSettled(officers.map(officer => NotificationService.createLocalizedNotification(
+      officer._id,
+      'tipReported',
+      { category: { key: `tipCategory.${tip.category}` }, caseNumber: tip.caseNumber, district: areas.district.name },
+      'warning',
+      `/tips/${tip._id}`
+    )));
+    results.filter(result => result.status === 'rejected').forEach(result => {
+      console.error(`Error notifying officers of tip ${tip.caseNumber}:`, result.reason);
+    });
+  } catch (error) {
+    console.error(`Error notifying officers of tip ${tip.caseNumber}:`, error);
+  }
+};
+
+// Load a tip the current officer is allowed to triage
+const loadTip = async (req, res) => {
+  const tip = await Tip.findById(req.params.id);
+  if (!tip) {
+    res.status(404).json({ message: 'Tip not found' });
+    return null;
+  }
+  if (!PolicyService.canTriageTip(req.user, tip)) {
+    res.status(403).json({ message: 'Not authorized' });
+    return null;
+  }
+  return tip;
+};
+
+// Submit an anonymous tip (no auth required)
+router.post('/',
+  upload.array('evidence', 5),
+  validateUploads(UPLOAD_TYPES),
+  [
+    body('category').isIn(['trafficking', 'selling', 'cultivation', 'manufacturing', 'consumption', 'other']).withMessage('Invalid category'),
+    body('description').trim().isLength({ min: 10 }).withMessage('Please describe what you saw'),
+    body('district').trim().notEmpty().withMessage('District is required'),
+    body('taluka').optional().trim(),
+    body('village').optional().trim(),
+    body('address').optional().trim(),
+    body('landmark').optional().trim(),
+    body('latitude').optional({ checkFalsy: true }).isFloat({ min: -90, max: 90 }).toFloat().withMessage('Invalid latitude'),
+    body('longitude').optional({ checkFalsy: true }).isFloat({ min: -180, max: 180 }).toFloat().withMessage('Invalid longitude'),
+    body('occurredAt').optional({ checkFalsy: true }).isISO8601().toDate().withMessage('Invalid date')
+  ],
+  async (req, res) => {
+    let saved = false;
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        removeUploads(req.files);
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const { category, description, address, landmark, latitude, longitude, occurredAt } = req.body;
+      const areas = await AdminAreaService.resolve({
+        district: req.body.district,
+        taluka: req.body.taluka || undefined,
+        village: req.body.village || undefined
+      });
+
+      const location = {
+        address,
+        landmark,
+        district: areas.district.name,
+        taluka: areas.taluka ? areas.taluka.name : undefined,
+        village: areas.village ? areas.village.name : undefined,
+        districtArea: areas.district._id,
+        talukaArea: areas.taluka ? areas.taluka._id : undefined
+      };
+      if (latitude !== undefined && longitude !== undefined) {
+        location.coordinates = { type: 'Point', coordinates: [longitude, latitude] };
+      }
+
+      await stripMetadata(req.files);
+      const evidence = (req.files || []).map(file => ({
+        filename: file.filename,
+        path: file.path,
+        mimetype: file.mimetype,
+        size: file.size
+      }));
+
+      const { tip, accessToken } = await TipService.submit({
+        category,
+        description,
+        location,
+        occurredAt,
+        evidence
+      });
+      saved = true;
+
+      await notifyOfficers(tip, areas);
+
+      res.status(201).json({
+        message: 'Thank you. Keep the case number and access token to check the status of your report.',
+        caseNumber: tip.caseNumber,
+        accessToken
+      });
+    } catch (error) {
+      console.error('Error submitting tip:', error);
+      // Once the tip is saved its evidence files belong to it
+      if (!saved) removeUploads(req.files);
+      if (error.name === 'AreaValidationError') {
+        return res.status(400).json({ message: error.message });
+      }
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Check the status of a tip with its case number and access token (no auth required)
+router.post('/status',
+  [
+    body('caseNumber').trim().notEmpty().withMessage('Case number is required'),
+    body('accessToken').trim().notEmpty().withMessage('Access token is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const tip = await TipService.findForReporter(req.body.caseNumber, req.body.accessToken);
+      if (!tip) {
+        return res.status(404).json({ message: 'No case found for these details' });
+      }
+
+      // Internal notes, assignment and the audit trail are never shown to the reporter
+      res.json({
+        caseNumber: tip.caseNumber,
+        category: tip.category,
+        status: tip.status,
+        message: tip.publicMessage,
+        submittedAt: tip.createdAt,
+        updatedAt: tip.updatedAt
+      });
+    } catch (error) {
+      console.error('Error checking tip status:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// List tips within the officer's jurisdiction
+router.get('/', auth, checkRole(TRIAGE_ROLES), async (req, res) => {
+  try {
+    const { status, category, priority, assignedTo } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_PAGE_SIZE);
+    const filter = { ...PolicyService.tipFilter(req.user) };
+    if (status) filter.status = String(status);
+    if (category) filter.category = String(category);
+    if (priority) filter.priority = String(priority);
+    if (assignedTo) {
+      if (assignedTo !== 'me' && !mongoose.isValidObjectId(assignedTo)) {
+        return res.status(400).json({ message: 'Invalid assignedTo; use a user id or "me"' });
+      }
+      filter.assignedTo = assignedTo === 'me' ? req.user._id : String(assignedTo);
+    }
+
+    const tips = await Tip.find(filter)
+      .select('-notes -auditTrail')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('assignedTo', 'name email');
+    const total = await Tip.countDocuments(filter);
+
+    res.json({
+      tips,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Error fetching tips:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a tip with notes and audit trail
+router.get('/:id', auth, checkRole(TRIAGE_ROLES), async (req, res) => {
+  try {
+    const tip = await loadTip(req, res);
+    if (!tip) return;
+
+    await tip.populate([
+      { path: 'assignedTo', select: 'name email role' },
+      { path: 'notes.author', select: 'name role' },
+      { path: 'auditTrail.actor', select: 'name role' }
+    ]);
+
+    // Opening a case is part of the audit trail too
+    await Tip.updateOne({ _id: tip._id }, { $push: { auditTrail: { action: 'viewed', actor: req.user._id } } });
+
+    res.json(tip);
+  } catch (error) {
+    console.error('Error fetching tip:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Download a piece of evidence
+router.get('/:id/evidence/:fileId', auth, checkRole(TRIAGE_ROLES), async (req, res) => {
+  try {
+    const tip = await loadTip(req, res);
+    if (!tip) return;
+
+    const file = tip.evidence.id(req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ message: 'Evidence not found' });
+    }
+
+    await Tip.updateOne(
+      { _id: tip._id },
+      { $push: { auditTrail: { action: 'evidence_downloaded', actor: req.user._id, details: file.filename } } }
+    );
+
+    res.type(file.mimetype);
+    res.sendFile(path.resolve(file.path));
+  } catch (error) {
+    console.error('Error downloading evidence:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Assign a tip to an officer
+router.put('/:id/assign',
+  auth,
+  checkRole(TRIAGE_ROLES),
+  [
+    body('userId').isMongoId().withMessage('Officer is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const tip = await loadTip(req, res);
+      if (!tip) return;
+
+      const assignee = await User.findById(req.body.userId);
+      if (!assignee || !TRIAGE_ROLES.includes(assignee.role) || !PolicyService.canTriageTip(assignee, { location: tip.location })) {
+        return res.status(400).json({ message: 'Tips can only be assigned to officers responsible for the district' });
+      }
+
+      const previous = tip.assignedTo ? tip.assignedTo.toString() : undefined;
+      tip.assignedTo = assignee._id;
+      if (tip.status === 'new' || tip.status === 'under_review') {
+        tip.audit('status_changed', req.user._id, { from: tip.status, to: 'assigned' });
+        tip.status = 'assigned';
+      }
+      tip.audit('assigned', req.user._id, { from: previous, to: assignee._id.toString(), details: assignee.name });
+      await tip.save();
+
+      await NotificationService.createLocalizedNotification(
+        assignee._id,
+        'tipAssigned',
+        { caseNumber: tip.caseNumber },
+        'info',
+        `/tips/${tip._id}`
+      );
+
+      res.json(tip);
+    } catch (error) {
+      console.error('Error assigning tip:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Change the status and priority of a tip
+router.put('/:id/status',
+  auth,
+  checkRole(TRIAGE_ROLES),
+  [
+    body('status').optional().isIn(Tip.STATUSES).withMessage('Invalid status'),
+    body('priority').optional().isIn(['low', 'medium', 'high']).withMessage('Invalid priority'),
+    body('publicMessage').optional().trim().isLength({ max: 1000 }).withMessage('Message is too long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const tip = await loadTip(req, res);
+      if (!tip) return;
+
+      const { status, priority, publicMessage } = req.body;
+      if (status && status !== tip.status) {
+        tip.audit('status_changed', req.user._id, { from: tip.status, to: status });
+        tip.status = status;
+      }
+      if (priority && priority !== tip.priority) {
+        tip.audit('priority_changed', req.user._id, { from: tip.priority, to: priority });
+        tip.priority = priority;
+      }
+      if (publicMessage !== undefined && publicMessage !== tip.publicMessage) {
+        tip.audit('public_message_changed', req.user._id, { details: publicMessage });
+        tip.publicMessage = publicMessage;
+      }
+      await tip.save();
+
+      res.json(tip);
+    } catch (error) {
+      console.error('Error updating tip status:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+// Add an internal note
+router.post('/:id/notes',
+  auth,
+  checkRole(TRIAGE_ROLES),
+  [
+    body('text').trim().notEmpty().withMessage('Note text is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      const tip = await loadTip(req, res);
+      if (!tip) return;
+
+      tip.notes.push({ author: req.user._id, text: req.body.text });
+      tip.audit('note_added', req.user._id);
+      await tip.save();
+
+      res.status(201).json(tip.notes[tip.notes.length - 1]);
+    } catch (error) {
+      console.error('Error adding tip note:', error);
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const Event = require('../models/Event');
+const Initiative = require('../models/Initiative');
+const { auth } = require('../middleware/auth');
+const isAdmin = require('../middleware/isAdmin');
+const LocaleService = require('../services/localeService');
+const PolicyService = require('../services/policyService');
+const InitiativeService = require('../services/initiativeService');
+
+// Content types with translatable fields
+const MODELS = {
+  event: Event,
+  initiative: Initiative
+};
+const MAX_PAGE_SIZE = 100;
+
+const canEdit = (type, user, doc) => (type === 'event'
+  ? PolicyService.canEditEvent(user, doc)
+  : InitiativeService.canEdit(user, doc));
+
+// Items still missing a translation, e.g. ?type=event&locale=mr
+router.get('/missing', auth, isAdmin, async (req, res) => {
+  try {
+    const { type, locale } = req.query;
+    if (type && !MODELS[type]) {
+      return res.status(400).json({ message: 'Unknown content type' });
+    }
+    if (locale && !LocaleService.isSupported(locale)) {
+      return res.status(400).json({ message: 'Unsupported language' });
+    }
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+
+    const names = type ? [type] : Object.keys(MODELS);
+    const locales = locale ? [locale] : LocaleService.SUPPORTED_LOCALES;
+
+    // Counts by language, and how many items of each type are missing anything
+    const summary = {};
+    const totals = {};
+    for (const name of names) {
+      const Model = MODELS[name];
+      const fields = Model.TRANSLATABLE_FIELDS;
+      summary[name] = {};
+      for (const each of locales) {
+        const count = await Model.countDocuments(LocaleService.missingQuery(fields, each));
+        if (count > 0) summary[name][each] = count;
+      }
+      totals[name] = await Model.countDocuments(LocaleService.missingQuery(fields, locale));
+    }
+
+    // Events come before initiatives, so a page can span the end of one and the start of the next
+    const items = [];
+    let skip = (page - 1) * limit;
+    for (const name of names) {
+      if (items.length >= limit) break;
+      if (skip >= totals[name]) {
+        skip -= totals[name];
+        continue;
+      }
+
+      const Model = MODELS[name];
+      const fields = Model.TRANSLATABLE_FIELDS;
+      const docs = await Model.find(LocaleService.missingQuery(fields, locale))
+        .select([...fields, 'sourceLocale', 'translations', 'createdAt'].join(' '))
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit - items.length)
+        .lean();
+      skip = 0;
+
+      docs.forEach(doc => {
+        items.push({
+          type: name,
+          id: doc._id,
+          title: doc.title,
+          sourceLocale: doc.sourceLocale || 'en',
+          missing: LocaleService.missingTranslations(doc, fields)
+            .filter(entry => !locale || entry.locale === locale)
+        });
+      });
+    }
+
+    const total = names.reduce((sum, name) => sum + totals[name], 0);
+    res.json({
+      summary,
+      items,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page
+    });
+  } catch (error) {
+    console.error('Error listing missing translations:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Save the translation of one item into one language
+router.put('/:type/:id/:locale', auth, isAdmin, async (req, res) => {
+  try {
+    const { type, id, locale } = req.params;
+    const Model = MODELS[type];
+    if (!Model) {
+      return res.status(400).json({ message: 'Unknown content type' });
+    }
+
+    const parsed = LocaleService.parseTranslations({ [locale]: req.body }, Model.TRANSLATABLE_FIELDS);
+
+    const doc = await Model.findById(id);
+    if (!doc) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+    if (!canEdit(type, req.user, doc)) {
+      return res.status(403).json({ message: 'Not authorized' });
+    }
+    if (locale === (doc.sourceLocale || 'en')) {
+      return res.status(400).json({ message: 'This is already the original language of the item' });
+    }
+
+    if (type === 'initiative') {
+      await InitiativeService.ensureBaseline(doc);
+    }
+    doc.set(`translations.${locale}`, parsed[locale]);
+    await doc.save();
+    if (type === 'initiative') {
+      await InitiativeService.recordRevision(doc, req.user._id, 'update');
+    }
+
+    res.json({
+      type,
+      id: doc._id,
+      locale,
+      translation: doc.translations[locale],
+      missing: LocaleService.missingTranslations(doc, Model.TRANSLATABLE_FIELDS)
+    });
+  } catch (error) {
+    console.error('Error saving translation:', error);
+    if (error.name === 'LocaleValidationError' || error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const UploadSession = require('../models/UploadSession');
+const UploadSessionService = require('../services/uploadSessionService');
+const InitiativeService = require('../services/initiativeService');
+const { auth, checkRole } = require('../middleware/auth');
+
+// Resumable uploads for large videos, audio and documents, in the style of tus:
+//   POST   /api/uploads       start a session with the file's name, type and size
+//   HEAD   /api/uploads/:id   Upload-Offset says how many bytes arrived, to resume after a disconnect
+//   PATCH  /api/uploads/:id   send the next chunk (application/offset+octet-stream) with
+//                             Upload-Offset and Upload-Checksum: sha256 <base64 digest>
+//   DELETE /api/uploads/:id   abandon the upload
+// After the last chunk the file is checked and stored; pass the session id in uploadIds
+// when creating or updating the initiative or event it belongs to.
+
+const UPLOAD_ROLES = ['admin', 'block_officer', 'Official_member'];
+
+const present = (session) => ({
+  id: session._id,
+  purpose: session.purpose,
+  filename: session.filename,
+  mimetype: session.mimetype,
+  size: session.size,
+  offset: session.offset,
+  status: session.status,
+  error: session.error,
+  file: session.file,
+  chunkSize: UploadSessionService.CHUNK_SIZE,
+  maxChunkSize: UploadSessionService.MAX_CHUNK_SIZE,
+  expiresAt: session.expiresAt
+});
+
+const handleError = (res, error, label) => {
+  if (error.name === 'UploadSessionError') {
+    if (error.offset !== undefined) {
+      res.set('Upload-Offset', String(error.offset));
+    }
+    return res.status(error.status).json({ message: error.message, status: error.uploadStatus });
+  }
+  if (error.name === 'ScanUnavailableError') {
+    console.error('Virus scanner unavailable:', error.message);
+    return res.status(503).json({ message: 'Uploads cannot be checked right now, please try again later' });
+  }
+  if (error.name === 'CastError') {
+    return res.status(404).json({ message: 'Upload not found' });
+  }
+  console.error(`Error ${label}:`, error);
+  res.status(500).json({ message: 'Server error' });
+};
+
+// Start an upload
+router.post('/',
+  auth,
+  checkRole(UPLOAD_ROLES),
+  [
+    body('purpose').isIn(UploadSession.PURPOSES).withMessage('Invalid purpose'),
+    body('filename').trim().notEmpty().withMessage('Filename is required'),
+    body('mimetype').trim().notEmpty().withMessage('File type is required'),
+    body('size').isInt({ min: 1 }).toInt().withMessage('File size is required'),
+    body('checksum').optional().matches(/^[a-f0-9]{64}$/i).withMessage('Checksum must be a SHA-256 hex digest')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ errors: errors.array() });
+      }
+
+      // Initiatives are edited by admins and official members only
+      if (req.body.purpose === 'initiative' && !InitiativeService.isEditor(req.user)) {
+        return res.status(403).json({ message: 'Not authorized' });
+      }
+
+      const session = await UploadSessionService.create(req.user, req.body);
+      res.set('Location', `${req.baseUrl}/${session._id}`);
+      res.set('Upload-Offset', '0');
+      res.set('Upload-Length', String(session.size));
+      res.status(201).json(present(session));
+    } catch (error) {
+      handleError(res, error, 'starting upload');
+    }
+  }
+);
+
+// How far an upload got
+router.head('/:id', auth, async (req, res) => {
+  try {
+    const session = await UploadSessionService.findForOwner(req.params.id, req.user);
+    res.set('Upload-Offset', String(session.offset));
+    res.set('Upload-Length', String(session.size));
+    // uploading, finalizing while the file is checked and stored, then complete or failed
+    res.set('Upload-Status', session.status);
+    res.set('Cache-Control', 'no-store');
+    res.status(200).end();
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).end();
+    }
+    handleError(res, error, 'checking upload');
+  }
+});
+
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const session = await UploadSessionService.findForOwner(req.params.id, req.user);
+    res.set('Cache-Control', 'no-store');
+    res.json(present(session));
+  } catch (error) {
+    handleError(res, error, 'fetching upload');
+  }
+});
+
+// Append a chunk
+router.patch('/:id',
+  auth,
+  express.raw({ type: 'application/offset+octet-stream', limit: UploadSessionService.MAX_CHUNK_SIZE }),
+  async (req, res) => {
+    try {
+      if (!req.is('application/offset+octet-stream')) {
+        return res.status(415).json({ message: 'Chunks must be sent as application/offset+octet-stream' });
+      }
+      const offset = parseInt(req.get('Upload-Offset'), 10);
+      if (Number.isNaN(offset) || offset < 0) {
+        return res.status(400).json({ message: 'Upload-Offset header is required' });
+      }
+
+      const session = await UploadSessionService.findForOwner(req.params.id, req.user);
+      const updated = await UploadSessionService.appendChunk(session, {
+        offset,
+        chunk: Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0),
+        checksum: req.get('Upload-Checksum')
+      }, req);
+
+      res.set('Upload-Offset', String(updated.offset));
+      res.json(present(updated));
+    } catch (error) {
+      handleError(res, error, 'receiving upload chunk');
+    }
+  }
+);
+
+// Abandon an upload
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const session = await UploadSessionService.findForOwner(req.params.id, req.user);
+    await UploadSessionService.cancel(session);
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    handleError(res, error, 'cancelling upload');
+  }
+});
+
+module.exports = router;
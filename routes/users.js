@@ -3,14 +3,17 @@ const router = express.Router();
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { auth, checkRole } = require('../middleware/auth');
+const SessionService = require('../services/sessionService');
+const AdminAreaService = require('../services/adminAreaService');
+const PolicyService = require('../services/policyService');
 
-// Get all users (admin only)
+// Get users (admins see everyone, block officers the public users of their district)
 router.get('/',
   auth,
-  checkRole(['admin']),
+  checkRole(['admin', 'block_officer']),
   async (req, res) => {
     try {
-      const users = await User.find()
+      const users = await User.find(PolicyService.userFilter(req.user))
         .select('-password')
         .sort({ createdAt: -1 });
       res.json(users);
@@ -41,6 +44,7 @@ router.put('/:id/role',
   [
     body('role').isIn(['admin', 'block_officer', 'public']).withMessage('Invalid role'),
     body('district').if(body('role').equals('block_officer')).notEmpty().withMessage('District is required for block officers'),
+    body('talukas').optional().isArray().withMessage('Talukas must be an array'),
     body('officialRole').if(body('role').equals('Official_member')).notEmpty().withMessage('Official role is required')
   ],
   async (req, res) => {
@@ -50,15 +54,33 @@ router.put('/:id/role',
         return res.status(400).json({ errors: errors.array() });
       }
 
-      const { role, district, officialRole } = req.body;
+      const { role, district, talukas = [], officialRole } = req.body;
 
       const user = await User.findById(req.params.id);
       if (!user) {
         return res.status(404).json({ message: 'User not found' });
       }
 
+      const previousRole = user.role;
+      const previousDistrict = user.district;
+      const previousTalukas = (user.talukaAreas || []).map(id => id.toString()).sort().join(',');
+
+      // Block officers are tied to a district, and optionally talukas, from the administrative master data
+      let districtArea = null;
+      const talukaAreas = [];
+      if (role === 'block_officer') {
+        const areas = await AdminAreaService.resolve({ district });
+        districtArea = areas.district;
+        for (const taluka of talukas) {
+          const { taluka: talukaArea } = await AdminAreaService.resolve({ district: districtArea._id, taluka });
+          talukaAreas.push(talukaArea._id);
+        }
+      }
+
       user.role = role;
-      user.district = role === 'block_officer' ? district : undefined;
+      user.district = districtArea ? districtArea.name : undefined;
+      user.districtArea = districtArea ? districtArea._id : undefined;
+      user.talukaAreas = talukaAreas;
       if (role === 'Official_member') {
         user.officialRole = officialRole;
       } else {
@@ -66,8 +88,18 @@ router.put('/:id/role',
       }
 
       await user.save();
+
+      // Tokens issued under the old role must not keep working
+      const currentTalukas = user.talukaAreas.map(id => id.toString()).sort().join(',');
+      if (previousRole !== user.role || previousDistrict !== user.district || previousTalukas !== currentTalukas) {
+        await SessionService.revokeAllForUser(user._id, 'role_changed');
+      }
+
       res.json(user);
     } catch (error) {
+      if (error.name === 'AreaValidationError') {
+        return res.status(400).json({ message: error.message });
+      }
       res.status(500).json({ message: 'Server error' });
     }
   }
@@ -90,6 +122,7 @@ router.delete('/:id',
       }
 
       await user.deleteOne();
+      await SessionService.revokeAllForUser(user._id, 'user_deleted');
       res.json({ message: 'User deleted' });
     } catch (error) {
       console.error('Delete user error:', error);
@@ -130,6 +163,11 @@ router.put('/officials/:id', auth, checkRole(['admin']), async (req, res) => {
     }
 
     await official.save();
+
+    if (password) {
+      await SessionService.revokeAllForUser(official._id, 'password_changed');
+    }
+
     res.json({
       message: 'Official updated successfully',
       official: {
@@ -160,6 +198,7 @@ router.delete('/officials/:id', auth, checkRole(['admin']), async (req, res) =>
     }
 
     await official.deleteOne();
+    await SessionService.revokeAllForUser(official._id, 'user_deleted');
     res.json({ message: 'Official deleted successfully' });
   } catch (error) {
     console.error('Delete official error:', error);
@@ -167,4 +206,45 @@ router.delete('/officials/:id', auth, checkRole(['admin']), async (req, res) =>
   }
 });
 
+// List a user's active sessions (admin only)
+router.get('/:id/sessions', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const sessions = await SessionService.listActiveSessions(user._id);
+    res.json(sessions);
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke one of a user's sessions (admin only)
+router.delete('/:id/sessions/:sessionId', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const session = await SessionService.revokeSession(req.params.sessionId, 'revoked_by_admin', req.params.id);
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Revoke all of a user's sessions (admin only)
+router.delete('/:id/sessions', auth, checkRole(['admin']), async (req, res) => {
+  try {
+    const count = await SessionService.revokeAllForUser(req.params.id, 'revoked_by_admin');
+    res.json({ message: 'Sessions revoked', count });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,119 @@
+// Create the resized WebP variants for initiative images uploaded before they were made on upload.
+// The originals are left as they are.
+//
+// Usage: node scripts/generateImageVariants.js [--dry-run]
+//   --dry-run  only report how many images are missing variants
+require('dotenv').config();
+const path = require('path');
+const mongoose = require('mongoose');
+const Initiative = require('../models/Initiative');
+const InitiativeRevision = require('../models/InitiativeRevision');
+const ImageService = require('../services/imageService');
+const StorageService = require('../services/storageService');
+const { MONGODB_URI } = require('../config');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Results by file id; revisions share images with their initiative
+const done = new Map();
+const stats = { images: 0, failed: 0, records: 0 };
+
+async function describe(image) {
+  const id = StorageService.fileId(image);
+  if (!done.has(id)) {
+    stats.images++;
+    let result = null;
+    if (!dryRun) {
+      try {
+        const location = StorageService.locate(image);
+        const buffer = await StorageService.read(image);
+        const { width, height, variants } = await ImageService.createVariants(buffer, image.mimetype);
+        const baseName = path.parse(image.filename || location.key).name;
+        const folder = path.posix.join(path.posix.dirname(location.key.replace(/^(image|video|raw)\//, '')), 'variants');
+
+        const stored = [];
+        for (const variant of variants) {
+          const descriptor = await StorageService.save({
+            buffer: variant.buffer,
+            originalname: `${baseName}-${variant.width}w.webp`,
+            mimetype: variant.mimetype,
+            size: variant.buffer.length
+          }, { folder, driver: location.storage });
+          stored.push({
+            storage: descriptor.storage,
+            key: descriptor.key,
+            url: descriptor.url,
+            path: descriptor.path,
+            width: variant.width,
+            height: variant.height,
+            format: variant.format,
+            size: descriptor.size
+          });
+        }
+        result = { width, height, variants: stored };
+      } catch (error) {
+        stats.failed++;
+        console.error(`Could not create variants for ${id}:`, error.message);
+      }
+    }
+    done.set(id, result);
+  }
+  return done.get(id);
+}
+
+// Updated image list, or null when every image already has variants
+async function withVariants(images) {
+  let changed = false;
+  const result = [];
+  for (const image of images || []) {
+    const missing = !(image.variants && image.variants.length) &&
+      ImageService.isProcessable(image.mimetype) && StorageService.fileId(image);
+    if (!missing) {
+      result.push(image);
+      continue;
+    }
+    const details = await describe(image);
+    if (dryRun || details) changed = true;
+    result.push(details ? { ...image, ...details } : image);
+  }
+  return changed ? result : null;
+}
+
+async function generateImageVariants() {
+  try {
+    console.log('Connecting to database...');
+    await mongoose.connect(MONGODB_URI);
+    console.log(`Connected to database successfully${dryRun ? ' (dry run)' : ''}`);
+
+    for await (const initiative of Initiative.find({ 'images.0': { $exists: true } }).select('images').lean().cursor()) {
+      const images = await withVariants(initiative.images);
+      if (images) {
+        stats.records++;
+        if (!dryRun) await Initiative.updateOne({ _id: initiative._id }, { $set: { images } });
+      }
+    }
+
+    // Revisions are immutable through the model; the variants are derived files, not a content change
+    for await (const revision of InitiativeRevision.find({ 'images.0': { $exists: true } }).select('images').lean().cursor()) {
+      const images = await withVariants(revision.images);
+      if (images) {
+        stats.records++;
+        if (!dryRun) await InitiativeRevision.collection.updateOne({ _id: revision._id }, { $set: { images } });
+      }
+    }
+
+    const verb = dryRun ? 'would get' : 'got';
+    console.log(`${stats.images} images ${verb} variants, ${stats.records} records updated`);
+    if (stats.failed) {
+      console.log(`${stats.failed} images could not be processed`);
+    }
+
+    await mongoose.connection.close();
+    process.exit(stats.failed ? 1 : 0);
+  } catch (error) {
+    console.error('Error generating image variants:', error);
+    process.exit(1);
+  }
+}
+
+generateImageVariants();
@@ -0,0 +1,107 @@
+// Map existing free-text district/taluka/village values onto the AdminArea master data.
+//
+// Usage: node scripts/migrateAdminAreas.js [--create-missing] [--dry-run]
+//   --create-missing  create areas for values that do not match anything yet
+//   --dry-run         only report what would change
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const EventRegistration = require('../models/EventRegistration');
+const User = require('../models/User');
+const AdminAreaService = require('../services/adminAreaService');
+const { MONGODB_URI } = require('../config');
+
+const createMissing = process.argv.includes('--create-missing');
+const dryRun = process.argv.includes('--dry-run');
+
+// Resolve against the master data, optionally creating what is missing
+async function resolveAreas(values) {
+  try {
+    return await AdminAreaService.resolve(values);
+  } catch (error) {
+    if (error.name !== 'AreaValidationError' || !createMissing || dryRun) {
+      throw error;
+    }
+  }
+
+  const result = {};
+  result.district = (await AdminAreaService.ensure('district', values.district)).area;
+  if (values.taluka) {
+    result.taluka = (await AdminAreaService.ensure('taluka', values.taluka, result.district)).area;
+    if (values.village) {
+      result.village = (await AdminAreaService.ensure('village', values.village, result.taluka)).area;
+    }
+  }
+  return result;
+}
+
+async function migrateCollection(label, model, filter, toValues, toUpdate) {
+  const unmatched = new Map();
+  let updated = 0;
+
+  const cursor = model.find(filter).cursor();
+  for await (const doc of cursor) {
+    const values = toValues(doc);
+    try {
+      const areas = await resolveAreas(values);
+      if (!dryRun) {
+        await model.updateOne({ _id: doc._id }, { $set: toUpdate(areas) });
+      }
+      updated++;
+    } catch (error) {
+      if (error.name !== 'AreaValidationError') throw error;
+      const key = `${error.message} (${Object.values(values).filter(Boolean).join(' / ')})`;
+      unmatched.set(key, (unmatched.get(key) || 0) + 1);
+    }
+  }
+
+  console.log(`${label}: ${updated} ${dryRun ? 'matched' : 'updated'}, ${[...unmatched.values()].reduce((a, b) => a + b, 0)} unmatched`);
+  unmatched.forEach((count, key) => console.log(`  ${count} x ${key}`));
+}
+
+async function migrateAdminAreas() {
+  try {
+    console.log('Connecting to database...');
+    await mongoose.connect(MONGODB_URI);
+    console.log(`Connected to database successfully${dryRun ? ' (dry run)' : ''}`);
+
+    // Registrations first: they carry the full district -> taluka -> village path
+    await migrateCollection(
+      'Event registrations',
+      EventRegistration,
+      { villageArea: { $exists: false } },
+      (registration) => ({ district: registration.district, taluka: registration.taluka, village: registration.village }),
+      (areas) => ({
+        district: areas.district.name,
+        taluka: areas.taluka.name,
+        village: areas.village.name,
+        districtArea: areas.district._id,
+        talukaArea: areas.taluka._id,
+        villageArea: areas.village._id
+      })
+    );
+
+    await migrateCollection(
+      'Events',
+      Event,
+      { districtArea: { $exists: false } },
+      (event) => ({ district: event.district }),
+      (areas) => ({ district: areas.district.name, districtArea: areas.district._id })
+    );
+
+    await migrateCollection(
+      'Users',
+      User,
+      { district: { $exists: true, $ne: null }, districtArea: { $exists: false } },
+      (user) => ({ district: user.district }),
+      (areas) => ({ district: areas.district.name, districtArea: areas.district._id })
+    );
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating administrative areas:', error);
+    process.exit(1);
+  }
+}
+
+migrateAdminAreas();
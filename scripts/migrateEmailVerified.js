@@ -0,0 +1,36 @@
+// Accounts created before email verification never got a verification email; mark them
+// verified so their owners can still log in. New registrations store emailVerified: false
+// explicitly, so only older accounts lack the field.
+//
+// Usage: node scripts/migrateEmailVerified.js [--dry-run]
+//   --dry-run  only report how many accounts would change
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { MONGODB_URI } = require('../config');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrateEmailVerified() {
+  try {
+    console.log('Connecting to database...');
+    await mongoose.connect(MONGODB_URI);
+    console.log(`Connected to database successfully${dryRun ? ' (dry run)' : ''}`);
+
+    const filter = { emailVerified: { $exists: false } };
+    if (dryRun) {
+      const count = await User.countDocuments(filter);
+      console.log(`Users: ${count} would be marked verified`);
+    } else {
+      const result = await User.updateMany(filter, { $set: { emailVerified: true } });
+      console.log(`Users: ${result.modifiedCount} marked verified`);
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating email verification:', error);
+    process.exit(1);
+  }
+}
+
+migrateEmailVerified();
@@ -0,0 +1,37 @@
+// Initiatives created before the review workflow were live straight away; mark them published.
+//
+// Usage: node scripts/migrateInitiativeStatus.js [--dry-run]
+//   --dry-run  only report how many initiatives would change
+const mongoose = require('mongoose');
+const Initiative = require('../models/Initiative');
+const { MONGODB_URI } = require('../config');
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrateInitiativeStatus() {
+  try {
+    console.log('Connecting to database...');
+    await mongoose.connect(MONGODB_URI);
+    console.log(`Connected to database successfully${dryRun ? ' (dry run)' : ''}`);
+
+    const filter = { status: { $exists: false } };
+    if (dryRun) {
+      const count = await Initiative.countDocuments(filter);
+      console.log(`Initiatives: ${count} would be marked published`);
+    } else {
+      // Keep their original date as the publish date so listings stay in the same order
+      const result = await Initiative.updateMany(filter, [
+        { $set: { status: 'published', publishedAt: '$createdAt' } }
+      ]);
+      console.log(`Initiatives: ${result.modifiedCount} marked published`);
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error migrating initiative status:', error);
+    process.exit(1);
+  }
+}
+
+migrateInitiativeStatus();
@@ -0,0 +1,160 @@
+// Move uploaded files from one storage driver to another and point events, initiatives
+// and initiative revisions at the new copies.
+//
+// Usage: node scripts/migrateStorage.js --from <driver> --to <driver> [--dry-run] [--delete-source]
+//   --from           driver the files live in now (local, cloudinary or s3)
+//   --to             driver to move them to
+//   --dry-run        only report how many files would move
+//   --delete-source  remove the originals, and any transcoded media made from them, once every
+//                    record points at the copies
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { omit } = require('lodash');
+const Event = require('../models/Event');
+const Initiative = require('../models/Initiative');
+const InitiativeRevision = require('../models/InitiativeRevision');
+const StorageService = require('../services/storageService');
+const { MONGODB_URI } = require('../config');
+
+const FILE_FIELDS = ['images', 'videos', 'documents', 'audio'];
+const LOCATION_FIELDS = ['storage', 'key', 'url', 'path', 'publicId', 'fileUrl'];
+// Transcoded outputs live next to the source; the copy is queued to be transcoded again in its new home
+const MEDIA_OUTPUT_FIELDS = ['web', 'hls', 'poster', 'derived', 'processing'];
+
+const option = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+};
+
+const from = option('--from');
+const to = option('--to');
+const dryRun = process.argv.includes('--dry-run');
+const deleteSource = process.argv.includes('--delete-source');
+
+// Copies made so far, by source file id; revisions share files with their initiative
+const moved = new Map();
+const stats = { files: 0, failed: 0, records: 0 };
+
+// Images carry resized variants, which move with them
+async function moveFile(file) {
+  const variants = file.variants && file.variants.length ? await moveList(file.variants) : null;
+  const withVariants = variants ? { ...file, variants } : file;
+
+  const location = StorageService.locate(file);
+  if (!location || location.storage !== from) return variants ? withVariants : null;
+
+  const id = StorageService.fileId(file);
+  if (!moved.has(id)) {
+    stats.files++;
+    // The variants are tracked as files of their own, so they are not deleted twice
+    const source = omit(file, 'variants');
+    if (dryRun) {
+      moved.set(id, { source, copy: null });
+    } else {
+      try {
+        const copy = await StorageService.copy(source, to);
+        moved.set(id, { source, copy });
+      } catch (error) {
+        // Leave this file where it is; the records keep pointing at the original
+        stats.failed++;
+        console.error(`Could not move ${id}:`, error.message);
+        moved.set(id, { source, copy: null });
+      }
+    }
+  }
+
+  // A dry run only needs to know the record would change
+  if (dryRun) return file;
+  const { copy } = moved.get(id);
+  if (!copy) return variants ? withVariants : null;
+
+  const kept = Object.fromEntries(Object.entries(withVariants)
+    .filter(([field]) => !LOCATION_FIELDS.includes(field) && !MEDIA_OUTPUT_FIELDS.includes(field)));
+  const processing = file.processing ? { processing: { status: 'pending', attempts: 0 } } : {};
+  return { ...kept, ...copy, ...processing, filename: file.filename || copy.filename };
+}
+
+// New file list, or null when nothing in it moved
+async function moveList(files, { reports = false } = {}) {
+  let changed = false;
+  const result = [];
+  for (const file of files || []) {
+    const next = await moveFile(file);
+    if (next) {
+      changed = true;
+      result.push(reports ? { ...next, fileUrl: next.url } : next);
+    } else {
+      result.push(file);
+    }
+  }
+  return changed ? result : null;
+}
+
+async function moveFields(doc, fields, options = {}) {
+  const updates = {};
+  for (const field of fields) {
+    const files = await moveList(doc[field], { reports: options.reports && field === 'reports' });
+    if (files) updates[field] = files;
+  }
+  return Object.keys(updates).length ? updates : null;
+}
+
+async function migrateStorage() {
+  try {
+    if (!StorageService.DRIVERS.includes(from) || !StorageService.DRIVERS.includes(to) || from === to) {
+      console.error(`Usage: node scripts/migrateStorage.js --from <driver> --to <driver> [--dry-run] [--delete-source]`);
+      console.error(`Drivers: ${StorageService.DRIVERS.join(', ')}`);
+      process.exit(1);
+    }
+
+    console.log('Connecting to database...');
+    await mongoose.connect(MONGODB_URI);
+    console.log(`Connected to database successfully${dryRun ? ' (dry run)' : ''}`);
+
+    for await (const event of Event.find().select('images reports').lean().cursor()) {
+      const $set = await moveFields(event, ['images', 'reports'], { reports: true });
+      if ($set) {
+        stats.records++;
+        if (!dryRun) await Event.updateOne({ _id: event._id }, { $set });
+      }
+    }
+
+    for await (const initiative of Initiative.find().select(FILE_FIELDS.join(' ')).lean().cursor()) {
+      const $set = await moveFields(initiative, FILE_FIELDS);
+      if ($set) {
+        stats.records++;
+        if (!dryRun) await Initiative.updateOne({ _id: initiative._id }, { $set });
+      }
+    }
+
+    // Revisions are immutable through the model; relocating their files is not a content change,
+    // so the stored entries are rewritten directly on the collection
+    for await (const revision of InitiativeRevision.find().select(FILE_FIELDS.join(' ')).lean().cursor()) {
+      const $set = await moveFields(revision, FILE_FIELDS);
+      if ($set) {
+        stats.records++;
+        if (!dryRun) await InitiativeRevision.collection.updateOne({ _id: revision._id }, { $set });
+      }
+    }
+
+    if (deleteSource && !dryRun) {
+      const sources = [...moved.values()].filter(entry => entry.copy).map(entry => entry.source);
+      await StorageService.removeAll(sources);
+      console.log(`Deleted ${sources.length} files from ${from}`);
+    }
+
+    const verb = dryRun ? 'would move' : 'moved';
+    console.log(`${stats.files} files ${verb} from ${from} to ${to}, ${stats.records} records updated`);
+    if (stats.failed) {
+      console.log(`${stats.failed} files could not be moved and were left in ${from}`);
+    }
+
+    await mongoose.connection.close();
+    process.exit(stats.failed ? 1 : 0);
+  } catch (error) {
+    console.error('Error migrating storage:', error);
+    process.exit(1);
+  }
+}
+
+migrateStorage();
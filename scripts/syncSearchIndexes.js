@@ -0,0 +1,47 @@
+// Replace the old text indexes with the ones search relies on.
+// MongoDB allows one text index per collection, so the previous one has to go first.
+//
+// Usage: node scripts/syncSearchIndexes.js
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const Initiative = require('../models/Initiative');
+const SupportCentre = require('../models/SupportCentre');
+const { MONGODB_URI } = require('../config');
+
+async function syncModel(label, model) {
+  const indexes = await model.collection.indexes().catch(error => {
+    // The collection may not exist yet on a fresh database
+    if (error.codeName === 'NamespaceNotFound') return [];
+    throw error;
+  });
+
+  for (const index of indexes) {
+    if (index.textIndexVersion && index.name !== 'search_text') {
+      await model.collection.dropIndex(index.name);
+      console.log(`${label}: dropped ${index.name}`);
+    }
+  }
+
+  await model.createIndexes();
+  console.log(`${label}: search index ready`);
+}
+
+async function syncSearchIndexes() {
+  try {
+    console.log('Connecting to database...');
+    await mongoose.connect(MONGODB_URI, { autoIndex: false });
+    console.log('Connected to database successfully');
+
+    await syncModel('Events', Event);
+    await syncModel('Initiatives', Initiative);
+    await syncModel('Support centres', SupportCentre);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error syncing search indexes:', error);
+    process.exit(1);
+  }
+}
+
+syncSearchIndexes();
@@ -2,15 +2,27 @@ const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
+
+// Load environment variables before anything reads them
+dotenv.config();
+
 const path = require('path');
 const fs = require('fs');
 const https = require('https');
 const socketIo = require('socket.io');
-const jwt = require('jsonwebtoken');
 const { CLIENT_URL, MONGODB_URI } = require('./config');
+const SocketService = require('./services/socketService');
+const AppointmentService = require('./services/appointmentService');
+const UploadSessionService = require('./services/uploadSessionService');
+const MediaService = require('./services/mediaService');
+const NotificationService = require('./services/notificationService');
+const ExportService = require('./services/exportService');
+const BroadcastService = require('./services/broadcastService');
+const JobService = require('./services/jobService');
+const MailService = require('./services/mailService');
 
-// Load environment variables
-dotenv.config();
+// A missing mail setup should stop the server now, not the first password reset
+MailService.getTransport();
 
 
 // SSL Certificate paths
@@ -35,8 +47,10 @@ const corsOptions = {
     }
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Cache-Control', 'Pragma']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'HEAD', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Cache-Control', 'Pragma', 'Upload-Offset', 'Upload-Checksum'],
+  // Resumable uploads report progress in headers
+  exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length', 'Upload-Status']
 };
 
 // Apply CORS middleware once
@@ -60,38 +74,25 @@ app.use(cors({
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(require('./middleware/locale'));
 
 // MongoDB Connection
 mongoose.connect(MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    // Background work runs through the job queue; each service registers its job types
+    NotificationService.registerJobs();
+    ExportService.registerJobs();
+    BroadcastService.registerJobs();
+    AppointmentService.startReminders();
+    UploadSessionService.startCleanup();
+    MediaService.startWorker();
+    JobService.startWorker();
+  })
   .catch((err) => console.error('MongoDB connection error:', err));
 
 // Socket.IO connection handling
-const connectedUsers = new Map();
-
-io.on('connection', (socket) => {
-  console.log('New client connected');
-
-  socket.on('authenticate', (token) => {
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      connectedUsers.set(decoded.userId, socket.id);
-      console.log(`User ${decoded.userId} authenticated`);
-    } catch (error) {
-      console.error('Socket authentication error:', error);
-    }
-  });
-
-  socket.on('disconnect', () => {
-    for (const [userId, socketId] of connectedUsers.entries()) {
-      if (socketId === socket.id) {
-        connectedUsers.delete(userId);
-        console.log(`User ${userId} disconnected`);
-        break;
-      }
-    }
-  });
-});
+SocketService.init(io);
 
 // Make io accessible to routes
 app.set('io', io);
@@ -104,9 +105,21 @@ app.use('/api/notifications', require('./routes/notifications'));
 const eventRegistrationsRoutes = require('./routes/eventRegistrations');
 app.use('/api/event-registrations', eventRegistrationsRoutes);
 app.use('/api/initiatives', require('./routes/initiatives'));
-
-// Serve static files for uploads
-app.use('/uploads', express.static('uploads'));
+app.use('/api/certificates', require('./routes/certificates'));
+app.use('/api/areas', require('./routes/adminAreas'));
+app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/tips', require('./routes/tips'));
+app.use('/api/directory', require('./routes/directory'));
+app.use('/api/counselling', require('./routes/counselling'));
+app.use('/api/translations', require('./routes/translations'));
+app.use('/api/search', require('./routes/search'));
+app.use('/api/quarantine', require('./routes/quarantine'));
+app.use('/api/uploads', require('./routes/uploads'));
+app.use('/api/jobs', require('./routes/jobs'));
+app.use('/api/broadcasts', require('./routes/broadcasts'));
+
+// Serve static files for uploads kept by the local storage driver
+app.use('/uploads', express.static(process.env.STORAGE_LOCAL_DIR || 'uploads'));
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const AdminArea = require('../models/AdminArea');
+
+const LEVELS = ['district', 'taluka', 'village'];
+const CHILD_LEVEL = { district: 'taluka', taluka: 'village' };
+
+const areaError = (message) => {
+  const error = new Error(message);
+  error.name = 'AreaValidationError';
+  return error;
+};
+
+class AdminAreaService {
+  static get LEVELS() {
+    return LEVELS;
+  }
+
+  // Find an active area by id, name or alias under the given parent
+  static async findArea(level, value, parentId = null) {
+    if (!value) return null;
+
+    if (mongoose.isValidObjectId(value) && String(value).length === 24) {
+      const area = await AdminArea.findOne({ _id: value, level, isActive: true });
+      if (area) return area;
+    }
+
+    const key = AdminArea.normalize(value);
+    const filter = { level, isActive: true, $or: [{ nameKey: key }, { aliases: key }] };
+    if (level !== 'district') {
+      filter.parent = parentId;
+    }
+    return AdminArea.findOne(filter);
+  }
+
+  // Validate a district/taluka/village combination; returns the matching areas
+  static async resolve({ district, taluka, village } = {}) {
+    const result = {};
+
+    if (!district) {
+      throw areaError('District is required');
+    }
+    result.district = await AdminAreaService.findArea('district', district);
+    if (!result.district) {
+      throw areaError(`Unknown district: ${district}`);
+    }
+
+    if (taluka) {
+      result.taluka = await AdminAreaService.findArea('taluka', taluka, result.district._id);
+      if (!result.taluka) {
+        throw areaError(`Unknown taluka "${taluka}" in ${result.district.name}`);
+      }
+    }
+
+    if (village) {
+      if (!result.taluka) {
+        throw areaError('Taluka is required when a village is given');
+      }
+      result.village = await AdminAreaService.findArea('village', village, result.taluka._id);
+      if (!result.village) {
+        throw areaError(`Unknown village "${village}" in ${result.taluka.name}`);
+      }
+    }
+
+    return result;
+  }
+
+  // Create an area under its parent, checking the parent is one level up
+  static async create({ name, level, parent, code, aliases }) {
+    if (!LEVELS.includes(level)) {
+      throw areaError(`Invalid level: ${level}`);
+    }
+
+    let parentArea = null;
+    if (level !== 'district') {
+      parentArea = await AdminArea.findById(parent);
+      if (!parentArea || CHILD_LEVEL[parentArea.level] !== level) {
+        throw areaError(`A ${level} must belong to a ${LEVELS[LEVELS.indexOf(level) - 1]}`);
+      }
+    }
+
+    const area = new AdminArea({
+      name,
+      level,
+      parent: parentArea ? parentArea._id : null,
+      district: parentArea ? parentArea.district : undefined,
+      code,
+      aliases
+    });
+    await area.save();
+    return area;
+  }
+
+  // Find an area by name under a parent, creating it if it does not exist yet
+  static async ensure(level, name, parentArea = null) {
+    const existing = await AdminAreaService.findArea(level, name, parentArea ? parentArea._id : null);
+    if (existing) return { area: existing, created: false };
+
+    const area = await AdminAreaService.create({
+      name: String(name).trim().replace(/\s+/g, ' '),
+      level,
+      parent: parentArea ? parentArea._id : null
+    });
+    return { area, created: true };
+  }
+
+  // Import rows of { district, taluka, village }, creating whatever is missing
+  static async importRows(rows) {
+    const summary = { created: { district: 0, taluka: 0, village: 0 }, skipped: [] };
+
+    for (const [index, row] of rows.entries()) {
+      if (!row || !row.district) {
+        summary.skipped.push({ row: index + 1, reason: 'District is required' });
+        continue;
+      }
+      if (row.village && !row.taluka) {
+        summary.skipped.push({ row: index + 1, reason: 'Taluka is required when a village is given' });
+        continue;
+      }
+
+      const district = await AdminAreaService.ensure('district', row.district);
+      if (district.created) summary.created.district++;
+
+      if (row.taluka) {
+        const taluka = await AdminAreaService.ensure('taluka', row.taluka, district.area);
+        if (taluka.created) summary.created.taluka++;
+
+        if (row.village) {
+          const village = await AdminAreaService.ensure('village', row.village, taluka.area);
+          if (village.created) summary.created.village++;
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  // Parse "district,taluka,village" CSV text with a header row
+  static parseCsv(text) {
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) return [];
+
+    const parseLine = (line) => {
+      const cells = [];
+      let current = '';
+      let quoted = false;
+      for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+          if (char === '"' && line[i + 1] === '"') {
+            current += '"';
+            i++;
+          } else if (char === '"') {
+            quoted = false;
+          } else {
+            current += char;
+          }
+        } else if (char === '"') {
+          quoted = true;
+        } else if (char === ',') {
+          cells.push(current.trim());
+          current = '';
+        } else {
+          current += char;
+        }
+      }
+      cells.push(current.trim());
+      return cells;
+    };
+
+    const headers = parseLine(lines[0]).map(header => header.toLowerCase());
+    return lines.slice(1).map(line => {
+      const cells = parseLine(line);
+      return headers.reduce((row, header, i) => ({ ...row, [header]: cells[i] }), {});
+    });
+  }
+}
+
+module.exports = AdminAreaService;
@@ -0,0 +1,186 @@
+const Event = require('../models/Event');
+const EventRegistration = require('../models/EventRegistration');
+const RegistrationService = require('./registrationService');
+const PolicyService = require('./policyService');
+
+const TIMEZONE = 'Asia/Kolkata';
+
+const ratio = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 1000 : 0);
+
+// $switch expression mapping an age to its band label
+const ageBandExpression = () => ({
+  $switch: {
+    branches: RegistrationService.AGE_BANDS.map(band => ({
+      case: band.max === Infinity
+        ? { $gte: ['$age', band.min] }
+        : { $and: [{ $gte: ['$age', band.min] }, { $lte: ['$age', band.max] }] },
+      then: band.label
+    })),
+    default: 'unknown'
+  }
+});
+
+// Sums per registration status plus check-ins, reused by several reports
+const statusCounters = {
+  registrations: { $sum: 1 },
+  pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } },
+  approved: { $sum: { $cond: [{ $eq: ['$status', 'approved'] }, 1, 0] } },
+  rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+  waitlisted: { $sum: { $cond: [{ $eq: ['$status', 'waitlisted'] }, 1, 0] } },
+  cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+  checkedIn: { $sum: { $cond: [{ $ifNull: ['$checkedInAt', false] }, 1, 0] } }
+};
+
+const withRates = (row) => ({
+  ...row,
+  approvalRate: ratio(row.approved, row.approved + row.rejected),
+  attendanceRate: ratio(row.checkedIn, row.approved)
+});
+
+const GROUP_KEYS = {
+  district: '$district',
+  taluka: { district: '$district', taluka: '$taluka' },
+  village: { district: '$district', taluka: '$taluka', village: '$village' },
+  month: (field) => ({ $dateToString: { format: '%Y-%m', date: field, timezone: TIMEZONE } })
+};
+
+class AnalyticsService {
+  // Event query for the report filters and the user's jurisdiction
+  static eventMatch(user, query = {}) {
+    const match = { ...PolicyService.eventFilter(user) };
+    const and = [];
+
+    if (query.district) {
+      and.push({ district: { $in: String(query.district).split(',').map(d => d.trim()) } });
+    }
+    if (query.from || query.to) {
+      const date = {};
+      if (query.from) date.$gte = new Date(query.from);
+      if (query.to) date.$lte = new Date(query.to);
+      if (Object.values(date).some(value => isNaN(value))) {
+        throw new Error('Invalid date range');
+      }
+      and.push({ date });
+    }
+
+    return and.length ? { $and: [match, ...and] } : match;
+  }
+
+  // Registration query for the report filters and the user's jurisdiction
+  static async registrationMatch(user, query = {}) {
+    const filter = RegistrationService.buildFilter(query);
+    const scope = PolicyService.registrationFilter(user);
+
+    // Non-statewide users only see registrations of events they can see
+    if (!PolicyService.isStatewide(user)) {
+      const eventIds = await Event.find(PolicyService.eventFilter(user)).distinct('_id');
+      filter.event = { $in: eventIds };
+    }
+
+    return { $and: [filter, scope] };
+  }
+
+  // Headline numbers for the dashboard
+  static async overview(user, query) {
+    const [events] = await Event.aggregate([
+      { $match: AnalyticsService.eventMatch(user, query) },
+      {
+        $group: {
+          _id: null,
+          events: { $sum: 1 },
+          held: { $sum: { $cond: [{ $lt: ['$date', new Date()] }, 1, 0] } },
+          districts: { $addToSet: '$district' }
+        }
+      },
+      { $project: { _id: 0, events: 1, held: 1, upcoming: { $subtract: ['$events', '$held'] }, districts: { $size: '$districts' } } }
+    ]);
+
+    const [registrations] = await EventRegistration.aggregate([
+      { $match: await AnalyticsService.registrationMatch(user, query) },
+      { $group: { _id: null, ...statusCounters } },
+      { $project: { _id: 0 } }
+    ]);
+
+    return {
+      ...(events || { events: 0, held: 0, upcoming: 0, districts: 0 }),
+      ...withRates(registrations || Object.keys(statusCounters).reduce((row, key) => ({ ...row, [key]: 0 }), {}))
+    };
+  }
+
+  // Events held per district or month
+  static async eventsBy(user, query, groupBy = 'district') {
+    if (!['district', 'month'].includes(groupBy)) {
+      throw new Error('groupBy must be district or month');
+    }
+
+    const key = groupBy === 'month' ? GROUP_KEYS.month('$date') : GROUP_KEYS.district;
+    return Event.aggregate([
+      { $match: AnalyticsService.eventMatch(user, query) },
+      {
+        $group: {
+          _id: key,
+          events: { $sum: 1 },
+          held: { $sum: { $cond: [{ $lt: ['$date', new Date()] }, 1, 0] } }
+        }
+      },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, [groupBy]: '$_id', events: 1, held: 1 } }
+    ]);
+  }
+
+  // Registrations, approval and attendance per district, taluka, village or month
+  static async registrationsBy(user, query, groupBy = 'district') {
+    if (!['district', 'taluka', 'village', 'month'].includes(groupBy)) {
+      throw new Error('groupBy must be district, taluka, village or month');
+    }
+
+    const key = groupBy === 'month' ? GROUP_KEYS.month('$createdAt') : GROUP_KEYS[groupBy];
+    const rows = await EventRegistration.aggregate([
+      { $match: await AnalyticsService.registrationMatch(user, query) },
+      { $group: { _id: key, ...statusCounters } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return rows.map(({ _id, ...row }) => withRates({
+      ...(typeof _id === 'object' && _id !== null ? _id : { [groupBy]: _id }),
+      ...row
+    }));
+  }
+
+  // Registrants by age band and gender, with a cross-tab of both
+  static async demographics(user, query) {
+    const [result] = await EventRegistration.aggregate([
+      { $match: await AnalyticsService.registrationMatch(user, query) },
+      { $addFields: { ageBand: ageBandExpression() } },
+      {
+        $facet: {
+          ageBands: [
+            { $group: { _id: '$ageBand', ...statusCounters } },
+            { $project: { _id: 0, ageBand: '$_id', registrations: 1, approved: 1, rejected: 1, checkedIn: 1 } }
+          ],
+          genders: [
+            { $group: { _id: '$gender', ...statusCounters } },
+            { $sort: { _id: 1 } },
+            { $project: { _id: 0, gender: '$_id', registrations: 1, approved: 1, rejected: 1, checkedIn: 1 } }
+          ],
+          ageByGender: [
+            { $group: { _id: { ageBand: '$ageBand', gender: '$gender' }, registrations: { $sum: 1 } } },
+            { $project: { _id: 0, ageBand: '$_id.ageBand', gender: '$_id.gender', registrations: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    // Keep age bands in their natural order rather than alphabetical
+    const order = [...RegistrationService.AGE_BANDS.map(band => band.label), 'unknown'];
+    const byOrder = (a, b) => order.indexOf(a.ageBand) - order.indexOf(b.ageBand);
+
+    return {
+      ageBands: result.ageBands.map(withRates).sort(byOrder),
+      genders: result.genders.map(withRates),
+      ageByGender: result.ageByGender.sort(byOrder)
+    };
+  }
+}
+
+module.exports = AnalyticsService;
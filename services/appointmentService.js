@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const Appointment = require('../models/Appointment');
+const CounsellingSlot = require('../models/CounsellingSlot');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const MailService = require('./mailService');
+const LocaleService = require('./localeService');
+const JobService = require('./jobService');
+
+// No 0/O or 1/I so references can be read out over the phone
+const REFERENCE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const HOUR = 60 * 60 * 1000;
+
+// Each reminder goes out once, this long before the session; keep shortest first
+const REMINDERS = [
+  { key: '1h', before: HOUR },
+  { key: '24h', before: 24 * HOUR }
+];
+
+const REMINDER_INTERVAL_MS = parseInt(process.env.APPOINTMENT_REMINDER_INTERVAL_MS || String(5 * 60 * 1000));
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateReference = () => {
+  const chars = Array.from(crypto.randomBytes(8), byte => REFERENCE_ALPHABET[byte % REFERENCE_ALPHABET.length]).join('');
+  return `APT-${chars}`;
+};
+
+const bookingError = (message, status = 409) => {
+  const error = new Error(message);
+  error.name = 'BookingError';
+  error.status = status;
+  return error;
+};
+
+// Reminders whose window has already started; a fresh booking confirmation covers them
+const remindersAlreadyDue = (startsAt, now = new Date()) => REMINDERS
+  .filter(reminder => startsAt.getTime() - now.getTime() <= reminder.before)
+  .map(reminder => reminder.key);
+
+const where = (slot) => (slot && slot.location ? ` (${slot.location})` : '');
+
+const formatTime = (date) => new Date(date).toLocaleString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+class AppointmentService {
+  static get REMINDERS() {
+    return REMINDERS;
+  }
+
+  // Open new slots for a counsellor, refusing any that overlap each other or existing slots
+  static async createSlots(counsellor, slots, area = {}) {
+    const now = new Date();
+    const sorted = [...slots].sort((a, b) => a.startsAt - b.startsAt);
+
+    for (let i = 0; i < sorted.length; i++) {
+      const slot = sorted[i];
+      if (slot.startsAt <= now) {
+        throw bookingError('Slots must start in the future', 400);
+      }
+      if (slot.endsAt <= slot.startsAt) {
+        throw bookingError('Slot end time must be after the start time', 400);
+      }
+      if (i > 0 && sorted[i - 1].endsAt > slot.startsAt) {
+        throw bookingError(`Slots starting ${formatTime(sorted[i - 1].startsAt)} and ${formatTime(slot.startsAt)} overlap`);
+      }
+
+      const clash = await CounsellingSlot.findOne({
+        counsellor: counsellor._id,
+        status: { $ne: 'cancelled' },
+        startsAt: { $lt: slot.endsAt },
+        endsAt: { $gt: slot.startsAt }
+      });
+      if (clash) {
+        throw bookingError(`Slot starting ${formatTime(slot.startsAt)} overlaps an existing slot`);
+      }
+    }
+
+    return CounsellingSlot.insertMany(sorted.map(slot => ({
+      counsellor: counsellor._id,
+      startsAt: slot.startsAt,
+      endsAt: slot.endsAt,
+      mode: slot.mode,
+      location: slot.location,
+      district: area.district ? area.district.name : undefined,
+      districtArea: area.district ? area.district._id : undefined
+    })));
+  }
+
+  // Atomically take an open future slot; null when someone else got there first
+  static async claimSlot(slotId, appointmentId) {
+    return CounsellingSlot.findOneAndUpdate(
+      { _id: slotId, status: 'open', startsAt: { $gt: new Date() } },
+      { status: 'booked', appointment: appointmentId, updatedAt: Date.now() },
+      { new: true }
+    );
+  }
+
+  // Reopen a slot, but only while it is still held by this appointment
+  static async releaseSlot(slotId, appointmentId) {
+    return CounsellingSlot.findOneAndUpdate(
+      { _id: slotId, status: 'booked', appointment: appointmentId },
+      { status: 'open', $unset: { appointment: 1 }, updatedAt: Date.now() },
+      { new: true }
+    );
+  }
+
+  // Book a slot and return the appointment with the secret token the client needs to manage it
+  static async book(slotId, data) {
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    const appointment = new Appointment({
+      ...data,
+      reference: generateReference(),
+      accessTokenHash: hashToken(accessToken)
+    });
+
+    const slot = await AppointmentService.claimSlot(slotId, appointment._id);
+    if (!slot) {
+      throw bookingError('This slot is no longer available');
+    }
+
+    appointment.set({
+      slot: slot._id,
+      counsellor: slot.counsellor,
+      startsAt: slot.startsAt,
+      endsAt: slot.endsAt,
+      remindersSent: remindersAlreadyDue(slot.startsAt)
+    });
+    try {
+      await appointment.save();
+    } catch (error) {
+      await AppointmentService.releaseSlot(slot._id, appointment._id);
+      throw error;
+    }
+
+    await AppointmentService.notifyClient(appointment, 'appointmentConfirmed', {
+      time: slot.startsAt,
+      where: where(slot),
+      reference: appointment.reference
+    });
+    await AppointmentService.notifyCounsellor(appointment, 'appointmentBooked', { time: slot.startsAt });
+
+    return { appointment, slot, accessToken };
+  }
+
+  // Look up an appointment for its client; null unless the token matches
+  static async findForClient(reference, accessToken) {
+    const appointment = await Appointment.findOne({ reference: String(reference).trim().toUpperCase() })
+      .select('+accessTokenHash');
+    if (!appointment || !accessToken) return null;
+
+    const expected = Buffer.from(appointment.accessTokenHash);
+    const actual = Buffer.from(hashToken(String(accessToken).trim()));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+    return appointment;
+  }
+
+  // Move a booked appointment to another open slot; the new slot is claimed before the old one is freed
+  static async reschedule(appointment, slotId) {
+    if (appointment.status !== 'booked') {
+      throw bookingError('Only booked appointments can be rescheduled', 400);
+    }
+    if (appointment.startsAt <= new Date()) {
+      throw bookingError('This appointment has already started', 400);
+    }
+    if (appointment.slot.toString() === String(slotId)) {
+      throw bookingError('The appointment is already in this slot', 400);
+    }
+
+    const slot = await AppointmentService.claimSlot(slotId, appointment._id);
+    if (!slot) {
+      throw bookingError('This slot is no longer available');
+    }
+
+    const previous = { slot: appointment.slot, counsellor: appointment.counsellor, startsAt: appointment.startsAt };
+    appointment.set({
+      slot: slot._id,
+      counsellor: slot.counsellor,
+      startsAt: slot.startsAt,
+      endsAt: slot.endsAt,
+      remindersSent: remindersAlreadyDue(slot.startsAt),
+      rescheduleCount: appointment.rescheduleCount + 1
+    });
+    try {
+      await appointment.save();
+    } catch (error) {
+      await AppointmentService.releaseSlot(slot._id, appointment._id);
+      throw error;
+    }
+    await AppointmentService.releaseSlot(previous.slot, appointment._id);
+
+    await AppointmentService.notifyClient(appointment, 'appointmentRescheduled', {
+      time: slot.startsAt,
+      where: where(slot)
+    });
+    if (previous.counsellor.toString() !== slot.counsellor.toString()) {
+      await AppointmentService.notifyCounsellor(
+        { _id: appointment._id, counsellor: previous.counsellor },
+        'appointmentMoved',
+        { time: previous.startsAt }
+      );
+    }
+    await AppointmentService.notifyCounsellor(appointment, 'appointmentRescheduledCounsellor', { time: slot.startsAt });
+
+    return { appointment, slot };
+  }
+
+  // Cancel a booked appointment; a client cancellation reopens the slot for others
+  static async cancel(appointment, cancelledBy, reason) {
+    if (appointment.status !== 'booked') {
+      throw bookingError('Only booked appointments can be cancelled', 400);
+    }
+
+    appointment.set({ status: 'cancelled', cancelledBy, cancelReason: reason });
+    await appointment.save();
+
+    if (cancelledBy === 'client') {
+      await AppointmentService.releaseSlot(appointment.slot, appointment._id);
+      await AppointmentService.notifyCounsellor(
+        appointment,
+        'appointmentCancelledByClient',
+        { time: appointment.startsAt },
+        'warning'
+      );
+    } else {
+      await AppointmentService.notifyClient(
+        appointment,
+        'appointmentCancelledByCounsellor',
+        { time: appointment.startsAt, reason: reason ? `: ${reason}` : '' },
+        'warning'
+      );
+    }
+
+    return appointment;
+  }
+
+  // Withdraw a slot; any appointment still holding it is cancelled
+  static async cancelSlot(slotId, reason) {
+    const slot = await CounsellingSlot.findOneAndUpdate(
+      { _id: slotId, status: { $ne: 'cancelled' } },
+      { status: 'cancelled', updatedAt: Date.now() },
+      { new: true }
+    );
+    if (!slot || !slot.appointment) return slot;
+
+    const appointment = await Appointment.findById(slot.appointment);
+    // The client may have just rescheduled away from this slot
+    if (appointment && appointment.status === 'booked' && appointment.slot.toString() === slot._id.toString()) {
+      await AppointmentService.cancel(appointment, 'counsellor', reason);
+    }
+    return slot;
+  }
+
+  // Send every reminder that has come due; safe to run from several servers at once
+  static async sendDueReminders(now = new Date()) {
+    let sent = 0;
+
+    for (const reminder of REMINDERS) {
+      const due = await Appointment.find({
+        status: 'booked',
+        startsAt: { $gt: now, $lte: new Date(now.getTime() + reminder.before) },
+        remindersSent: { $ne: reminder.key }
+      }).populate('slot', 'mode location');
+
+      // Longer reminders are pointless once a shorter one has gone out
+      const keys = REMINDERS.filter(r => r.before >= reminder.before).map(r => r.key);
+
+      for (const appointment of due) {
+        const claimed = await Appointment.findOneAndUpdate(
+          { _id: appointment._id, status: 'booked', remindersSent: { $ne: reminder.key } },
+          { $addToSet: { remindersSent: { $each: keys } } }
+        );
+        if (!claimed) continue;
+
+        await AppointmentService.notifyClient(appointment, 'appointmentReminder', {
+          time: appointment.startsAt,
+          where: where(appointment.slot),
+          reference: appointment.reference
+        });
+        await AppointmentService.notifyCounsellor(appointment, 'appointmentUpcoming', { time: appointment.startsAt });
+        sent++;
+      }
+    }
+
+    return sent;
+  }
+
+  // Check for due reminders from the job queue
+  static startReminders(intervalMs = REMINDER_INTERVAL_MS) {
+    JobService.register('appointments.reminders', () => AppointmentService.sendDueReminders(), { concurrency: 1 });
+    return JobService.every('appointments.reminders', intervalMs);
+  }
+
+  // Clients with an account are notified through NotificationService, which applies their
+  // preferences; anyone else gets an email in the language they booked in.
+  // name is a notifications.<name> catalog entry.
+  static async notifyClient(appointment, name, params = {}, type = 'info') {
+    try {
+      const user = await User.findOne({ email: appointment.email });
+      if (user) {
+        await NotificationService.createLocalizedNotification(user._id, name, params, type, '/counselling');
+        return;
+      }
+
+      const locale = LocaleService.negotiate({ lang: appointment.locale });
+      await MailService.send({
+        to: appointment.email,
+        subject: LocaleService.t(locale, `notifications.${name}.title`, params),
+        text: LocaleService.t(locale, 'mail.body', {
+          name: appointment.name,
+          message: LocaleService.t(locale, `notifications.${name}.message`, params)
+        })
+      });
+    } catch (error) {
+      // A failed notification should never undo the booking change itself
+      console.error('Error notifying client:', error);
+    }
+  }
+
+  // Counsellor notifications leave out the client's details, which stay behind the appointment view
+  static async notifyCounsellor(appointment, name, params = {}, type = 'info') {
+    try {
+      await NotificationService.createLocalizedNotification(
+        appointment.counsellor,
+        name,
+        params,
+        type,
+        `/counselling/appointments/${appointment._id}`
+      );
+    } catch (error) {
+      console.error('Error notifying counsellor:', error);
+    }
+  }
+}
+
+module.exports = AppointmentService;
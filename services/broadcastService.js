@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const AdminArea = require('../models/AdminArea');
+const Broadcast = require('../models/Broadcast');
+const Event = require('../models/Event');
+const EventRegistration = require('../models/EventRegistration');
+const Job = require('../models/Job');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const AdminAreaService = require('./adminAreaService');
+const NotificationService = require('./notificationService');
+const JobService = require('./jobService');
+
+const broadcastError = (message, status = 400) => {
+  const error = new Error(message);
+  error.name = 'BroadcastError';
+  error.status = status;
+  return error;
+};
+
+const toList = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+// Districts a broadcast is about: those it targets and those of the talukas it targets
+const targetDistricts = async (audience) => {
+  const districts = (audience.districts || []).map(id => id.toString());
+  if (audience.talukas && audience.talukas.length) {
+    const talukas = await AdminArea.find({ _id: { $in: audience.talukas } }).select('district parent').lean();
+    talukas.forEach(taluka => districts.push(String(taluka.district || taluka.parent)));
+  }
+  return [...new Set(districts)];
+};
+
+class BroadcastService {
+  // Check an audience from the compose form and turn area names into ids
+  static async resolveAudience(value) {
+    const input = value || {};
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      throw broadcastError('Audience must be an object');
+    }
+    const audience = { roles: [], districts: [], talukas: [] };
+
+    const roles = User.schema.path('role').enumValues;
+    for (const role of toList(input.roles)) {
+      if (!roles.includes(role)) {
+        throw broadcastError(`Unknown role: ${role}`);
+      }
+      audience.roles.push(role);
+    }
+
+    for (const district of toList(input.districts)) {
+      const { district: area } = await AdminAreaService.resolve({ district });
+      audience.districts.push(area._id);
+    }
+
+    // A taluka is an AdminArea id, or { district, taluka } by name
+    for (const taluka of toList(input.talukas)) {
+      if (taluka && typeof taluka === 'object') {
+        const areas = await AdminAreaService.resolve({ district: taluka.district, taluka: taluka.taluka });
+        if (!areas.taluka) {
+          throw broadcastError('Each taluka needs a district and a taluka');
+        }
+        audience.talukas.push(areas.taluka._id);
+      } else {
+        const area = mongoose.isValidObjectId(taluka) && await AdminAreaService.findArea('taluka', taluka);
+        if (!area) {
+          throw broadcastError(`Unknown taluka: ${taluka}`);
+        }
+        audience.talukas.push(area._id);
+      }
+    }
+
+    if (input.segment) {
+      const { type, event, statuses } = input.segment;
+      if (!NotificationService.SEGMENTS.includes(type)) {
+        throw broadcastError(`Unknown audience segment: ${type}`);
+      }
+      if (!mongoose.isValidObjectId(event) || !await Event.exists({ _id: event })) {
+        throw broadcastError('Segment event not found');
+      }
+      const known = EventRegistration.schema.path('status').enumValues;
+      const wanted = toList(statuses);
+      const unknown = wanted.find(status => !known.includes(status));
+      if (unknown) {
+        throw broadcastError(`Unknown registration status: ${unknown}`);
+      }
+      audience.segment = { type, event, statuses: wanted };
+    }
+
+    return audience;
+  }
+
+  // Title and message in a language, falling back to what the admin wrote
+  static content(broadcast) {
+    return (locale) => {
+      const translation = (broadcast.translations && broadcast.translations[locale]) || {};
+      return {
+        title: translation.title || broadcast.title,
+        message: translation.message || broadcast.message
+      };
+    };
+  }
+
+  static async create(data, user) {
+    const broadcast = new Broadcast({
+      ...data,
+      audience: await BroadcastService.resolveAudience(data.audience),
+      status: 'scheduled',
+      scheduledAt: data.scheduledAt || new Date(),
+      createdBy: user._id
+    });
+    await broadcast.validate();
+
+    const job = await JobService.enqueue('broadcasts.send', { broadcast: broadcast._id }, {
+      runAt: broadcast.scheduledAt,
+      createdBy: user._id
+    });
+    broadcast.job = job._id;
+    try {
+      await broadcast.save();
+    } catch (error) {
+      await Job.deleteOne({ _id: job._id });
+      throw error;
+    }
+    return broadcast;
+  }
+
+  // Change a broadcast that has not started sending, including when it goes out
+  static async update(broadcast, data) {
+    if (broadcast.status !== 'scheduled') {
+      throw broadcastError(`A ${broadcast.status} broadcast cannot be changed`, 409);
+    }
+
+    ['title', 'message', 'type', 'link', 'sourceLocale', 'translations', 'scheduledAt'].forEach(field => {
+      if (data[field] !== undefined) broadcast[field] = data[field];
+    });
+    if (data.audience !== undefined) {
+      broadcast.audience = await BroadcastService.resolveAudience(data.audience);
+    }
+    await broadcast.validate();
+
+    // Move the queued send; if a worker already took it, it is too late to edit
+    const moved = await Job.updateOne({ _id: broadcast.job, status: 'queued' }, { $set: { runAt: broadcast.scheduledAt } });
+    if (moved.matchedCount === 0) {
+      throw broadcastError('This broadcast is already being sent', 409);
+    }
+    return broadcast.save();
+  }
+
+  static async cancel(broadcast) {
+    const cancelled = await Broadcast.findOneAndUpdate(
+      { _id: broadcast._id, status: 'scheduled' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+    if (!cancelled) {
+      throw broadcastError(`A ${broadcast.status} broadcast cannot be cancelled`, 409);
+    }
+    // A worker that already claimed the job sees the cancelled status and stops
+    await Job.deleteOne({ _id: cancelled.job, status: 'queued' });
+    return cancelled;
+  }
+
+  // Job handler; a retry carries on after the last batch inserted
+  static async send({ broadcast: id }, { job, checkpoint }) {
+    const broadcast = await Broadcast.findOneAndUpdate(
+      { _id: id, status: { $in: ['scheduled', 'sending'] } },
+      { $set: { status: 'sending' } },
+      { new: true }
+    );
+    if (!broadcast) {
+      // Cancelled, or already sent
+      return { skipped: true };
+    }
+
+    const audience = broadcast.toObject().audience;
+    if (!broadcast.startedAt) {
+      await Broadcast.updateOne({ _id: id }, {
+        $set: { startedAt: new Date(), 'stats.targeted': await NotificationService.countAudience(audience) }
+      });
+    }
+
+    const progress = job.progress || {};
+    try {
+      await NotificationService.sendToAudience(audience, BroadcastService.content(broadcast), {
+        type: broadcast.type,
+        link: broadcast.link,
+        category: 'announcements',
+        districtArea: await targetDistricts(audience),
+        broadcast: broadcast._id,
+        after: progress.after,
+        onBatch: async (after, count) => {
+          progress.after = after;
+          await Broadcast.updateOne({ _id: id }, { $inc: { 'stats.delivered': count } });
+          await checkpoint(progress);
+        }
+      });
+    } catch (error) {
+      if (job.attempts >= job.maxAttempts) {
+        await Broadcast.updateOne({ _id: id }, { $set: { status: 'failed', error: error.message } });
+      }
+      throw error;
+    }
+
+    await Broadcast.updateOne({ _id: id }, { $set: { status: 'sent', sentAt: new Date() }, $unset: { error: '' } });
+    return { broadcast: id };
+  }
+
+  // Read counts from the notifications themselves, by broadcast id. Delivered comes from the
+  // broadcast, which also counts users who get it in a digest and so have no notification yet.
+  static async stats(ids) {
+    const rows = await Notification.aggregate([
+      { $match: { broadcast: { $in: ids }, read: true } },
+      { $group: { _id: '$broadcast', read: { $sum: 1 } } }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row]));
+  }
+
+  static present(broadcast, stats) {
+    const { read } = (stats && stats.get(broadcast._id.toString())) || { read: 0 };
+    const { targeted, delivered } = broadcast.stats;
+    return {
+      ...broadcast.toObject(),
+      stats: {
+        targeted,
+        delivered,
+        read,
+        readRate: delivered ? read / delivered : 0
+      }
+    };
+  }
+
+  static registerJobs() {
+    JobService.register('broadcasts.send', BroadcastService.send, { maxAttempts: 5 });
+  }
+}
+
+module.exports = BroadcastService;
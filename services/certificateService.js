@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const Certificate = require('../models/Certificate');
+const EventRegistration = require('../models/EventRegistration');
+const PdfService = require('./pdfService');
+const MailService = require('./mailService');
+const { PUBLIC_API_URL, CLIENT_URL } = require('../config');
+
+// No 0/O or 1/I so IDs can be typed in from a printed certificate
+const ID_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateVerificationId = () => {
+  const bytes = crypto.randomBytes(10);
+  const chars = Array.from(bytes, byte => ID_ALPHABET[byte % ID_ALPHABET.length]).join('');
+  return `JTY-${chars.slice(0, 5)}-${chars.slice(5)}`;
+};
+
+class CertificateService {
+  // Issue certificates for every eligible registrant that does not have one yet
+  static async generateForEvent(event, issuedBy, { checkedInOnly = false } = {}) {
+    const filter = { event: event._id, status: 'approved' };
+    if (checkedInOnly) {
+      filter.checkedInAt = { $exists: true };
+    }
+
+    const registrations = await EventRegistration.find(filter);
+    const existing = await Certificate.find({ event: event._id }).distinct('registration');
+    const existingIds = new Set(existing.map(id => id.toString()));
+
+    const newCertificates = registrations
+      .filter(registration => !existingIds.has(registration._id.toString()))
+      .map(registration => ({
+        verificationId: generateVerificationId(),
+        event: event._id,
+        registration: registration._id,
+        participantName: registration.name,
+        eventTitle: event.title,
+        eventDate: event.date,
+        district: event.district,
+        issuedBy
+      }));
+
+    const created = newCertificates.length > 0
+      ? await Certificate.insertMany(newCertificates)
+      : [];
+
+    // Let participants know where to download their certificate
+    const registrationsById = new Map(registrations.map(registration => [registration._id.toString(), registration]));
+    for (const certificate of created) {
+      const registration = registrationsById.get(certificate.registration.toString());
+      try {
+        await MailService.send({
+          to: registration.email,
+          subject: `Your participation certificate for ${event.title}`,
+          text: `Hello ${registration.name},\n\nThank you for taking part in "${event.title}". Download your certificate here:\n${CertificateService.getDownloadUrl(certificate)}\n\nVerification ID: ${certificate.verificationId}`
+        });
+      } catch (error) {
+        console.error('Error sending certificate email:', error);
+      }
+    }
+
+    return created;
+  }
+
+  static getDownloadUrl(certificate) {
+    return `${PUBLIC_API_URL}/certificates/${certificate.verificationId}/pdf`;
+  }
+
+  static getVerifyUrl(certificate) {
+    return `${CLIENT_URL}/verify-certificate/${certificate.verificationId}`;
+  }
+
+  // Render one or more certificates into a single PDF, one landscape A4 page each
+  static renderPdf(certificates) {
+    const list = Array.isArray(certificates) ? certificates : [certificates];
+
+    return PdfService.render(({ Document, Page, View, Text, StyleSheet, h }) => {
+      const styles = StyleSheet.create({
+        page: { padding: 40, fontFamily: 'Helvetica' },
+        border: { flex: 1, borderWidth: 4, borderColor: '#1b5e20', padding: 32, alignItems: 'center', justifyContent: 'center' },
+        org: { fontSize: 14, color: '#1b5e20', marginBottom: 8, fontFamily: 'Helvetica-Bold' },
+        title: { fontSize: 32, marginBottom: 24, fontFamily: 'Helvetica-Bold' },
+        body: { fontSize: 14, marginBottom: 8, textAlign: 'center' },
+        name: { fontSize: 26, marginVertical: 12, fontFamily: 'Helvetica-Bold' },
+        event: { fontSize: 18, marginVertical: 8, fontFamily: 'Helvetica-Bold', textAlign: 'center' },
+        footer: { position: 'absolute', bottom: 24, left: 32, right: 32, fontSize: 9, color: '#555555', textAlign: 'center' }
+      });
+
+      return h(Document, { title: 'Participation Certificates' },
+        list.map(certificate => h(Page, { key: certificate.verificationId, size: 'A4', orientation: 'landscape', style: styles.page },
+          h(View, { style: styles.border },
+            h(Text, { style: styles.org }, 'JATAAYU - Joint Action on drug Trafficking And drug Abuse for Youth Upliftment'),
+            h(Text, { style: styles.title }, 'Certificate of Participation'),
+            h(Text, { style: styles.body }, 'This is to certify that'),
+            h(Text, { style: styles.name }, certificate.participantName),
+            h(Text, { style: styles.body }, 'has participated in'),
+            h(Text, { style: styles.event }, certificate.eventTitle),
+            h(Text, { style: styles.body }, `held on ${new Date(certificate.eventDate).toDateString()} in ${certificate.district} district`),
+            h(Text, { style: styles.footer },
+              `Verification ID: ${certificate.verificationId} - verify at ${CertificateService.getVerifyUrl(certificate)}`
+            )
+          )
+        ))
+      );
+    });
+  }
+}
+
+module.exports = CertificateService;
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const Event = require('../models/Event');
+const EventRegistration = require('../models/EventRegistration');
+const User = require('../models/User');
+const RegistrationService = require('./registrationService');
+const PolicyService = require('./policyService');
+const NotificationService = require('./notificationService');
+const JobService = require('./jobService');
+
+// Exports built in the background wait here for their owner to download them; not publicly served
+const EXPORT_DIR = process.env.EXPORT_DIR || 'storage/exports';
+const EXPORT_TTL_MS = 24 * 60 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const COLUMNS = [
+  { header: 'Event', key: 'eventTitle', width: 32 },
+  { header: 'Event Date', key: 'eventDate', width: 14 },
+  { header: 'Name', key: 'name', width: 24 },
+  { header: 'Email', key: 'email', width: 28 },
+  { header: 'Phone', key: 'phone', width: 16 },
+  { header: 'Age', key: 'age', width: 6 },
+  { header: 'Gender', key: 'gender', width: 8 },
+  { header: 'Address', key: 'address', width: 32 },
+  { header: 'District', key: 'district', width: 16 },
+  { header: 'Taluka', key: 'taluka', width: 16 },
+  { header: 'Village', key: 'village', width: 16 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Checked In At', key: 'checkedInAt', width: 20 },
+  { header: 'Registered At', key: 'createdAt', width: 20 }
+];
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+const formatDateTime = (date) => (date ? new Date(date).toISOString() : '');
+
+const toRow = (registration) => ({
+  eventTitle: registration.event ? registration.event.title : '',
+  eventDate: registration.event ? formatDate(registration.event.date) : '',
+  name: registration.name,
+  email: registration.email,
+  phone: registration.phone,
+  age: registration.age,
+  gender: registration.gender,
+  address: registration.address,
+  district: registration.district,
+  taluka: registration.taluka,
+  village: registration.village,
+  status: registration.status,
+  checkedInAt: formatDateTime(registration.checkedInAt),
+  createdAt: formatDateTime(registration.createdAt)
+});
+
+const escapeCsv = (value) => {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Stop spreadsheet apps from treating user input as a formula
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const closedEarly = () => new Error('Export stream closed before it finished');
+
+// Write a chunk and wait for the socket to drain when its buffer is full. A client that
+// disconnects meanwhile never drains it, so closing or failing rejects instead.
+const write = (stream, chunk) => new Promise((resolve, reject) => {
+  if (stream.destroyed) {
+    reject(closedEarly());
+    return;
+  }
+  if (stream.write(chunk)) {
+    resolve();
+    return;
+  }
+
+  const settle = (error) => {
+    stream.removeListener('drain', onDrain);
+    stream.removeListener('close', onClose);
+    stream.removeListener('error', settle);
+    if (error) {
+      reject(error);
+    } else {
+      resolve();
+    }
+  };
+  const onDrain = () => settle();
+  const onClose = () => settle(closedEarly());
+  stream.once('drain', onDrain);
+  stream.once('close', onClose);
+  stream.once('error', settle);
+});
+
+class ExportService {
+  static get FORMATS() {
+    return ['csv', 'xlsx'];
+  }
+
+  static get EXPORT_TTL_MS() {
+    return EXPORT_TTL_MS;
+  }
+
+  static contentType(format) {
+    return CONTENT_TYPES[format];
+  }
+
+  // Registrations the user may export, narrowed by the export query (filters and eventId)
+  static async registrationsFilter(user, query) {
+    const filter = RegistrationService.buildFilter(query);
+
+    // Only events and registrations within the user's jurisdiction
+    const eventQuery = PolicyService.eventFilter(user);
+    if (query.eventId) {
+      eventQuery._id = {
+        $in: String(query.eventId).split(',').map(id => id.trim()).filter(id => mongoose.isValidObjectId(id))
+      };
+    }
+    const eventIds = await Event.find(eventQuery).distinct('_id');
+    filter.event = { $in: eventIds };
+
+    return { $and: [filter, PolicyService.registrationFilter(user)] };
+  }
+
+  // Stream matching registrations to the response one document at a time
+  static async streamRegistrations(res, filter, format, filename) {
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+    await ExportService.writeRegistrations(res, filter, format);
+  }
+
+  // Write matching registrations to a file in the export folder; returns where it went
+  static async saveRegistrations(filter, format, name) {
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    const filePath = path.join(EXPORT_DIR, `${name}.${format}`);
+    const stream = fs.createWriteStream(filePath, { mode: 0o600 });
+    const finished = new Promise((resolve, reject) => {
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+    });
+
+    try {
+      await ExportService.writeRegistrations(stream, filter, format);
+      await finished;
+    } catch (error) {
+      stream.destroy();
+      await fs.promises.unlink(filePath).catch(() => {});
+      throw error;
+    }
+
+    const { size } = await fs.promises.stat(filePath);
+    return { path: filePath, format, size };
+  }
+
+  // Remove exports older than their download window
+  static async removeExpired(now = new Date()) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(EXPORT_DIR);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let removed = 0;
+    for (const entry of entries) {
+      const filePath = path.join(EXPORT_DIR, entry);
+      const { mtime } = await fs.promises.stat(filePath);
+      if (now - mtime > EXPORT_TTL_MS) {
+        await fs.promises.unlink(filePath);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Background exports: the filter is rebuilt when the job runs, so it follows the user's current jurisdiction
+  static registerJobs() {
+    JobService.register('exports.registrations', async ({ user: userId, query, format }, { job }) => {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw Object.assign(new Error('User no longer exists'), { retryable: false });
+      }
+
+      const filter = await ExportService.registrationsFilter(user, query);
+      const file = await ExportService.saveRegistrations(filter, format, `registrations-${job._id}`);
+      await NotificationService.createLocalizedNotification(user._id, 'exportReady', {}, 'success', `/exports/${job._id}`);
+      return { ...file, expiresAt: new Date(Date.now() + EXPORT_TTL_MS) };
+    }, { maxAttempts: 3 });
+
+    JobService.register('exports.cleanup', () => ExportService.removeExpired(), { concurrency: 1 });
+    JobService.every('exports.cleanup', CLEANUP_INTERVAL_MS);
+  }
+
+  // Writes CSV or XLSX to any writable stream and ends it
+  static async writeRegistrations(stream, filter, format) {
+    const cursor = EventRegistration.find(filter)
+      .populate('event', 'title date')
+      .sort({ event: 1, createdAt: 1 })
+      .lean()
+      .cursor();
+
+    // Stop reading from MongoDB as soon as the stream goes away, e.g. the client disconnected
+    let closed = false;
+    let stopWaiting;
+    const whenClosed = new Promise((resolve, reject) => {
+      stopWaiting = reject;
+    });
+    whenClosed.catch(() => {});
+    const onClose = () => {
+      if (stream.writableFinished) return;
+      closed = true;
+      cursor.close().catch(() => {});
+      stopWaiting(closedEarly());
+    };
+    stream.on('close', onClose);
+
+    try {
+      if (format === 'xlsx') {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+        const worksheet = workbook.addWorksheet('Registrations');
+        worksheet.columns = COLUMNS;
+        worksheet.getRow(1).font = { bold: true };
+
+        for await (const registration of cursor) {
+          if (closed) break;
+          worksheet.addRow(toRow(registration)).commit();
+        }
+        if (closed) throw closedEarly();
+
+        worksheet.commit();
+        // Finishing waits for the stream to flush, which a closed stream never does
+        await Promise.race([workbook.commit(), whenClosed]);
+        return;
+      }
+
+      // BOM so Excel opens Marathi and Hindi names correctly
+      await write(stream, '\uFEFF' + COLUMNS.map(column => escapeCsv(column.header)).join(',') + '\r\n');
+      for await (const registration of cursor) {
+        const row = toRow(registration);
+        await write(stream, COLUMNS.map(column => escapeCsv(row[column.key])).join(',') + '\r\n');
+      }
+      if (closed) throw closedEarly();
+      stream.end();
+    } catch (error) {
+      await cursor.close().catch(() => {});
+      throw error;
+    } finally {
+      stream.removeListener('close', onClose);
+    }
+  }
+}
+
+module.exports = ExportService;
@@ -0,0 +1,53 @@
+// Recognise a file from its first bytes instead of trusting the name or the type the client sent
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => [...Buffer.from(text, 'latin1')];
+
+// Checked in order; the first match wins
+const SIGNATURES = [
+  { mimetype: 'image/jpeg', match: (buffer) => startsWith(buffer, [0xFF, 0xD8, 0xFF]) },
+  { mimetype: 'image/png', match: (buffer) => startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]) },
+  { mimetype: 'image/gif', match: (buffer) => startsWith(buffer, ascii('GIF87a')) || startsWith(buffer, ascii('GIF89a')) },
+  { mimetype: 'image/webp', match: (buffer) => startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WEBP'), 8) },
+  { mimetype: 'audio/wav', match: (buffer) => startsWith(buffer, ascii('RIFF')) && startsWith(buffer, ascii('WAVE'), 8) },
+  { mimetype: 'audio/ogg', match: (buffer) => startsWith(buffer, ascii('OggS')) },
+  { mimetype: 'application/pdf', match: (buffer) => startsWith(buffer, ascii('%PDF-')) },
+  // Word 97-2003 and other OLE compound files
+  { mimetype: 'application/msword', match: (buffer) => startsWith(buffer, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]) },
+  // .docx is a zip archive with a word/ folder inside
+  {
+    mimetype: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    match: (buffer) => startsWith(buffer, [0x50, 0x4B, 0x03, 0x04]) && buffer.includes('word/')
+  },
+  { mimetype: 'application/zip', match: (buffer) => startsWith(buffer, [0x50, 0x4B, 0x03, 0x04]) },
+  // ISO media: the brand after "ftyp" tells audio, QuickTime and MP4 video apart
+  {
+    mimetype: (buffer) => {
+      const brand = buffer.toString('latin1', 8, 12);
+      if (brand === 'M4A ' || brand === 'M4B ') return 'audio/mp4';
+      if (brand === 'qt  ') return 'video/quicktime';
+      return 'video/mp4';
+    },
+    match: (buffer) => startsWith(buffer, ascii('ftyp'), 4)
+  },
+  { mimetype: 'audio/mpeg', match: (buffer) => startsWith(buffer, ascii('ID3')) },
+  // Raw frames without a tag: ADTS (AAC) has layer bits 00, MPEG audio does not
+  { mimetype: 'audio/aac', match: (buffer) => buffer.length >= 2 && buffer[0] === 0xFF && (buffer[1] & 0xF6) === 0xF0 },
+  { mimetype: 'audio/mpeg', match: (buffer) => buffer.length >= 2 && buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0 },
+  // Executables never belong in an upload; named so the log says what was caught
+  { mimetype: 'application/x-msdownload', match: (buffer) => startsWith(buffer, ascii('MZ')) },
+  { mimetype: 'application/x-elf', match: (buffer) => startsWith(buffer, [0x7F, 0x45, 0x4C, 0x46]) }
+];
+
+class FileTypeService {
+  // Detected mimetype, or null when the content is not one we recognise
+  static detect(buffer) {
+    if (!buffer || buffer.length === 0) return null;
+    const signature = SIGNATURES.find(candidate => candidate.match(buffer));
+    if (!signature) return null;
+    return typeof signature.mimetype === 'function' ? signature.mimetype(buffer) : signature.mimetype;
+  }
+}
+
+module.exports = FileTypeService;
@@ -0,0 +1,134 @@
+const path = require('path');
+const sharp = require('sharp');
+const StorageService = require('./storageService');
+
+// Widths offered to browsers through srcset; the smallest doubles as the thumbnail
+const VARIANT_WIDTHS = [320, 640, 1280];
+const WEBP_QUALITY = 80;
+
+// Formats we can resize; anything else is stored as uploaded
+const PROCESSABLE = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Re-encode the upload without its metadata. EXIF (including GPS position) is dropped,
+// the orientation it carried is applied to the pixels and the colour profile is kept.
+const sanitize = async (buffer, mimetype) => {
+  const image = sharp(buffer, { animated: mimetype === 'image/gif' }).rotate().keepIccProfile();
+  switch (mimetype) {
+    case 'image/jpeg':
+      return image.jpeg({ quality: 90, mozjpeg: true }).toBuffer({ resolveWithObject: true });
+    case 'image/png':
+      return image.png().toBuffer({ resolveWithObject: true });
+    case 'image/webp':
+      return image.webp({ quality: 90 }).toBuffer({ resolveWithObject: true });
+    default:
+      // GIF has no EXIF block; keep the original frames untouched
+      return { data: buffer };
+  }
+};
+
+class ImageService {
+  static get VARIANT_WIDTHS() {
+    return VARIANT_WIDTHS;
+  }
+
+  static isProcessable(mimetype) {
+    return PROCESSABLE.includes(mimetype);
+  }
+
+  // The image re-encoded without EXIF or other metadata, for files kept without variants
+  static async stripMetadata(buffer, mimetype) {
+    const { data } = await sanitize(buffer, mimetype);
+    return data;
+  }
+
+  // WebP copies at each srcset width up to the image's own width, which is always included
+  static async createVariants(buffer, mimetype) {
+    const animated = mimetype === 'image/gif';
+    const metadata = await sharp(buffer, { animated }).metadata();
+    const width = metadata.width;
+    const height = metadata.pageHeight || metadata.height;
+    const widths = [...VARIANT_WIDTHS.filter(candidate => candidate < width), width];
+
+    const variants = [];
+    for (const variantWidth of widths) {
+      const { data, info } = await sharp(buffer, { animated })
+        .rotate()
+        .resize({ width: variantWidth, withoutEnlargement: true })
+        .webp({ quality: WEBP_QUALITY })
+        .toBuffer({ resolveWithObject: true });
+      variants.push({
+        buffer: data,
+        width: info.width,
+        height: info.pageHeight || info.height,
+        format: 'webp',
+        mimetype: 'image/webp'
+      });
+    }
+    return { width, height, variants };
+  }
+
+  // Store an uploaded image without its metadata, together with its resized variants.
+  // Returns the storage descriptor with width, height and variants added.
+  static async save(file, options = {}) {
+    if (!ImageService.isProcessable(file.mimetype)) {
+      return StorageService.save(file, options);
+    }
+
+    const { data } = await sanitize(file.buffer, file.mimetype);
+    const { width, height, variants } = await ImageService.createVariants(data, file.mimetype);
+    const stored = [];
+    try {
+      const original = await StorageService.save({ ...file, buffer: data, size: data.length }, options);
+      stored.push(original);
+
+      const baseName = path.parse(file.originalname).name;
+      for (const variant of variants) {
+        const descriptor = await StorageService.save({
+          buffer: variant.buffer,
+          originalname: `${baseName}-${variant.width}w.webp`,
+          mimetype: variant.mimetype,
+          size: variant.buffer.length
+        }, { ...options, folder: path.posix.join(options.folder || 'misc', 'variants') });
+        stored.push(descriptor);
+      }
+
+      const [, ...variantDescriptors] = stored;
+      return {
+        ...original,
+        width,
+        height,
+        variants: variantDescriptors.map((descriptor, index) => ({
+          storage: descriptor.storage,
+          key: descriptor.key,
+          url: descriptor.url,
+          path: descriptor.path,
+          width: variants[index].width,
+          height: variants[index].height,
+          format: variants[index].format,
+          size: descriptor.size
+        }))
+      };
+    } catch (error) {
+      await StorageService.removeAll(stored);
+      throw error;
+    }
+  }
+
+  // "url 320w, url 640w" for the stored variants
+  static srcset(image) {
+    return (image.variants || [])
+      .filter(variant => variant.url && variant.width)
+      .map(variant => `${variant.url} ${variant.width}w`)
+      .join(', ');
+  }
+
+  static thumbnailUrl(image) {
+    const smallest = (image.variants || []).reduce(
+      (result, variant) => (!result || variant.width < result.width ? variant : result),
+      null
+    );
+    return smallest ? smallest.url : image.url;
+  }
+}
+
+module.exports = ImageService;
@@ -0,0 +1,238 @@
+const { isEqual, omitBy } = require('lodash');
+const Initiative = require('../models/Initiative');
+const InitiativeRevision = require('../models/InitiativeRevision');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const StorageService = require('./storageService');
+
+const EDITOR_ROLES = ['admin', 'Official_member'];
+
+// Allowed moves between states; admins do not need anyone to review their own drafts
+const TRANSITIONS = {
+  submit: { from: ['draft'], to: 'in_review', adminOnly: false },
+  approve: { from: ['draft', 'in_review'], to: 'published', adminOnly: true },
+  reject: { from: ['in_review'], to: 'draft', adminOnly: true },
+  archive: { from: ['published'], to: 'archived', adminOnly: true },
+  reopen: { from: ['published', 'archived'], to: 'draft', adminOnly: true }
+};
+
+// Fields captured in every revision
+const CONTENT_FIELDS = ['initiative', 'subCategory', 'title', 'description', 'content', 'listItems', 'sourceLocale', 'translations', 'images', 'videos', 'documents', 'audio'];
+const FILE_FIELDS = ['images', 'videos', 'documents', 'audio'];
+
+const plain = (value) => JSON.parse(JSON.stringify(value === undefined ? null : value));
+
+// Content of an initiative or revision without ids mongoose adds to sub documents
+// or the image URLs derived from the stored variants
+const snapshot = (doc) => CONTENT_FIELDS.reduce((result, field) => {
+  let value = plain(doc[field]);
+  if (FILE_FIELDS.includes(field)) {
+    value = (value || []).map(({ _id, srcset, thumbnailUrl, ...file }) => file);
+  }
+  result[field] = value;
+  return result;
+}, {});
+
+const workflowError = (message, status = 409) => {
+  const error = new Error(message);
+  error.name = 'WorkflowError';
+  error.status = status;
+  return error;
+};
+
+const isOwner = (user, initiative) => Boolean(initiative.createdBy) &&
+  initiative.createdBy.toString() === user._id.toString();
+
+class InitiativeService {
+  static get TRANSITIONS() {
+    return TRANSITIONS;
+  }
+
+  static isEditor(user) {
+    return Boolean(user) && EDITOR_ROLES.includes(user.role);
+  }
+
+  static isLive(initiative, now = new Date()) {
+    return initiative.status === 'published' && Boolean(initiative.publishedAt) && initiative.publishedAt <= now;
+  }
+
+  // What the public sees
+  static publicFilter(now = new Date()) {
+    return { status: 'published', publishedAt: { $lte: now } };
+  }
+
+  // Listing filter for an editor asking for specific states; Official_members only see their own unpublished work
+  static editorFilter(user, statuses) {
+    const filter = { status: statuses.length === 1 ? statuses[0] : { $in: statuses } };
+    if (user.role !== 'admin' && statuses.some(status => status !== 'published')) {
+      filter.createdBy = user._id;
+    }
+    return filter;
+  }
+
+  static canView(user, initiative) {
+    if (InitiativeService.isLive(initiative)) return true;
+    if (!InitiativeService.isEditor(user)) return false;
+    return user.role === 'admin' || isOwner(user, initiative) || initiative.status === 'published';
+  }
+
+  // Content changes by Official_members only happen before review; admins can edit at any stage
+  static canEdit(user, initiative) {
+    if (user.role === 'admin') return true;
+    return user.role === 'Official_member' && isOwner(user, initiative) && initiative.status === 'draft';
+  }
+
+  // Move an initiative through the workflow and tell the people involved
+  static async transition(initiative, action, user, { comment, publishAt } = {}) {
+    const rule = TRANSITIONS[action];
+    if (!rule) {
+      throw workflowError(`Unknown action: ${action}`, 400);
+    }
+    if (rule.adminOnly ? user.role !== 'admin' : !InitiativeService.canEdit(user, initiative)) {
+      throw workflowError('Not authorized', 403);
+    }
+    if (!rule.from.includes(initiative.status)) {
+      throw workflowError(`Cannot ${action} an initiative that is ${initiative.status.replace('_', ' ')}`);
+    }
+    if (action === 'reject' && !comment) {
+      throw workflowError('A comment is required when rejecting', 400);
+    }
+
+    const from = initiative.status;
+    initiative.status = rule.to;
+    if (action === 'approve') {
+      initiative.publishedAt = publishAt || new Date();
+    } else if (rule.to !== 'archived') {
+      initiative.publishedAt = undefined;
+    }
+    initiative.reviewHistory.push({ action, from, to: rule.to, by: user._id, comment });
+    await initiative.save();
+
+    await InitiativeService.notify(initiative, action, user, comment);
+    return initiative;
+  }
+
+  // Store the current content as the next immutable revision
+  static async recordRevision(initiative, author, action, restoredFrom) {
+    // Two editors saving at once can race for the same number; the unique index makes one retry
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const last = await InitiativeRevision.findOne({ initiativeId: initiative._id }).sort({ number: -1 }).select('number');
+      try {
+        return await InitiativeRevision.create({
+          ...snapshot(initiative),
+          initiativeId: initiative._id,
+          number: last ? last.number + 1 : 1,
+          action,
+          restoredFrom,
+          author
+        });
+      } catch (error) {
+        if (error.code !== 11000 || attempt === 2) throw error;
+      }
+    }
+  }
+
+  // Initiatives from before history was kept get their current content saved first
+  static async ensureBaseline(initiative) {
+    const exists = await InitiativeRevision.exists({ initiativeId: initiative._id });
+    if (!exists) {
+      await InitiativeService.recordRevision(initiative, initiative.createdBy, 'baseline');
+    }
+  }
+
+  // Field by field comparison of two revisions; file lists also report what was added and removed
+  static diffRevisions(from, to) {
+    const before = snapshot(from);
+    const after = snapshot(to);
+
+    return CONTENT_FIELDS.filter(field => !isEqual(before[field], after[field])).map(field => {
+      const change = { field, before: before[field], after: after[field] };
+      if (FILE_FIELDS.includes(field)) {
+        const beforeIds = before[field].map(StorageService.fileId);
+        const afterIds = after[field].map(StorageService.fileId);
+        change.added = after[field].filter(file => !beforeIds.includes(StorageService.fileId(file)));
+        change.removed = before[field].filter(file => !afterIds.includes(StorageService.fileId(file)));
+      } else if (field === 'listItems') {
+        change.added = after[field].filter(item => !before[field].includes(item));
+        change.removed = before[field].filter(item => !after[field].includes(item));
+      }
+      return change;
+    });
+  }
+
+  // Put an earlier revision's content back; this is itself recorded as a new revision
+  static async restoreRevision(initiative, revision, user) {
+    await InitiativeService.ensureBaseline(initiative);
+    // Revisions from before translations existed have no value for them; keep the current ones
+    initiative.set(omitBy(snapshot(revision), value => value === null));
+    await initiative.save();
+    await InitiativeService.recordRevision(initiative, user._id, 'restore', revision.number);
+    return initiative;
+  }
+
+  static files(doc) {
+    return FILE_FIELDS.flatMap(field => plain(doc[field]) || []).filter(file => StorageService.fileId(file));
+  }
+
+  // Delete uploads that neither an initiative nor any revision points at any more
+  static async removeUnreferencedFiles(files) {
+    const seen = new Set();
+    for (const file of files) {
+      const id = StorageService.fileId(file);
+      if (seen.has(id)) continue;
+      seen.add(id);
+
+      // Older uploads were only recorded by path
+      const property = file.key ? 'key' : 'path';
+      const byFile = { $or: FILE_FIELDS.map(field => ({ [`${field}.${property}`]: file[property] })) };
+      const [inInitiative, inRevision] = await Promise.all([
+        Initiative.exists(byFile),
+        InitiativeRevision.exists(byFile)
+      ]);
+      if (inInitiative || inRevision) continue;
+
+      await StorageService.remove(file);
+    }
+  }
+
+  static async notify(initiative, action, user, comment) {
+    try {
+      const link = `/initiatives/${initiative._id}`;
+
+      if (action === 'submit') {
+        const admins = await User.find({ role: 'admin' }).select('_id');
+        await Promise.all(admins.map(admin => NotificationService.createLocalizedNotification(
+          admin._id,
+          'initiativeSubmitted',
+          { initiative: initiative.title, name: user.name },
+          'info',
+          link
+        )));
+        return;
+      }
+
+      // Reviewers acting on their own initiative do not need telling
+      if (!initiative.createdBy || isOwner(user, initiative)) return;
+
+      const messages = {
+        approve: [initiative.publishedAt > new Date() ? 'initiativeScheduled' : 'initiativeApproved', 'success'],
+        reject: ['initiativeRejected', 'warning'],
+        archive: ['initiativeArchived', 'info'],
+        reopen: ['initiativeReopened', 'info']
+      };
+      const [name, type] = messages[action];
+      await NotificationService.createLocalizedNotification(
+        initiative.createdBy,
+        name,
+        { initiative: initiative.title, date: initiative.publishedAt, comment },
+        type,
+        link
+      );
+    } catch (error) {
+      // The state change stands even if nobody could be told about it
+      console.error('Error sending initiative notification:', error);
+    }
+  }
+}
+
+module.exports = InitiativeService;
@@ -0,0 +1,251 @@
+const os = require('os');
+const Job = require('../models/Job');
+
+// Identifies this process's locks, so a worker only finishes jobs it still holds
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || String(5 * 1000));
+const CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || '2');
+// A running job renews its lock while it works; one that stops renewing is retried elsewhere
+const LOCK_MS = 5 * 60 * 1000;
+const HEARTBEAT_MS = 60 * 1000;
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+const COMPLETED_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const FAILURES_KEPT = 10;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// type -> { handler, maxAttempts, concurrency }
+const handlers = {};
+// Jobs this process is running, by type
+const running = {};
+
+// Exponential, with jitter so jobs that failed together do not all come back together
+const backoff = (attempts) => {
+  const delay = Math.min(BACKOFF_BASE_MS * 2 ** (attempts - 1), BACKOFF_MAX_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+const release = { $unset: { lockedBy: '', lockedUntil: '' } };
+
+class JobService {
+  static get WORKER_ID() {
+    return WORKER_ID;
+  }
+
+  // handler(payload, context) does the work; context has the job and checkpoint(progress).
+  // Throw to retry later; an error with retryable = false goes straight to the dead letters.
+  static register(type, handler, { maxAttempts = DEFAULT_MAX_ATTEMPTS, concurrency = CONCURRENCY } = {}) {
+    handlers[type] = { handler, maxAttempts, concurrency };
+  }
+
+  static registeredTypes() {
+    return Object.keys(handlers);
+  }
+
+  // Queue a job. With a uniqueKey, a job already waiting under that key is returned instead.
+  static async enqueue(type, payload = {}, { runAt = new Date(), maxAttempts, uniqueKey, createdBy } = {}) {
+    const fields = {
+      type,
+      payload,
+      runAt,
+      maxAttempts: maxAttempts || (handlers[type] && handlers[type].maxAttempts) || DEFAULT_MAX_ATTEMPTS,
+      createdBy
+    };
+    if (!uniqueKey) {
+      return Job.create(fields);
+    }
+    // Losing an insert race to another server is a duplicate key error; trying again finds its job
+    for (let attempt = 0; attempt < 3; attempt++) {
+      try {
+        return await Job.findOneAndUpdate(
+          { uniqueKey, status: 'queued' },
+          { $setOnInsert: { ...fields, status: 'queued' } },
+          { upsert: true, new: true }
+        );
+      } catch (error) {
+        if (error.code !== 11000 || attempt === 2) throw error;
+      }
+    }
+  }
+
+  // Take the next due job of one of these types; a running job whose lock lapsed counts as due
+  static async claim(types, now = new Date()) {
+    if (types.length === 0) return null;
+    return Job.findOneAndUpdate(
+      {
+        type: { $in: types },
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedUntil: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: WORKER_ID,
+          lockedUntil: new Date(now.getTime() + LOCK_MS),
+          startedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  static async run(job) {
+    const entry = handlers[job.type];
+    const held = { _id: job._id, lockedBy: WORKER_ID };
+
+    // Its last worker stopped partway through, more often than it may be tried
+    if (job.attempts > job.maxAttempts) {
+      return JobService.fail(job, new Error('Worker stopped while running the job'));
+    }
+
+    const heartbeat = setInterval(() => {
+      Job.updateOne(held, { $set: { lockedUntil: new Date(Date.now() + LOCK_MS) } }).catch(error => {
+        console.error(`Error renewing lock on job ${job._id}:`, error);
+      });
+    }, HEARTBEAT_MS);
+    heartbeat.unref();
+
+    const context = {
+      job,
+      checkpoint: async (progress) => {
+        job.progress = progress;
+        await Job.updateOne(held, { $set: { progress } });
+      }
+    };
+
+    try {
+      if (!entry) {
+        throw Object.assign(new Error(`No handler for job type ${job.type}`), { retryable: false });
+      }
+      const result = await entry.handler(job.payload || {}, context);
+      const now = new Date();
+      await Job.updateOne(held, {
+        $set: {
+          status: 'completed',
+          result,
+          completedAt: now,
+          expiresAt: new Date(now.getTime() + COMPLETED_TTL_MS)
+        },
+        ...release
+      });
+    } catch (error) {
+      await JobService.fail(job, error);
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  // Retry with backoff, or keep the job as a dead letter once it is out of attempts
+  static async fail(job, error, now = new Date()) {
+    const dead = error.retryable === false || job.attempts >= job.maxAttempts;
+    const update = {
+      $set: dead
+        ? { status: 'dead', lastError: error.message, deadAt: now }
+        : { status: 'queued', lastError: error.message, runAt: new Date(now.getTime() + backoff(job.attempts)) },
+      $push: { failures: { $each: [{ at: now, message: error.message }], $slice: -FAILURES_KEPT } },
+      ...release
+    };
+    await Job.updateOne({ _id: job._id, lockedBy: WORKER_ID }, update);
+
+    if (dead) {
+      console.error(`Job ${job.type} ${job._id} moved to dead letters after ${job.attempts} attempts:`, error.message);
+    } else {
+      console.warn(`Job ${job.type} ${job._id} failed (attempt ${job.attempts}), will retry:`, error.message);
+    }
+  }
+
+  // Types this process can take on right now, given each type's concurrency
+  static availableTypes() {
+    return Object.entries(handlers)
+      .filter(([type, entry]) => (running[type] || 0) < entry.concurrency)
+      .map(([type]) => type);
+  }
+
+  // Claim and start jobs until the worker is full or nothing is due
+  static async poll(concurrency = CONCURRENCY) {
+    const total = () => Object.values(running).reduce((sum, count) => sum + count, 0);
+    while (total() < concurrency) {
+      const job = await JobService.claim(JobService.availableTypes());
+      if (!job) return;
+
+      running[job.type] = (running[job.type] || 0) + 1;
+      JobService.run(job)
+        .catch(error => console.error(`Error running job ${job._id}:`, error))
+        .finally(() => {
+          running[job.type] -= 1;
+        });
+    }
+  }
+
+  static startWorker({ intervalMs = POLL_INTERVAL_MS, concurrency = CONCURRENCY } = {}) {
+    let polling = false;
+    const timer = setInterval(async () => {
+      if (polling) return;
+      polling = true;
+      try {
+        await JobService.poll(concurrency);
+      } catch (error) {
+        console.error('Error polling for jobs:', error);
+      } finally {
+        polling = false;
+      }
+    }, intervalMs);
+    timer.unref();
+    return timer;
+  }
+
+  // Queue a job of this type every intervalMs; servers share one queued job per type
+  static every(type, intervalMs, payload = {}) {
+    const schedule = () => JobService.enqueue(type, payload, { uniqueKey: type }).catch(error => {
+      console.error(`Error scheduling ${type} job:`, error);
+    });
+    schedule();
+    const timer = setInterval(schedule, intervalMs);
+    timer.unref();
+    return timer;
+  }
+
+  // Counts by type and status, with how long the oldest due job has been waiting
+  static async stats(now = new Date()) {
+    const [counts, waiting] = await Promise.all([
+      Job.aggregate([{ $group: { _id: { type: '$type', status: '$status' }, count: { $sum: 1 } } }]),
+      Job.aggregate([
+        { $match: { status: 'queued', runAt: { $lte: now } } },
+        { $group: { _id: '$type', oldest: { $min: '$runAt' } } }
+      ])
+    ]);
+
+    const types = {};
+    const entry = (type) => {
+      types[type] = types[type] || { ...Object.fromEntries(Job.STATUSES.map(status => [status, 0])), waitingSeconds: 0 };
+      return types[type];
+    };
+    counts.forEach(({ _id, count }) => {
+      entry(_id.type)[_id.status] = count;
+    });
+    waiting.forEach(({ _id, oldest }) => {
+      entry(_id).waitingSeconds = Math.round((now - oldest) / 1000);
+    });
+
+    return {
+      worker: WORKER_ID,
+      handlers: JobService.registeredTypes(),
+      running: { ...running },
+      types
+    };
+  }
+
+  // Put a dead letter back in the queue with a fresh set of attempts
+  static async retry(id) {
+    return Job.findOneAndUpdate(
+      { _id: id, status: 'dead' },
+      { $set: { status: 'queued', attempts: 0, runAt: new Date() }, $unset: { deadAt: '' } },
+      { new: true }
+    );
+  }
+}
+
+module.exports = JobService;
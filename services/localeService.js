@@ -0,0 +1,191 @@
+const { get } = require('lodash');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE } = require('../config');
+
+const catalogs = {
+  en: require('../locales/en.json'),
+  mr: require('../locales/mr.json'),
+  hi: require('../locales/hi.json')
+};
+
+// Region used when formatting dates for each language
+const INTL_LOCALES = {
+  en: 'en-IN',
+  mr: 'mr-IN',
+  hi: 'hi-IN'
+};
+
+const localeError = (message) => {
+  const error = new Error(message);
+  error.name = 'LocaleValidationError';
+  return error;
+};
+
+const isMessage = (value) => Boolean(value) && typeof value === 'object' && typeof value.key === 'string';
+
+class LocaleService {
+  static get SUPPORTED_LOCALES() {
+    return SUPPORTED_LOCALES;
+  }
+
+  static get DEFAULT_LOCALE() {
+    return DEFAULT_LOCALE;
+  }
+
+  static isSupported(locale) {
+    return SUPPORTED_LOCALES.includes(locale);
+  }
+
+  // Primary language tags from an Accept-Language header, best first
+  static parseAcceptLanguage(header) {
+    if (!header) return [];
+
+    return String(header).split(',')
+      .map((part, index) => {
+        const [tag, ...params] = part.trim().split(';');
+        const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+        return { locale: tag.trim().toLowerCase().split('-')[0], q: q ? parseFloat(q.slice(2)) : 1, index };
+      })
+      .filter(entry => entry.locale && entry.locale !== '*' && entry.q > 0)
+      .sort((a, b) => b.q - a.q || a.index - b.index)
+      .map(entry => entry.locale);
+  }
+
+  // ?lang= wins, then Accept-Language, then the user's saved preference
+  static negotiate({ lang, acceptLanguage, preferred } = {}) {
+    const requested = lang ? String(lang).trim().toLowerCase() : '';
+    if (LocaleService.isSupported(requested)) return requested;
+
+    const accepted = LocaleService.parseAcceptLanguage(acceptLanguage).find(LocaleService.isSupported);
+    if (accepted) return accepted;
+
+    if (LocaleService.isSupported(preferred)) return preferred;
+    return DEFAULT_LOCALE;
+  }
+
+  static formatDate(date, locale) {
+    return new Date(date).toLocaleString(INTL_LOCALES[locale] || INTL_LOCALES.en, {
+      timeZone: 'Asia/Kolkata',
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    });
+  }
+
+  // Look up a catalog string, falling back to the default language and then English
+  static t(locale, key, params = {}) {
+    const template = [locale, DEFAULT_LOCALE, 'en']
+      .map(candidate => catalogs[candidate] && get(catalogs[candidate], key))
+      .find(value => typeof value === 'string');
+    if (template === undefined) return key;
+
+    return template.replace(/\{(\w+)\}/g, (match, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) return '';
+      if (value instanceof Date) return LocaleService.formatDate(value, locale);
+      if (isMessage(value)) return LocaleService.t(locale, value.key, value.params);
+      return String(value);
+    });
+  }
+
+  // Messages are plain strings or { key, params } to be translated for the reader
+  static render(message, locale) {
+    return isMessage(message) ? LocaleService.t(locale, message.key, message.params) : message;
+  }
+
+  // Plain copy of a document with its translatable fields in the requested language.
+  // 'all' returns the stored translations untouched, for editing screens.
+  static localize(doc, fields, locale) {
+    const result = doc && typeof doc.toObject === 'function' ? doc.toObject() : { ...doc };
+    if (locale === 'all') return result;
+
+    const translations = result.translations || {};
+    const sourceLocale = result.sourceLocale || 'en';
+    delete result.translations;
+
+    const translated = (candidate) => candidate === sourceLocale ||
+      fields.some(field => translations[candidate] && translations[candidate][field]);
+    const chosen = [locale, DEFAULT_LOCALE].find(translated) || sourceLocale;
+
+    if (chosen !== sourceLocale) {
+      fields.forEach(field => {
+        // Fields nobody has translated yet keep the original text
+        if (translations[chosen][field]) {
+          result[field] = translations[chosen][field];
+        }
+      });
+    }
+
+    result.locale = chosen;
+    result.availableLocales = SUPPORTED_LOCALES.filter(translated);
+    return result;
+  }
+
+  // Validate translations sent by an editor; multipart forms send them as a JSON string
+  static parseTranslations(value, fields) {
+    if (value === undefined || value === null || value === '') return undefined;
+
+    let translations = value;
+    if (typeof value === 'string') {
+      try {
+        translations = JSON.parse(value);
+      } catch (error) {
+        throw localeError('Translations must be valid JSON');
+      }
+    }
+    if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+      throw localeError('Translations must be an object keyed by language');
+    }
+
+    const result = {};
+    Object.entries(translations).forEach(([locale, entry]) => {
+      if (!LocaleService.isSupported(locale)) {
+        throw localeError(`Unsupported language: ${locale}`);
+      }
+      if (!entry || typeof entry !== 'object') {
+        throw localeError(`Translations for ${locale} must be an object`);
+      }
+      result[locale] = {};
+      Object.entries(entry).forEach(([field, text]) => {
+        if (!fields.includes(field)) {
+          throw localeError(`${field} cannot be translated`);
+        }
+        if (text !== undefined && text !== null && typeof text !== 'string') {
+          throw localeError(`Translation for ${locale}.${field} must be text`);
+        }
+        const trimmed = (text || '').trim();
+        if (trimmed) result[locale][field] = trimmed;
+      });
+    });
+    return result;
+  }
+
+  // Languages (other than the source) that are missing one or more of the fields
+  static missingTranslations(doc, fields) {
+    const translations = doc.translations || {};
+    const sourceLocale = doc.sourceLocale || 'en';
+
+    return SUPPORTED_LOCALES
+      .filter(locale => locale !== sourceLocale)
+      .map(locale => ({
+        locale,
+        fields: fields.filter(field => doc[field] && !(translations[locale] && translations[locale][field]))
+      }))
+      .filter(entry => entry.fields.length > 0);
+  }
+
+  // Query matching the documents missingTranslations would flag, for one language or any
+  static missingQuery(fields, locale) {
+    if (!locale) {
+      return { $or: SUPPORTED_LOCALES.map(each => LocaleService.missingQuery(fields, each)) };
+    }
+    return {
+      // Documents saved before sourceLocale existed are English
+      sourceLocale: locale === 'en' ? { $nin: [null, 'en'] } : { $ne: locale },
+      $or: fields.map(field => ({
+        [field]: { $nin: [null, ''] },
+        [`translations.${locale}.${field}`]: { $in: [null, ''] }
+      }))
+    };
+  }
+}
+
+module.exports = LocaleService;
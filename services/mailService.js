@@ -0,0 +1,62 @@
+const TransportService = require('./transportService');
+
+const transport = TransportService.registry({
+  label: 'mail',
+  envVar: 'MAIL_TRANSPORT',
+  // Reset and verification links end up in the console log, so production has to choose it explicitly
+  defaultName: () => (process.env.NODE_ENV === 'production' ? null : 'console'),
+  missingMessage: 'MAIL_TRANSPORT must be set in production (smtp, file or console)',
+  transports: {
+    console: TransportService.console('mail', message => [`To: ${message.to}`, `Subject: ${message.subject}`, message.text]),
+    file: TransportService.file('MAIL_OUTPUT_DIR', 'tmp/mail'),
+
+    // Real delivery through an SMTP relay
+    smtp: () => {
+      const nodemailer = require('nodemailer');
+      const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? {
+          user: process.env.SMTP_USER,
+          pass: process.env.SMTP_PASS
+        } : undefined
+      });
+      return {
+        async send(message) {
+          const info = await transporter.sendMail(message);
+          return { id: info.messageId };
+        }
+      };
+    }
+  }
+});
+
+class MailService {
+  // Replace the transport, e.g. with an in-memory one in tests
+  static setTransport(value) {
+    transport.set(value);
+  }
+
+  static getTransport() {
+    return transport.get();
+  }
+
+  // Send a message through the configured transport
+  static async send({ to, subject, text, html }) {
+    try {
+      return await MailService.getTransport().send({
+        from: process.env.MAIL_FROM || 'JATAAYU <no-reply@zpsanglijataayu.in>',
+        to,
+        subject,
+        text,
+        html
+      });
+    } catch (error) {
+      console.error('Error sending mail:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = MailService;
@@ -0,0 +1,364 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { pipeline } = require('stream/promises');
+const Initiative = require('../models/Initiative');
+const InitiativeRevision = require('../models/InitiativeRevision');
+const StorageService = require('./storageService');
+const JobService = require('./jobService');
+
+const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE = process.env.FFPROBE_PATH || 'ffprobe';
+const MEDIA_FIELDS = ['videos', 'audio'];
+const MAX_ATTEMPTS = 3;
+// A file stuck in processing this long belongs to a worker that died
+const STALE_MS = 2 * 60 * 60 * 1000;
+// Catches files left waiting by a failed attempt or a restart
+const SWEEP_INTERVAL_MS = parseInt(process.env.MEDIA_SWEEP_INTERVAL_MS || String(10 * 60 * 1000));
+
+// Video renditions for adaptive streaming; only those no taller than the source are made
+const RENDITIONS = [
+  { height: 360, videoBitrate: 800, audioBitrate: 96 },
+  { height: 720, videoBitrate: 2800, audioBitrate: 128 }
+];
+const SEGMENT_SECONDS = 6;
+
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.aac': 'audio/aac',
+  '.mp4': 'video/mp4',
+  '.m4a': 'audio/mp4',
+  '.jpg': 'image/jpeg'
+};
+
+const run = (command, args) => new Promise((resolve, reject) => {
+  const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  let stdout = '';
+  let stderr = '';
+  child.stdout.on('data', data => {
+    stdout += data;
+  });
+  child.stderr.on('data', data => {
+    // ffmpeg is chatty; the end of its log has the reason for a failure
+    stderr = (stderr + data).slice(-4000);
+  });
+  child.on('error', error => {
+    reject(error.code === 'ENOENT' ? new Error(`${command} is not installed`) : error);
+  });
+  child.on('close', code => {
+    if (code === 0) resolve(stdout);
+    else reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+  });
+});
+
+const probe = async (filePath) => {
+  const output = await run(FFPROBE, ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath]);
+  const info = JSON.parse(output);
+  const video = (info.streams || []).find(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+  const audio = (info.streams || []).find(stream => stream.codec_type === 'audio');
+  return {
+    duration: parseFloat(info.format && info.format.duration) || undefined,
+    width: video ? video.width : undefined,
+    height: video ? video.height : undefined,
+    hasAudio: Boolean(audio)
+  };
+};
+
+const h264 = (height, videoBitrate) => [
+  '-vf', `scale=-2:${height}`,
+  '-c:v', 'libx264', '-preset', 'veryfast', '-profile:v', 'main', '-pix_fmt', 'yuv420p',
+  '-b:v', `${videoBitrate}k`, '-maxrate', `${Math.round(videoBitrate * 1.07)}k`, '-bufsize', `${videoBitrate * 2}k`
+];
+
+const aac = (bitrate, hasAudio = true) => (hasAudio ? ['-c:a', 'aac', '-b:a', `${bitrate}k`, '-ac', '2'] : ['-an']);
+
+const hlsOutput = (dir, name) => [
+  '-f', 'hls', '-hls_time', String(SEGMENT_SECONDS), '-hls_playlist_type', 'vod',
+  '-hls_segment_filename', path.join(dir, `${name}_%03d.ts`), path.join(dir, `${name}.m3u8`)
+];
+
+// Web-safe MP4, HLS renditions with a master playlist, and a poster frame
+const transcodeVideo = async (input, dir, info) => {
+  const sourceHeight = info.height || RENDITIONS[0].height;
+  const renditions = RENDITIONS.filter(rendition => rendition.height <= sourceHeight);
+  if (renditions.length === 0) renditions.push({ ...RENDITIONS[0], height: sourceHeight - (sourceHeight % 2) });
+  const top = renditions[renditions.length - 1];
+
+  await run(FFMPEG, ['-y', '-i', input, ...h264(top.height, top.videoBitrate), ...aac(top.audioBitrate, info.hasAudio),
+    '-movflags', '+faststart', path.join(dir, 'web.mp4')]);
+
+  const hlsDir = path.join(dir, 'hls');
+  await fs.promises.mkdir(hlsDir, { recursive: true });
+  for (const rendition of renditions) {
+    await run(FFMPEG, ['-y', '-i', input, ...h264(rendition.height, rendition.videoBitrate),
+      ...aac(rendition.audioBitrate, info.hasAudio), ...hlsOutput(hlsDir, `${rendition.height}p`)]);
+  }
+
+  const master = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  renditions.forEach(rendition => {
+    const width = Math.round((info.width || 16) * rendition.height / (info.height || 9) / 2) * 2;
+    const bandwidth = (rendition.videoBitrate + (info.hasAudio ? rendition.audioBitrate : 0)) * 1000;
+    master.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${width}x${rendition.height}`);
+    master.push(`${rendition.height}p.m3u8`);
+  });
+  await fs.promises.writeFile(path.join(hlsDir, 'master.m3u8'), master.join('\n') + '\n');
+
+  // A frame from early on, but not the very first, which is often black
+  const seek = info.duration ? Math.min(3, info.duration / 3) : 0;
+  await run(FFMPEG, ['-y', '-ss', seek.toFixed(2), '-i', input, '-frames:v', '1',
+    '-vf', `scale=-2:${top.height}`, '-q:v', '3', path.join(dir, 'poster.jpg')]);
+
+  return {
+    web: 'web.mp4',
+    hls: 'hls/master.m3u8',
+    poster: { file: 'poster.jpg', width: Math.round((info.width || 16) * top.height / (info.height || 9) / 2) * 2, height: top.height }
+  };
+};
+
+// AAC in an MP4 container for download, and a single-rendition HLS playlist
+const transcodeAudio = async (input, dir) => {
+  await run(FFMPEG, ['-y', '-i', input, '-vn', ...aac(128), '-movflags', '+faststart', path.join(dir, 'web.m4a')]);
+
+  const hlsDir = path.join(dir, 'hls');
+  await fs.promises.mkdir(hlsDir, { recursive: true });
+  await run(FFMPEG, ['-y', '-i', input, '-vn', ...aac(128), ...hlsOutput(hlsDir, 'audio')]);
+
+  return { web: 'web.m4a', hls: 'hls/audio.m3u8', poster: null };
+};
+
+const listFiles = async (dir, prefix = '') => {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    const relative = path.posix.join(prefix, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(path.join(dir, entry.name), relative));
+    } else {
+      files.push(relative);
+    }
+  }
+  return files;
+};
+
+// Local files are read in place; anything else is downloaded first
+const localCopy = async (file, workDir) => {
+  const location = StorageService.locate(file);
+  const local = StorageService.localPath(file);
+  if (local && fs.existsSync(local)) {
+    return local;
+  }
+  const target = path.join(workDir, `source${path.extname(location.key)}`);
+  await pipeline(await StorageService.open(file), fs.createWriteStream(target));
+  return target;
+};
+
+// Set fields on every copy of a media entry: the initiatives and revisions that list it
+const updateEverywhere = async (field, file, values) => {
+  const match = file.key ? { key: file.key } : { path: file.path };
+  const filterKey = file.key ? 'file.key' : 'file.path';
+  const $set = Object.fromEntries(Object.entries(values)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => [`${field}.$[file].${name}`, value]));
+  const options = { arrayFilters: [{ [filterKey]: match.key || match.path }] };
+
+  await Initiative.updateMany({ [field]: { $elemMatch: match } }, { $set }, options);
+  // Revisions are immutable through the model; processing results are not a content change
+  await InitiativeRevision.collection.updateMany({ [field]: { $elemMatch: match } }, { $set }, options);
+};
+
+class MediaService {
+  static get FIELDS() {
+    return MEDIA_FIELDS;
+  }
+
+  // Whether ffmpeg and ffprobe can be run
+  static async isAvailable() {
+    try {
+      await run(FFMPEG, ['-version']);
+      await run(FFPROBE, ['-version']);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Mark a newly attached video or audio file for the worker
+  static queued(file) {
+    return { ...file, processing: { status: 'pending', attempts: 0 } };
+  }
+
+  // Ask a worker to transcode whatever is waiting; one queued request covers any number of files
+  static async schedule() {
+    return JobService.enqueue('media.transcode', {}, { uniqueKey: 'media.transcode' });
+  }
+
+  // Claim the next media entry waiting for processing; entries from before processing existed count too
+  static async claimNext(now = new Date()) {
+    for (const field of MEDIA_FIELDS) {
+      const waiting = {
+        $or: [
+          { 'processing.status': 'pending' },
+          { 'processing.status': { $exists: false } },
+          { 'processing.status': 'processing', 'processing.startedAt': { $lt: new Date(now.getTime() - STALE_MS) } }
+        ]
+      };
+      const initiative = await Initiative.findOne({ [field]: { $elemMatch: waiting } }).select(field).lean();
+      if (!initiative) continue;
+
+      const file = initiative[field].find(entry => {
+        const status = entry.processing && entry.processing.status;
+        return !status || status === 'pending' ||
+          (status === 'processing' && entry.processing.startedAt < new Date(now.getTime() - STALE_MS));
+      });
+      if (!file) continue;
+      if (!StorageService.fileId(file)) {
+        // Nothing to read; mark it so it does not block the files behind it
+        await Initiative.updateOne(
+          { _id: initiative._id, [`${field}._id`]: file._id },
+          { $set: { [`${field}.$.processing.status`]: 'failed', [`${field}.$.processing.error`]: 'File has no storage location' } }
+        );
+        return MediaService.claimNext(now);
+      }
+
+      // Only one worker wins the switch to processing
+      const match = file.key ? { key: file.key } : { path: file.path };
+      const claimed = await Initiative.updateOne(
+        { _id: initiative._id, [field]: { $elemMatch: { ...match, ...waiting } } },
+        {
+          $set: {
+            [`${field}.$.processing.status`]: 'processing',
+            [`${field}.$.processing.startedAt`]: now
+          },
+          $inc: { [`${field}.$.processing.attempts`]: 1 }
+        }
+      );
+      if (claimed.modifiedCount === 1) {
+        const attempts = ((file.processing && file.processing.attempts) || 0) + 1;
+        return { field, file, attempts };
+      }
+    }
+    return null;
+  }
+
+  // Transcode one file and store the results next to it
+  static async transcode(field, file) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'jataayu-media-'));
+    const stored = [];
+    try {
+      const input = await localCopy(file, workDir);
+      const outputDir = path.join(workDir, 'out');
+      await fs.promises.mkdir(outputDir);
+
+      const info = await probe(input);
+      const isVideo = field === 'videos' && info.height;
+      const outputs = isVideo
+        ? await transcodeVideo(input, outputDir, info)
+        : await transcodeAudio(input, outputDir);
+
+      // Outputs sit together under <folder>/media/<name>/ so playlists find their segments
+      const location = StorageService.locate(file);
+      const folder = path.posix.dirname(location.key.replace(/^(image|video|raw)\//, ''));
+      const prefix = path.posix.join(folder, 'media', path.posix.basename(location.key, path.posix.extname(location.key)));
+      const driver = location.storage;
+
+      const byName = {};
+      for (const name of await listFiles(outputDir)) {
+        const filePath = path.join(outputDir, name);
+        const { size } = await fs.promises.stat(filePath);
+        const descriptor = await StorageService.saveFileAt({
+          path: filePath,
+          originalname: path.posix.basename(name),
+          mimetype: CONTENT_TYPES[path.extname(name)] || 'application/octet-stream',
+          size
+        }, path.posix.join(prefix, name), { driver });
+        stored.push(descriptor);
+        byName[name] = descriptor;
+      }
+
+      const pick = (name, extra = {}) => ({
+        storage: byName[name].storage,
+        key: byName[name].key,
+        url: byName[name].url,
+        ...extra
+      });
+
+      return {
+        duration: info.duration,
+        width: isVideo ? info.width : undefined,
+        height: isVideo ? info.height : undefined,
+        web: pick(outputs.web, { mimetype: byName[outputs.web].mimetype, size: byName[outputs.web].size }),
+        hls: pick(outputs.hls),
+        poster: outputs.poster ? pick(outputs.poster.file, { width: outputs.poster.width, height: outputs.poster.height }) : undefined,
+        derived: stored.map(descriptor => ({ storage: descriptor.storage, key: descriptor.key }))
+      };
+    } catch (error) {
+      await StorageService.removeAll(stored);
+      throw error;
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  // Process the next waiting file, if any; returns whether there was one
+  static async processNext() {
+    const next = await MediaService.claimNext();
+    if (!next) return false;
+    const { field, file, attempts } = next;
+
+    try {
+      const results = await MediaService.transcode(field, file);
+      await updateEverywhere(field, file, {
+        ...results,
+        'processing.status': 'ready',
+        'processing.error': null,
+        'processing.completedAt': new Date()
+      });
+    } catch (error) {
+      console.error(`Error processing ${StorageService.fileId(file)}:`, error.message);
+      await updateEverywhere(field, file, {
+        'processing.status': attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+        'processing.error': error.message
+      });
+    }
+    return true;
+  }
+
+  // Take media jobs on servers that have ffmpeg; one at a time, since ffmpeg uses every core it gets
+  static async startWorker(intervalMs = SWEEP_INTERVAL_MS) {
+    if (!await MediaService.isAvailable()) {
+      console.warn('ffmpeg not found; videos and audio will not be transcoded here');
+      return null;
+    }
+
+    JobService.register('media.transcode', async () => {
+      let processed = 0;
+      while (await MediaService.processNext()) {
+        processed++;
+      }
+      return { processed };
+    }, { concurrency: 1 });
+    return JobService.every('media.transcode', intervalMs);
+  }
+
+  // Status and playback URLs for an initiative's videos and audio
+  static present(initiative) {
+    return MEDIA_FIELDS.flatMap(field => (initiative[field] || []).map(file => ({
+      id: file._id,
+      field,
+      filename: file.filename,
+      status: (file.processing && file.processing.status) || 'pending',
+      error: file.processing && file.processing.status === 'failed' ? file.processing.error : undefined,
+      duration: file.duration,
+      width: file.width,
+      height: file.height,
+      url: file.url || (file.path ? `/${file.path}` : undefined),
+      webUrl: file.web && file.web.url,
+      streamUrl: file.hls && file.hls.url,
+      posterUrl: file.poster && file.poster.url
+    })));
+  }
+}
+
+module.exports = MediaService;
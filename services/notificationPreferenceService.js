@@ -0,0 +1,279 @@
+const NotificationPreference = require('../models/NotificationPreference');
+const AdminAreaService = require('./adminAreaService');
+
+const { CATEGORIES, CHANNELS, DIGEST_FREQUENCIES } = NotificationPreference;
+
+// Catalog notification name -> category; anything not listed counts as account
+const CATEGORY_BY_NAME = Object.entries(CATEGORIES).reduce((result, [category, { names }]) => {
+  names.forEach(name => {
+    result[name] = category;
+  });
+  return result;
+}, {});
+const DEFAULT_CATEGORY = 'account';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const PHONE = /^\+?[1-9]\d{9,14}$/;
+const DAY_MINUTES = 24 * 60;
+
+const preferenceError = (message) => {
+  const error = new Error(message);
+  error.name = 'PreferenceError';
+  return error;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes since local midnight and the weekday, in the user's timezone
+const localClock = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(date).reduce((result, part) => ({ ...result, [part.type]: part.value }), {});
+  return {
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// The start of the minute a number of minutes from now
+const minutesFrom = (now, minutes) => {
+  const date = new Date(now.getTime() + minutes * 60 * 1000);
+  date.setSeconds(0, 0);
+  return date;
+};
+
+const isTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const plain = (doc) => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc);
+
+class NotificationPreferenceService {
+  static get CATEGORIES() {
+    return Object.keys(CATEGORIES);
+  }
+
+  static categoryOf(name) {
+    return CATEGORY_BY_NAME[name] || DEFAULT_CATEGORY;
+  }
+
+  // Preferences for several users by id; users who never saved any get the defaults
+  static async forUsers(userIds) {
+    const saved = await NotificationPreference.find({ user: { $in: userIds } }).lean();
+    const byUser = new Map(saved.map(preferences => [preferences.user.toString(), preferences]));
+    return new Map(userIds.map(id => [
+      id.toString(),
+      byUser.get(id.toString()) || plain(new NotificationPreference({ user: id }))
+    ]));
+  }
+
+  static async forUser(userId) {
+    return (await NotificationPreferenceService.forUsers([userId])).get(userId.toString());
+  }
+
+  // Channels on for a category, with unset ones taken from the category defaults
+  static channels(preferences, category) {
+    const config = CATEGORIES[category] || CATEGORIES[DEFAULT_CATEGORY];
+    const chosen = (preferences.categories && preferences.categories[category]) || {};
+    const channels = CHANNELS.reduce((result, channel) => ({
+      ...result,
+      [channel]: typeof chosen[channel] === 'boolean' ? chosen[channel] : config.defaults[channel]
+    }), {});
+    if (config.required) channels.inApp = true;
+    return channels;
+  }
+
+  static inQuietHours(preferences, now = new Date()) {
+    const quiet = preferences.quietHours;
+    if (!quiet || !quiet.enabled) return false;
+    const start = toMinutes(quiet.start);
+    const end = toMinutes(quiet.end);
+    if (start === end) return false;
+    const { minutes } = localClock(now, preferences.timezone);
+    return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  }
+
+  static quietHoursEnd(preferences, now = new Date()) {
+    const { minutes } = localClock(now, preferences.timezone);
+    return minutesFrom(now, (toMinutes(preferences.quietHours.end) - minutes + DAY_MINUTES) % DAY_MINUTES);
+  }
+
+  // When the next digest is due, or null when digests are off
+  static nextDigestAt(preferences, now = new Date()) {
+    const digest = preferences.digest || {};
+    if (!digest.frequency || digest.frequency === 'off') return null;
+
+    const { minutes, weekday } = localClock(now, preferences.timezone);
+    const days = digest.frequency === 'weekly' ? (digest.weekday - weekday + 7) % 7 : 0;
+    let wait = days * DAY_MINUTES + digest.hour * 60 - minutes;
+    if (wait <= 0) {
+      wait += digest.frequency === 'weekly' ? 7 * DAY_MINUTES : DAY_MINUTES;
+    }
+    return minutesFrom(now, wait);
+  }
+
+  // How one notification reaches one user:
+  //   channels  where it goes; empty when the user opted out
+  //   digest    held for the user's digest instead of sent now
+  //   live      pushed to open sockets straight away (not during quiet hours)
+  //   sendAt    email and SMS wait until then, the end of quiet hours
+  // districtArea is the district it is about, or a list when it is about several
+  static plan(preferences, { category = DEFAULT_CATEGORY, districtArea } = {}, now = new Date()) {
+    const config = CATEGORIES[category] || CATEGORIES[DEFAULT_CATEGORY];
+    const districts = (preferences.districts || []).map(id => id.toString());
+    const areas = [].concat(districtArea || []);
+    const outside = districts.length > 0 && areas.length > 0 &&
+      !areas.some(area => districts.includes(area.toString()));
+    if (outside && !config.required) {
+      return { channels: [] };
+    }
+
+    const channels = NotificationPreferenceService.channels(preferences, category);
+    const enabled = CHANNELS.filter(channel => channels[channel] && (channel !== 'sms' || preferences.smsNumber));
+    if (enabled.length === 0) {
+      return { channels: [] };
+    }
+
+    if (config.digest && preferences.digest && preferences.digest.frequency !== 'off') {
+      return { channels: enabled, digest: true };
+    }
+
+    const quiet = NotificationPreferenceService.inQuietHours(preferences, now);
+    return {
+      channels: enabled,
+      live: !quiet,
+      sendAt: quiet ? NotificationPreferenceService.quietHoursEnd(preferences, now) : null,
+      smsNumber: preferences.smsNumber
+    };
+  }
+
+  // Preferences as the settings page shows them, with every category filled in
+  static present(preferences) {
+    return {
+      categories: Object.keys(CATEGORIES).reduce((result, category) => ({
+        ...result,
+        [category]: {
+          ...NotificationPreferenceService.channels(preferences, category),
+          required: Boolean(CATEGORIES[category].required),
+          digest: CATEGORIES[category].digest
+        }
+      }), {}),
+      districts: preferences.districts || [],
+      quietHours: preferences.quietHours,
+      timezone: preferences.timezone,
+      digest: preferences.digest,
+      smsNumber: preferences.smsNumber
+    };
+  }
+
+  // Apply changes from the settings page; only the parts given are changed
+  static async update(user, input = {}) {
+    const preferences = await NotificationPreference.findOne({ user: user._id }) ||
+      new NotificationPreference({ user: user._id });
+
+    if (input.smsNumber !== undefined) {
+      const number = String(input.smsNumber || '').replace(/[\s-]/g, '');
+      if (number && !PHONE.test(number)) {
+        throw preferenceError('SMS number must be a phone number with country code');
+      }
+      preferences.smsNumber = number || undefined;
+    }
+
+    if (input.categories !== undefined) {
+      if (!input.categories || typeof input.categories !== 'object') {
+        throw preferenceError('Categories must be an object');
+      }
+      Object.entries(input.categories).forEach(([category, channels]) => {
+        if (!CATEGORIES[category]) {
+          throw preferenceError(`Unknown notification category: ${category}`);
+        }
+        Object.entries(channels || {}).forEach(([channel, enabled]) => {
+          if (!CHANNELS.includes(channel) || typeof enabled !== 'boolean') {
+            throw preferenceError(`${category}.${channel} must be one of ${CHANNELS.join(', ')} set to true or false`);
+          }
+          if (channel === 'inApp' && !enabled && CATEGORIES[category].required) {
+            throw preferenceError(`In-app ${category} notifications cannot be turned off`);
+          }
+          preferences.set(`categories.${category}.${channel}`, enabled);
+        });
+      });
+    }
+
+    if (input.districts !== undefined) {
+      const districts = [];
+      for (const district of [].concat(input.districts || [])) {
+        const areas = await AdminAreaService.resolve({ district });
+        districts.push(areas.district._id);
+      }
+      preferences.districts = districts;
+    }
+
+    if (input.quietHours !== undefined) {
+      const { enabled, start, end } = input.quietHours || {};
+      if (enabled !== undefined) preferences.quietHours.enabled = Boolean(enabled);
+      [['start', start], ['end', end]].forEach(([field, value]) => {
+        if (value === undefined) return;
+        if (!TIME.test(value)) {
+          throw preferenceError(`Quiet hours ${field} must be a time like 22:00`);
+        }
+        preferences.quietHours[field] = value;
+      });
+    }
+
+    if (input.timezone !== undefined) {
+      if (!isTimezone(input.timezone)) {
+        throw preferenceError('Unknown timezone');
+      }
+      preferences.timezone = input.timezone;
+    }
+
+    if (input.digest !== undefined) {
+      const { frequency, hour, weekday } = input.digest || {};
+      if (frequency !== undefined) {
+        if (!DIGEST_FREQUENCIES.includes(frequency)) {
+          throw preferenceError(`Digest must be one of ${DIGEST_FREQUENCIES.join(', ')}`);
+        }
+        preferences.digest.frequency = frequency;
+      }
+      if (hour !== undefined) {
+        if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+          throw preferenceError('Digest hour must be between 0 and 23');
+        }
+        preferences.digest.hour = hour;
+      }
+      if (weekday !== undefined) {
+        if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+          throw preferenceError('Digest day must be between 0 (Sunday) and 6');
+        }
+        preferences.digest.weekday = weekday;
+      }
+    }
+
+    const sms = Object.keys(CATEGORIES).some(category => NotificationPreferenceService.channels(preferences, category).sms);
+    if (sms && !preferences.smsNumber) {
+      throw preferenceError('Add an SMS number before turning on SMS notifications');
+    }
+
+    // Turning digests off sends whatever was held straight away
+    preferences.digest.nextAt = NotificationPreferenceService.nextDigestAt(preferences) ||
+      (preferences.digest.nextAt ? new Date() : undefined);
+
+    await preferences.save();
+    return preferences;
+  }
+}
+
+module.exports = NotificationPreferenceService;
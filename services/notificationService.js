@@ -1,25 +1,346 @@
 const Notification = require('../models/Notification');
 const User = require('../models/User');
+const AdminArea = require('../models/AdminArea');
+const EventRegistration = require('../models/EventRegistration');
+const NotificationPreference = require('../models/NotificationPreference');
+const DigestEntry = require('../models/DigestEntry');
+const SocketService = require('./socketService');
+const LocaleService = require('./localeService');
+const JobService = require('./jobService');
+const MailService = require('./mailService');
+const SmsService = require('./smsService');
+const NotificationPreferenceService = require('./notificationPreferenceService');
+
+// Recipients are loaded and inserted this many at a time when notifying many users
+const BATCH_SIZE = 500;
+const DIGEST_INTERVAL_MS = parseInt(process.env.DIGEST_INTERVAL_MS || String(15 * 60 * 1000));
+// Titles listed in the in-app digest; the email lists everything
+const DIGEST_PREVIEW = 5;
+
+// Custom audience segments: each turns its options into a condition on users
+const SEGMENTS = {
+  // Account holders who registered for an event, optionally only in some registration states
+  eventRegistrants: async ({ event, statuses }) => {
+    const filter = { event };
+    if (statuses && statuses.length) {
+      filter.status = { $in: statuses };
+    }
+    return { email: { $in: await EventRegistration.distinct('email', filter) } };
+  },
+  // Registrants who were checked in at the event
+  eventAttendees: async ({ event }) => ({
+    email: { $in: await EventRegistration.distinct('email', { event, checkedInAt: { $ne: null } }) }
+  })
+};
+
+// Email and SMS for one recipient, rendered now and sent later from the job queue
+const outgoing = ({ user, locale, content, plan }) => {
+  const messages = [];
+  if (plan.channels.includes('email') && user.email) {
+    messages.push({
+      channel: 'email',
+      to: user.email,
+      subject: content.title,
+      text: LocaleService.t(locale, 'mail.body', { name: user.name, message: content.message })
+    });
+  }
+  if (plan.channels.includes('sms') && plan.smsNumber) {
+    messages.push({ channel: 'sms', to: plan.smsNumber, text: `${content.title}: ${content.message}` });
+  }
+  return messages;
+};
 
 class NotificationService {
-  // Create a new notification
-  static async createNotification(recipientId, title, message, type = 'info', link = null) {
+  static get SEGMENTS() {
+    return Object.keys(SEGMENTS);
+  }
+
+  // Create a new notification; title and message may be { key, params } to translate for the recipient.
+  // context.category picks the preference it falls under, context.districtArea the district it is about.
+  static async createNotification(recipientId, title, message, type = 'info', link = null, context = {}) {
     try {
-      const notification = new Notification({
-        recipient: recipientId,
-        title,
-        message,
-        type,
-        link
-      });
-      await notification.save();
-      return notification;
+      const recipient = await User.findById(recipientId).select('name email preferredLocale');
+      const locale = LocaleService.negotiate({ preferred: recipient && recipient.preferredLocale });
+      const preferences = await NotificationPreferenceService.forUser(recipientId);
+
+      const [notification] = await NotificationService.deliver([{
+        user: recipient || { _id: recipientId },
+        locale,
+        content: { title: LocaleService.render(title, locale), message: LocaleService.render(message, locale) },
+        plan: NotificationPreferenceService.plan(preferences, context)
+      }], { type, link, category: context.category });
+
+      return notification || null;
     } catch (error) {
       console.error('Error creating notification:', error);
       throw error;
     }
   }
 
+  // Create a notification from the catalog entry notifications.<name>.title/message
+  static async createLocalizedNotification(recipientId, name, params = {}, type = 'info', link = null, context = {}) {
+    return NotificationService.createNotification(
+      recipientId,
+      { key: `notifications.${name}.title`, params },
+      { key: `notifications.${name}.message`, params },
+      type,
+      link,
+      { category: NotificationPreferenceService.categoryOf(name), ...context }
+    );
+  }
+
+  // Carry out delivery plans: in-app rows and live pushes now, digest entries for later,
+  // and email and SMS through the job queue. Returns the in-app notifications created.
+  static async deliver(items, { type = 'info', link = null, category, broadcast } = {}) {
+    const inApp = items.filter(item => !item.plan.digest && item.plan.channels.includes('inApp'));
+    const notifications = inApp.length === 0 ? [] : await Notification.insertMany(inApp.map(item => ({
+      recipient: item.user._id,
+      ...item.content,
+      type,
+      link,
+      category,
+      broadcast
+    })));
+    notifications.forEach((notification, index) => {
+      if (inApp[index].plan.live && SocketService.emitToUser(notification.recipient, 'notification', notification)) {
+        NotificationService.pushUnreadCount(notification.recipient);
+      }
+    });
+
+    const held = items.filter(item => item.plan.digest);
+    if (held.length) {
+      await DigestEntry.insertMany(held.map(item => ({
+        user: item.user._id,
+        category,
+        ...item.content,
+        link,
+        channels: item.plan.channels
+      })));
+    }
+
+    // One delivery job per send time; quiet hours push some to later
+    const batches = new Map();
+    items.filter(item => !item.plan.digest).forEach(item => {
+      const messages = outgoing(item);
+      if (messages.length === 0) return;
+      const sendAt = item.plan.sendAt ? item.plan.sendAt.getTime() : 0;
+      batches.set(sendAt, [...(batches.get(sendAt) || []), ...messages]);
+    });
+    for (const [sendAt, messages] of batches) {
+      await JobService.enqueue('notifications.deliver', { messages }, { runAt: sendAt ? new Date(sendAt) : new Date() });
+    }
+
+    return notifications;
+  }
+
+  // Users an audience describes. Each part narrows it further and matches any of its values:
+  //   roles      user roles
+  //   districts  AdminArea ids; officers by their district, other users by the district they gave
+  //   talukas    AdminArea ids; officers assigned to them, and users who registered for events there
+  //   segment    a custom group, e.g. { type: 'eventRegistrants', event, statuses }
+  //   exclude    users to leave out, such as whoever caused the notification
+  static async audienceQuery(audience = {}) {
+    const parts = [];
+
+    if (audience.roles && audience.roles.length) {
+      parts.push({ role: { $in: audience.roles } });
+    }
+    if (audience.districts && audience.districts.length) {
+      const districts = await AdminArea.find({ _id: { $in: audience.districts }, level: 'district' }).select('name');
+      parts.push({
+        $or: [
+          { districtArea: { $in: districts.map(area => area._id) } },
+          { district: { $in: districts.map(area => area.name) } }
+        ]
+      });
+    }
+    if (audience.talukas && audience.talukas.length) {
+      const emails = await EventRegistration.distinct('email', { talukaArea: { $in: audience.talukas } });
+      parts.push({ $or: [{ talukaAreas: { $in: audience.talukas } }, { email: { $in: emails } }] });
+    }
+    if (audience.segment && audience.segment.type) {
+      const segment = SEGMENTS[audience.segment.type];
+      if (!segment) {
+        throw new Error(`Unknown audience segment: ${audience.segment.type}`);
+      }
+      parts.push(await segment(audience.segment));
+    }
+    if (audience.exclude && audience.exclude.length) {
+      parts.push({ _id: { $nin: audience.exclude } });
+    }
+
+    return parts.length ? { $and: parts } : {};
+  }
+
+  static async countAudience(audience) {
+    return User.countDocuments(await NotificationService.audienceQuery(audience));
+  }
+
+  // Send a notification to everyone in an audience, in batches ordered by user id, following
+  // each user's preferences. content(locale) gives the title and message in that language.
+  // Resumes after the user id in after; onBatch gets each batch's last id and how many users
+  // it reached on any channel, digests included. Returns that count for the whole audience.
+  static async sendToAudience(audience, content, {
+    type = 'info', link = null, category, districtArea, broadcast, after, onBatch
+  } = {}) {
+    const query = await NotificationService.audienceQuery(audience);
+    if (after) {
+      query._id = { $gt: after };
+    }
+
+    const cursor = User.find(query).select('_id name email preferredLocale').sort({ _id: 1 }).lean().cursor();
+    const rendered = {};
+    const render = (locale) => {
+      rendered[locale] = rendered[locale] || content(locale);
+      return rendered[locale];
+    };
+
+    let sent = 0;
+    let batch = [];
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const preferences = await NotificationPreferenceService.forUsers(batch.map(user => user._id));
+      const now = new Date();
+      const items = batch.map(user => {
+        const locale = LocaleService.negotiate({ preferred: user.preferredLocale });
+        return {
+          user,
+          locale,
+          content: render(locale),
+          plan: NotificationPreferenceService.plan(preferences.get(user._id.toString()), { category, districtArea }, now)
+        };
+      });
+      await NotificationService.deliver(items, { type, link, category, broadcast });
+      const reached = items.filter(item => item.plan.channels.length > 0).length;
+      sent += reached;
+      const last = batch[batch.length - 1]._id;
+      batch = [];
+      if (onBatch) await onBatch(last, reached);
+    };
+
+    for await (const user of cursor) {
+      batch.push(user);
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+    return sent;
+  }
+
+  // Send the catalog notification notifications.<name> to everyone in an audience
+  static async notifyAudience(audience, name, params = {}, type = 'info', link = null, { districtArea, after, onBatch } = {}) {
+    return NotificationService.sendToAudience(audience, locale => ({
+      title: LocaleService.t(locale, `notifications.${name}.title`, params),
+      message: LocaleService.t(locale, `notifications.${name}.message`, params)
+    }), { type, link, category: NotificationPreferenceService.categoryOf(name), districtArea, after, onBatch });
+  }
+
+  // Notify an audience from the job queue, so the request that caused it can return straight away
+  static async queueForAudience(audience, name, params = {}, type = 'info', link = null, context = {}) {
+    return JobService.enqueue('notifications.fanout', { audience, name, params, type, link, context });
+  }
+
+  // A retried fan-out carries on after the last batch it inserted
+  static registerJobs() {
+    JobService.register('notifications.fanout', async ({ audience, name, params, type, link, context = {} }, { job, checkpoint }) => {
+      const progress = job.progress || { sent: 0 };
+      await NotificationService.notifyAudience(audience, name, params, type, link, {
+        districtArea: context.districtArea,
+        after: progress.after,
+        onBatch: async (after, count) => {
+          progress.after = after;
+          progress.sent += count;
+          await checkpoint(progress);
+        }
+      });
+      return { sent: progress.sent };
+    });
+
+    // A retry carries on from the first message not yet sent
+    JobService.register('notifications.deliver', async ({ messages }, { job, checkpoint }) => {
+      const start = (job.progress && job.progress.sent) || 0;
+      for (let index = start; index < messages.length; index++) {
+        const { channel, ...message } = messages[index];
+        if (channel === 'sms') {
+          await SmsService.send(message);
+        } else {
+          await MailService.send(message);
+        }
+        await checkpoint({ sent: index + 1 });
+      }
+      return { sent: messages.length };
+    });
+
+    JobService.register('notifications.digest', () => NotificationService.sendDueDigests(), { concurrency: 1 });
+    JobService.every('notifications.digest', DIGEST_INTERVAL_MS);
+  }
+
+  // Send every digest that has come due; safe to run from several servers at once
+  static async sendDueDigests(now = new Date()) {
+    let sent = 0;
+    const due = await NotificationPreference.find({ 'digest.nextAt': { $lte: now } });
+
+    for (const preferences of due) {
+      // Moving nextAt on claims this digest
+      const next = NotificationPreferenceService.nextDigestAt(preferences, now);
+      const claimed = await NotificationPreference.findOneAndUpdate(
+        { _id: preferences._id, 'digest.nextAt': preferences.digest.nextAt },
+        next ? { $set: { 'digest.nextAt': next } } : { $unset: { 'digest.nextAt': '' } }
+      );
+      if (!claimed) continue;
+
+      try {
+        if (await NotificationService.sendDigest(preferences, now)) sent++;
+      } catch (error) {
+        console.error(`Error sending digest to ${preferences.user}:`, error);
+      }
+    }
+    return sent;
+  }
+
+  // One summary of everything held for a user, on the channels those notifications would have used
+  static async sendDigest(preferences, now = new Date()) {
+    const entries = await DigestEntry.find({ user: preferences.user, createdAt: { $lte: now } }).sort({ createdAt: 1 });
+    if (entries.length === 0) return false;
+
+    const user = await User.findById(preferences.user).select('name email preferredLocale');
+    if (user) {
+      const locale = LocaleService.negotiate({ preferred: user.preferredLocale });
+      const name = preferences.digest.frequency === 'weekly' ? 'digestWeekly' : 'digestDaily';
+      const params = { count: entries.length };
+      const titles = entries.map(entry => `• ${entry.title}`);
+      const more = entries.length > DIGEST_PREVIEW
+        ? [LocaleService.t(locale, 'notifications.digestMore', { count: entries.length - DIGEST_PREVIEW })]
+        : [];
+      const channels = [...new Set(entries.flatMap(entry => entry.channels))].filter(channel => channel !== 'sms');
+
+      await NotificationService.deliver([{
+        user,
+        locale,
+        content: {
+          title: LocaleService.t(locale, `notifications.${name}.title`, params),
+          message: [LocaleService.t(locale, `notifications.${name}.message`, params), ...titles.slice(0, DIGEST_PREVIEW), ...more].join('\n')
+        },
+        plan: { channels: channels.filter(channel => channel !== 'email'), live: true }
+      }], { type: 'info', link: '/notifications', category: 'account' });
+
+      // The email has room for every message in full
+      if (channels.includes('email')) {
+        await NotificationService.deliver([{
+          user,
+          locale,
+          content: {
+            title: LocaleService.t(locale, `notifications.${name}.title`, params),
+            message: entries.map(entry => `${entry.title}\n${entry.message || ''}`).join('\n\n')
+          },
+          plan: { channels: ['email'] }
+        }], { category: 'account' });
+      }
+    }
+
+    await DigestEntry.deleteMany({ _id: { $in: entries.map(entry => entry._id) } });
+    return true;
+  }
+
   // Get all notifications for a user
   static async getUserNotifications(userId, page = 1, limit = 10) {
     try {
@@ -55,6 +376,10 @@ class NotificationService {
 
       notification.read = true;
       await notification.save();
+
+      SocketService.emitToUser(userId, 'notification_read', { id: notification._id });
+      await NotificationService.pushUnreadCount(userId);
+
       return notification;
     } catch (error) {
       console.error('Error marking notification as read:', error);
@@ -69,6 +394,9 @@ class NotificationService {
         { recipient: userId, read: false },
         { read: true }
       );
+
+      SocketService.emitToUser(userId, 'notifications_read_all', {});
+      await NotificationService.pushUnreadCount(userId);
     } catch (error) {
       console.error('Error marking all notifications as read:', error);
       throw error;
@@ -87,6 +415,19 @@ class NotificationService {
       throw error;
     }
   }
+
+  // Push the current unread count to the user's live sockets
+  static async pushUnreadCount(userId) {
+    if (!SocketService.isOnline(userId)) return;
+
+    try {
+      const count = await NotificationService.getUnreadCount(userId);
+      SocketService.emitToUser(userId, 'unread_count', { count });
+    } catch (error) {
+      // Real-time delivery is best effort; the REST endpoints stay authoritative
+      console.error('Error pushing unread count:', error);
+    }
+  }
 }
 
 module.exports = NotificationService; 
\ No newline at end of file
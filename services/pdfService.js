@@ -0,0 +1,27 @@
+const React = require('react');
+
+// @react-pdf/renderer is ESM-only, so it is loaded once on first use
+let rendererPromise = null;
+
+const loadRenderer = () => {
+  if (!rendererPromise) {
+    rendererPromise = import('@react-pdf/renderer');
+  }
+  return rendererPromise;
+};
+
+class PdfService {
+  // Render a document to a Buffer; build receives the react-pdf components and React.createElement
+  static async render(build) {
+    try {
+      const renderer = await loadRenderer();
+      const document = build({ ...renderer, h: React.createElement });
+      return await renderer.renderToBuffer(document);
+    } catch (error) {
+      console.error('Error rendering PDF:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PdfService;
@@ -0,0 +1,120 @@
+// Jurisdiction rules: admins and Official_members work statewide,
+// block officers only inside their own district (and talukas, when assigned).
+const STATEWIDE_ROLES = ['admin', 'Official_member'];
+
+const sameId = (a, b) => Boolean(a && b && a.toString() === b.toString());
+const includesId = (ids, id) => (ids || []).some(item => sameId(item, id));
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+class PolicyService {
+  static isStatewide(user) {
+    return STATEWIDE_ROLES.includes(user.role);
+  }
+
+  // Does a document with districtArea/district fields fall inside the officer's district?
+  static inDistrict(user, doc) {
+    if (PolicyService.isStatewide(user)) return true;
+    if (user.role !== 'block_officer') return false;
+
+    if (user.districtArea && doc.districtArea) {
+      return sameId(user.districtArea, doc.districtArea);
+    }
+    // Records from before the master data migration only have the name
+    return Boolean(user.district) && normalize(user.district) === normalize(doc.district);
+  }
+
+  // Does a registration fall inside the officer's district and assigned talukas?
+  static inJurisdiction(user, registration) {
+    if (!PolicyService.inDistrict(user, registration)) return false;
+    if (PolicyService.isStatewide(user) || !user.talukaAreas || user.talukaAreas.length === 0) return true;
+    return includesId(user.talukaAreas, registration.talukaArea);
+  }
+
+  // Creating an event in a district
+  static canCreateEventIn(user, districtArea) {
+    return PolicyService.inDistrict(user, { districtArea: districtArea._id, district: districtArea.name });
+  }
+
+  // Editing or deleting an event
+  static canEditEvent(user, event) {
+    if (user.role === 'admin') return true;
+    return sameId(event.createdBy._id || event.createdBy, user._id) && PolicyService.inDistrict(user, event);
+  }
+
+  // Created by the user, or shared with them as a whole event or a single registration
+  static isSharedWith(user, event, registration = null) {
+    return sameId(event.createdBy && (event.createdBy._id || event.createdBy), user._id) ||
+      includesId(event.sharedWith, user._id) ||
+      Boolean(registration && includesId(registration.sharedWith, user._id));
+  }
+
+  // Viewing and managing an event's registrations, tickets, check-in and reports
+  static canManageRegistrations(user, event, registration = null) {
+    if (PolicyService.isStatewide(user)) return true;
+
+    // Sharing grants access whatever the district, block officers included
+    if (PolicyService.isSharedWith(user, event, registration)) return true;
+
+    if (user.role !== 'block_officer') return false;
+    if (!PolicyService.inDistrict(user, event)) return false;
+    return registration ? PolicyService.inJurisdiction(user, registration) : true;
+  }
+
+  // Query limiting events to the user's jurisdiction
+  static eventFilter(user) {
+    if (PolicyService.isStatewide(user)) return {};
+    if (user.role === 'block_officer') {
+      return user.districtArea
+        ? { $or: [{ districtArea: user.districtArea }, { districtArea: { $exists: false }, district: user.district }] }
+        : { district: user.district };
+    }
+    return { $or: [{ createdBy: user._id }, { sharedWith: user._id }] };
+  }
+
+  // Query limiting registrations to the user's jurisdiction; pass the event when listing one
+  // event's registrations, so an event shared with an officer shows all of them
+  static registrationFilter(user, event = null) {
+    // Other roles are already limited by the events they can see
+    if (PolicyService.isStatewide(user) || user.role !== 'block_officer') return {};
+    if (event && PolicyService.isSharedWith(user, event)) return {};
+
+    const filter = user.districtArea
+      ? { $or: [{ districtArea: user.districtArea }, { districtArea: { $exists: false }, district: user.district }] }
+      : { district: user.district };
+    const inJurisdiction = user.talukaAreas && user.talukaAreas.length > 0
+      ? { $and: [filter, { talukaArea: { $in: user.talukaAreas } }] }
+      : filter;
+    return { $or: [inJurisdiction, { sharedWith: user._id }] };
+  }
+
+  // Query limiting anonymous tips to the user's district, plus tips assigned to them
+  static tipFilter(user) {
+    if (PolicyService.isStatewide(user)) return {};
+
+    const inDistrict = user.districtArea
+      ? { 'location.districtArea': user.districtArea }
+      : { 'location.district': user.district };
+    return { $or: [inDistrict, { assignedTo: user._id }] };
+  }
+
+  // Viewing and triaging a single tip
+  static canTriageTip(user, tip) {
+    if (PolicyService.isStatewide(user)) return true;
+    if (sameId(tip.assignedTo && (tip.assignedTo._id || tip.assignedTo), user._id)) return true;
+    return PolicyService.inDistrict(user, tip.location);
+  }
+
+  // Query limiting user management to the user's jurisdiction
+  static userFilter(user) {
+    if (user.role === 'admin') return {};
+    if (user.role === 'block_officer') {
+      // Public sign-ups only store the district name they typed
+      return user.districtArea
+        ? { role: 'public', $or: [{ districtArea: user.districtArea }, { districtArea: { $exists: false }, district: user.district }] }
+        : { role: 'public', district: user.district };
+    }
+    return { _id: null };
+  }
+}
+
+module.exports = PolicyService;
@@ -0,0 +1,258 @@
+const Event = require('../models/Event');
+const EventRegistration = require('../models/EventRegistration');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const MailService = require('./mailService');
+const LocaleService = require('./localeService');
+
+// Registrations in these states hold a seat
+const SEAT_STATUSES = ['pending', 'approved'];
+
+// Age bands used by exports and reports; max is inclusive
+const AGE_BANDS = [
+  { label: 'under-18', min: 0, max: 17 },
+  { label: '18-25', min: 18, max: 25 },
+  { label: '26-35', min: 26, max: 35 },
+  { label: '36-50', min: 36, max: 50 },
+  { label: '51+', min: 51, max: Infinity }
+];
+
+const seatError = (message) => {
+  const error = new Error(message);
+  error.name = 'SeatError';
+  error.status = 409;
+  return error;
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Accepts a single value or a comma separated list
+const toList = (value) => (Array.isArray(value) ? value : String(value).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+class RegistrationService {
+  static get SEAT_STATUSES() {
+    return SEAT_STATUSES;
+  }
+
+  static get AGE_BANDS() {
+    return AGE_BANDS;
+  }
+
+  // Build a registration query from report filters (district, taluka, village, status, gender, ageBand, from, to)
+  static buildFilter(query = {}) {
+    const filter = {};
+
+    ['district', 'taluka', 'village', 'status', 'gender'].forEach(field => {
+      if (query[field]) {
+        const values = toList(query[field]);
+        filter[field] = values.length === 1 ? values[0] : { $in: values };
+      }
+    });
+
+    if (query.ageBand) {
+      const bands = toList(query.ageBand).map(label => {
+        const band = AGE_BANDS.find(b => b.label === label);
+        if (!band) {
+          throw new Error(`Unknown age band: ${label}`);
+        }
+        return band;
+      });
+      const ranges = bands.map(band => ({
+        age: band.max === Infinity ? { $gte: band.min } : { $gte: band.min, $lte: band.max }
+      }));
+      if (ranges.length === 1) {
+        Object.assign(filter, ranges[0]);
+      } else {
+        filter.$or = ranges;
+      }
+    }
+
+    if (query.from || query.to) {
+      filter.createdAt = {};
+      if (query.from) filter.createdAt.$gte = new Date(query.from);
+      if (query.to) {
+        // A plain date includes the whole of that day
+        if (DATE_ONLY.test(query.to)) {
+          const end = new Date(query.to);
+          end.setUTCDate(end.getUTCDate() + 1);
+          filter.createdAt.$lt = end;
+        } else {
+          filter.createdAt.$lte = new Date(query.to);
+        }
+      }
+      if (Object.values(filter.createdAt).some(date => isNaN(date))) {
+        throw new Error('Invalid date range');
+      }
+    }
+
+    return filter;
+  }
+
+  // Number of seats currently taken for an event
+  static async countTakenSeats(eventId) {
+    return EventRegistration.countDocuments({
+      event: eventId,
+      status: { $in: SEAT_STATUSES }
+    });
+  }
+
+  // Events saved before seats were counted on them get their count on first use
+  static async ensureSeatCount(eventId) {
+    const taken = await RegistrationService.countTakenSeats(eventId);
+    await Event.updateOne({ _id: eventId, seatsTaken: { $exists: false } }, { $set: { seatsTaken: taken } });
+  }
+
+  // Take a seat on the event's counter, in one update that only matches while a seat is free,
+  // so two people signing up for the last seat cannot both get it. False when the event is full.
+  static async reserveSeat(event) {
+    if (event.seatsTaken === undefined) {
+      await RegistrationService.ensureSeatCount(event._id);
+    }
+    const reserved = await Event.findOneAndUpdate(
+      {
+        _id: event._id,
+        $expr: { $or: [{ $not: ['$capacity'] }, { $lt: ['$seatsTaken', '$capacity'] }] }
+      },
+      { $inc: { seatsTaken: 1 } },
+      { new: true }
+    );
+    return Boolean(reserved);
+  }
+
+  static async releaseSeat(event) {
+    await Event.updateOne({ _id: event._id, seatsTaken: { $gt: 0 } }, { $inc: { seatsTaken: -1 } });
+  }
+
+  // Create a registration, placing it on the waitlist when the event is full
+  static async register(event, data) {
+    const seated = await RegistrationService.reserveSeat(event);
+    const status = seated ? 'pending' : 'waitlisted';
+
+    const registration = new EventRegistration({
+      ...data,
+      status,
+      waitlistedAt: status === 'waitlisted' ? new Date() : undefined
+    });
+    try {
+      await registration.save();
+    } catch (error) {
+      if (seated) await RegistrationService.releaseSeat(event);
+      throw error;
+    }
+
+    return registration;
+  }
+
+  // Move a registration to another status, taking or giving back its seat. Fails with a
+  // SeatError when it needs a seat and the event is full, or when someone else changed it first.
+  static async changeStatus(event, registration, status) {
+    const from = registration.status;
+    const needsSeat = SEAT_STATUSES.includes(status) && !SEAT_STATUSES.includes(from);
+    const freesSeat = SEAT_STATUSES.includes(from) && !SEAT_STATUSES.includes(status);
+
+    if (needsSeat && !await RegistrationService.reserveSeat(event)) {
+      throw seatError('The event is full; raise the capacity or free a seat first');
+    }
+
+    const changes = { status };
+    if (status === 'waitlisted' && from !== 'waitlisted') {
+      // Manually waitlisted registrations go to the back of the queue
+      changes.waitlistedAt = new Date();
+    }
+    if (status === 'approved' && !registration.ticketIssuedAt) {
+      changes.ticketIssuedAt = new Date();
+    }
+
+    const updated = await EventRegistration.findOneAndUpdate(
+      { _id: registration._id, status: from },
+      { $set: changes },
+      { new: true }
+    );
+    if (!updated) {
+      if (needsSeat) await RegistrationService.releaseSeat(event);
+      throw seatError('The registration was changed by someone else; reload and try again');
+    }
+    if (freesSeat) {
+      await RegistrationService.releaseSeat(event);
+    }
+    return updated;
+  }
+
+  // 1-based position of a waitlisted registration
+  static async getWaitlistPosition(registration) {
+    if (registration.status !== 'waitlisted') return null;
+
+    const ahead = await EventRegistration.countDocuments({
+      event: registration.event,
+      status: 'waitlisted',
+      waitlistedAt: { $lt: registration.waitlistedAt }
+    });
+    return ahead + 1;
+  }
+
+  // Move waitlisted registrations into free seats, oldest first. except leaves out a registration
+  // an organiser has just put on the waitlist, so its own freed seat does not bring it straight back.
+  static async promoteFromWaitlist(event, { except } = {}) {
+    const query = { event: event._id, status: 'waitlisted' };
+    if (except) query._id = { $ne: except };
+    const waitlisted = await EventRegistration.find(query)
+      .sort({ waitlistedAt: 1 });
+    const promoted = [];
+
+    for (const registration of waitlisted) {
+      if (!await RegistrationService.reserveSeat(event)) break;
+
+      // Only promote if nobody else moved it off the waitlist in the meantime
+      const updated = await EventRegistration.findOneAndUpdate(
+        { _id: registration._id, status: 'waitlisted' },
+        { status: 'pending', promotedAt: new Date() },
+        { new: true }
+      );
+      if (!updated) {
+        await RegistrationService.releaseSeat(event);
+        continue;
+      }
+
+      promoted.push(updated);
+      await RegistrationService.notifyRegistrant(
+        updated,
+        'waitlistPromoted',
+        { event: event.title },
+        'success',
+        `/events/${event._id}`
+      );
+    }
+
+    return promoted;
+  }
+
+  // Account holders are notified through NotificationService, which applies their preferences;
+  // registrants without an account get an email in the language they registered in.
+  // name is a notifications.<name> catalog entry.
+  static async notifyRegistrant(registration, name, params = {}, type = 'info', link = null) {
+    try {
+      const user = await User.findOne({ email: registration.email });
+      if (user) {
+        await NotificationService.createLocalizedNotification(user._id, name, params, type, link);
+        return;
+      }
+
+      const locale = LocaleService.negotiate({ lang: registration.locale });
+      await MailService.send({
+        to: registration.email,
+        subject: LocaleService.t(locale, `notifications.${name}.title`, params),
+        text: LocaleService.t(locale, 'mail.body', {
+          name: registration.name,
+          message: LocaleService.t(locale, `notifications.${name}.message`, params)
+        })
+      });
+    } catch (error) {
+      // A failed notification should never undo the registration change itself
+      console.error('Error notifying registrant:', error);
+    }
+  }
+}
+
+module.exports = RegistrationService;
@@ -0,0 +1,169 @@
+const { escape, escapeRegExp } = require('lodash');
+const Event = require('../models/Event');
+const Initiative = require('../models/Initiative');
+const SupportCentre = require('../models/SupportCentre');
+const InitiativeService = require('./initiativeService');
+const LocaleService = require('./localeService');
+
+const MAX_QUERY_LENGTH = 100;
+const SNIPPET_RADIUS = 80;
+// Merging by relevance means reading page * limit hits from each type, so stop at a depth
+// that stays cheap; people refine the search long before this
+const MAX_PAGE = 20;
+
+// Public content types; add an entry here to make another collection searchable.
+// Each needs a text index, a filter for what the public may see and a way to present a hit.
+const SOURCES = {
+  event: {
+    model: Event,
+    filter: () => ({}),
+    select: 'title description location district date sourceLocale translations',
+    fields: Event.TRANSLATABLE_FIELDS,
+    present: (doc) => ({
+      title: doc.title,
+      text: [doc.description, doc.location].filter(Boolean).join(' · '),
+      url: `/events/${doc._id}`,
+      date: doc.date,
+      district: doc.district
+    })
+  },
+  initiative: {
+    model: Initiative,
+    filter: () => InitiativeService.publicFilter(),
+    select: 'title description content initiative subCategory publishedAt sourceLocale translations',
+    fields: Initiative.TRANSLATABLE_FIELDS,
+    present: (doc) => ({
+      title: doc.title,
+      text: [doc.description, doc.content].filter(Boolean).join(' '),
+      url: `/initiatives/${doc._id}`,
+      date: doc.publishedAt,
+      category: doc.initiative
+    })
+  },
+  directory: {
+    model: SupportCentre,
+    filter: () => ({ isActive: true }),
+    select: 'name type description services address district',
+    fields: [],
+    present: (doc) => ({
+      title: doc.name,
+      text: [doc.description, (doc.services || []).join(', '), doc.address].filter(Boolean).join(' · '),
+      url: `/directory/${doc._id}`,
+      district: doc.district,
+      category: doc.type
+    })
+  }
+};
+
+// Terms from user input with the $text operators (quotes, negation) removed, so input is only ever words
+const toTerms = (query) => String(query || '')
+  .slice(0, MAX_QUERY_LENGTH)
+  .replace(/["\\]/g, ' ')
+  .split(/\s+/)
+  .map(term => term.replace(/^-+/, ''))
+  .filter(Boolean);
+
+// A short piece of text around the first match, HTML-escaped, with matches wrapped in <mark>
+const highlight = (text, terms) => {
+  if (!text) return '';
+  const pattern = new RegExp(terms.map(escapeRegExp).join('|'), 'gi');
+
+  const first = text.search(pattern);
+  let start = 0;
+  let end = Math.min(text.length, SNIPPET_RADIUS * 2);
+  if (first > SNIPPET_RADIUS) {
+    start = first - SNIPPET_RADIUS;
+    end = Math.min(text.length, first + SNIPPET_RADIUS);
+  }
+
+  const piece = text.slice(start, end);
+  let result = '';
+  let last = 0;
+  piece.replace(pattern, (match, offset) => {
+    result += escape(piece.slice(last, offset)) + `<mark>${escape(match)}</mark>`;
+    last = offset + match.length;
+    return match;
+  });
+  result += escape(piece.slice(last));
+
+  return `${start > 0 ? '…' : ''}${result}${end < text.length ? '…' : ''}`;
+};
+
+class SearchService {
+  static get TYPES() {
+    return Object.keys(SOURCES);
+  }
+
+  static get MAX_PAGE() {
+    return MAX_PAGE;
+  }
+
+  static toTerms(query) {
+    return toTerms(query);
+  }
+
+  // Safe value for a $text search built from raw user input
+  static textQuery(query) {
+    return toTerms(query).join(' ');
+  }
+
+  // Search every public content type, merged by relevance, with a count per type
+  static async search(query, { types = SearchService.TYPES, page: requested = 1, limit = 10, locale } = {}) {
+    const page = Math.min(requested, MAX_PAGE);
+    const terms = toTerms(query);
+    if (terms.length === 0) {
+      return { results: [], facets: {}, total: 0, totalPages: 0, currentPage: page };
+    }
+    const search = terms.join(' ');
+
+    // Counts for every type, so the client can show how many hits each tab has
+    const facetEntries = await Promise.all(SearchService.TYPES.map(async type => {
+      const source = SOURCES[type];
+      const count = await source.model.countDocuments({ ...source.filter(), $text: { $search: search } });
+      return [type, count];
+    }));
+    const facets = Object.fromEntries(facetEntries);
+
+    // Scores are only comparable within a collection, but merging the top of each gives a sensible order
+    const perType = await Promise.all(types.map(async type => {
+      const source = SOURCES[type];
+      const docs = await source.model.find(
+        { ...source.filter(), $text: { $search: search } },
+        { score: { $meta: 'textScore' } }
+      )
+        .select(source.select)
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(page * limit)
+        .lean();
+
+      return docs.map(doc => {
+        const localized = source.fields.length
+          ? LocaleService.localize(doc, source.fields, locale)
+          : doc;
+        const { title, text, ...rest } = source.present(localized);
+        return {
+          type,
+          id: doc._id,
+          score: doc.score,
+          title,
+          titleHighlighted: highlight(title, terms),
+          snippet: highlight(text, terms),
+          ...rest
+        };
+      });
+    }));
+
+    const merged = perType.flat().sort((a, b) => b.score - a.score);
+    const total = types.reduce((sum, type) => sum + facets[type], 0);
+
+    return {
+      results: merged.slice((page - 1) * limit, page * limit),
+      facets,
+      total,
+      totalPages: Math.min(Math.ceil(total / limit), MAX_PAGE),
+      currentPage: page
+    };
+  }
+}
+
+module.exports = SearchService;
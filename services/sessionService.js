@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+// The old token arriving this soon after a rotation is another tab that refreshed at the same time
+const REUSE_GRACE_MS = 10 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Emits 'revoked' with { userId, sessionIds } so live connections can be dropped
+const events = new EventEmitter();
+
+class SessionService {
+  static get events() {
+    return events;
+  }
+
+  // Start a new device session and issue its first token pair
+  static async createSession(user, { userAgent, ip } = {}) {
+    const secret = crypto.randomBytes(40).toString('hex');
+    const session = new Session({
+      user: user._id,
+      refreshTokenHash: hashToken(secret),
+      userAgent,
+      ip,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+    await session.save();
+
+    return {
+      session,
+      accessToken: SessionService.signAccessToken(user._id, session._id),
+      refreshToken: `${session._id}.${secret}`
+    };
+  }
+
+  static signAccessToken(userId, sessionId) {
+    return jwt.sign(
+      { userId, sessionId },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  // Verify an access token and make sure its session is still alive
+  static async verifyAccessToken(token) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded.sessionId) {
+      throw new Error('Token has no session');
+    }
+
+    const session = await Session.findById(decoded.sessionId);
+    if (!session || !session.isActive() || session.user.toString() !== decoded.userId.toString()) {
+      throw new Error('Session is no longer active');
+    }
+
+    return { userId: decoded.userId.toString(), sessionId: session._id.toString(), session };
+  }
+
+  // Exchange a refresh token for a new pair, rotating the refresh token
+  static async refresh(refreshToken, { userAgent, ip } = {}) {
+    const [sessionId, secret] = (refreshToken || '').split('.');
+    if (!sessionId || !secret || !mongoose.isValidObjectId(sessionId)) {
+      throw new Error('Invalid refresh token');
+    }
+
+    // Swap the token in one update that only matches the presented one, so of two requests
+    // refreshing with the same token exactly one wins
+    const presentedHash = hashToken(secret);
+    const newSecret = crypto.randomBytes(40).toString('hex');
+    const now = new Date();
+    const update = {
+      previousTokenHash: presentedHash,
+      refreshTokenHash: hashToken(newSecret),
+      lastUsedAt: now
+    };
+    if (userAgent) update.userAgent = userAgent;
+    if (ip) update.ip = ip;
+
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, refreshTokenHash: presentedHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!session) {
+      // A rotated-out token being replayed means it leaked; kill the whole session
+      const current = await Session.findById(sessionId).select('+previousTokenHash');
+      const reused = current && current.isActive() && presentedHash === current.previousTokenHash &&
+        now - current.lastUsedAt > REUSE_GRACE_MS;
+      if (reused) {
+        await SessionService.revokeSession(current._id, 'refresh_token_reuse');
+      }
+      throw new Error('Invalid refresh token');
+    }
+
+    return {
+      session,
+      accessToken: SessionService.signAccessToken(session.user, session._id),
+      refreshToken: `${session._id}.${newSecret}`
+    };
+  }
+
+  // List a user's sessions that can still be used
+  static async listActiveSessions(userId) {
+    return Session.find({
+      user: userId,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+  }
+
+  // Revoke a single session
+  static async revokeSession(sessionId, reason = 'logout', userId = null) {
+    const filter = { _id: sessionId, revokedAt: { $exists: false } };
+    if (userId) filter.user = userId;
+
+    const session = await Session.findOneAndUpdate(
+      filter,
+      { revokedAt: new Date(), revokedReason: reason },
+      { new: true }
+    );
+
+    if (session) {
+      events.emit('revoked', { userId: session.user.toString(), sessionIds: [session._id.toString()] });
+    }
+    return session;
+  }
+
+  // Revoke every session of a user, optionally keeping the current one
+  static async revokeAllForUser(userId, reason = 'logout_all', exceptSessionId = null) {
+    const filter = { user: userId, revokedAt: { $exists: false } };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const sessions = await Session.find(filter).select('_id');
+    if (sessions.length === 0) return 0;
+
+    const sessionIds = sessions.map(session => session._id);
+    await Session.updateMany(
+      { _id: { $in: sessionIds } },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    events.emit('revoked', { userId: userId.toString(), sessionIds: sessionIds.map(id => id.toString()) });
+    return sessionIds.length;
+  }
+}
+
+module.exports = SessionService;
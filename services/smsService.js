@@ -0,0 +1,55 @@
+const TransportService = require('./transportService');
+
+const transport = TransportService.registry({
+  label: 'SMS',
+  envVar: 'SMS_TRANSPORT',
+  transports: {
+    console: TransportService.console('SMS', message => [`To: ${message.to}`, message.text]),
+    file: TransportService.file('SMS_OUTPUT_DIR', 'tmp/sms'),
+
+    // An SMS gateway that accepts { sender, to, text } as JSON
+    http: () => ({
+      async send(message) {
+        const response = await fetch(process.env.SMS_API_URL, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${process.env.SMS_API_KEY}`
+          },
+          body: JSON.stringify(message)
+        });
+        if (!response.ok) {
+          throw new Error(`SMS gateway responded with ${response.status}`);
+        }
+        const result = await response.json().catch(() => ({}));
+        return { id: result.id || result.messageId };
+      }
+    })
+  }
+});
+
+class SmsService {
+  static setTransport(value) {
+    transport.set(value);
+  }
+
+  static getTransport() {
+    return transport.get();
+  }
+
+  // Send a text message through the configured transport
+  static async send({ to, text }) {
+    try {
+      return await SmsService.getTransport().send({
+        sender: process.env.SMS_SENDER || 'JATAYU',
+        to,
+        text
+      });
+    } catch (error) {
+      console.error('Error sending SMS:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = SmsService;
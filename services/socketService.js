@@ -0,0 +1,116 @@
+const SessionService = require('./sessionService');
+
+// userId -> Set of socket ids, so one user can have several tabs/devices open
+const connectedUsers = new Map();
+let io = null;
+
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+class SocketService {
+  // Attach handshake authentication and connection handlers to the Socket.IO server
+  static init(socketServer) {
+    io = socketServer;
+
+    // Reject handshakes that carry an invalid or expired token
+    io.use(async (socket, next) => {
+      const token = socket.handshake.auth && socket.handshake.auth.token;
+      if (!token) {
+        // Older clients authenticate with the 'authenticate' event after connecting
+        return next();
+      }
+
+      try {
+        socket.auth = await SessionService.verifyAccessToken(token);
+        next();
+      } catch (error) {
+        console.error('Socket handshake rejected:', error.message);
+        next(new Error('Authentication error'));
+      }
+    });
+
+    io.on('connection', (socket) => {
+      console.log('New client connected');
+
+      if (socket.auth) {
+        SocketService.registerSocket(socket.auth.userId, socket, socket.auth.sessionId);
+      }
+
+      socket.on('authenticate', async (token) => {
+        try {
+          const { userId, sessionId } = await SessionService.verifyAccessToken(token);
+          SocketService.registerSocket(userId, socket, sessionId);
+        } catch (error) {
+          console.error('Socket authentication error:', error.message);
+          socket.emit('auth_error', { message: 'Invalid or expired token' });
+          socket.disconnect(true);
+        }
+      });
+
+      socket.on('disconnect', () => {
+        SocketService.unregisterSocket(socket);
+      });
+    });
+
+    // Drop live connections as soon as their session is revoked
+    SessionService.events.on('revoked', ({ sessionIds }) => {
+      sessionIds.forEach(sessionId => {
+        io.in(sessionRoom(sessionId)).disconnectSockets(true);
+      });
+    });
+  }
+
+  // Track a socket for a user and join it to the user's and session's rooms
+  static registerSocket(userId, socket, sessionId) {
+    if (socket.userId && socket.userId !== userId) {
+      SocketService.unregisterSocket(socket);
+    }
+
+    socket.userId = userId;
+    socket.join(userRoom(userId));
+    if (sessionId) {
+      socket.join(sessionRoom(sessionId));
+    }
+
+    if (!connectedUsers.has(userId)) {
+      connectedUsers.set(userId, new Set());
+    }
+    connectedUsers.get(userId).add(socket.id);
+
+    socket.emit('authenticated', { userId });
+    console.log(`User ${userId} authenticated`);
+  }
+
+  // Forget a socket once it disconnects
+  static unregisterSocket(socket) {
+    const { userId } = socket;
+    if (!userId || !connectedUsers.has(userId)) return;
+
+    const sockets = connectedUsers.get(userId);
+    sockets.delete(socket.id);
+    socket.leave(userRoom(userId));
+
+    if (sockets.size === 0) {
+      connectedUsers.delete(userId);
+      console.log(`User ${userId} disconnected`);
+    }
+  }
+
+  // Check whether a user has at least one live socket
+  static isOnline(userId) {
+    return connectedUsers.has(userId.toString());
+  }
+
+  // Emit an event to every live socket of a user
+  static emitToUser(userId, event, payload) {
+    if (!io || !userId) return false;
+
+    const id = userId.toString();
+    if (!connectedUsers.has(id)) return false;
+
+    io.to(userRoom(id)).emit(event, payload);
+    return true;
+  }
+}
+
+module.exports = SocketService;
@@ -0,0 +1,357 @@
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const http = require('http');
+
+const uniqueName = (filename) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return uniqueSuffix + path.extname(filename || '').toLowerCase();
+};
+
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+const download = (url) => new Promise((resolve, reject) => {
+  (url.startsWith('https:') ? https : http).get(url, response => {
+    if (response.statusCode !== 200) {
+      response.resume();
+      return reject(new Error(`Download failed with status ${response.statusCode}: ${url}`));
+    }
+    resolve(response);
+  }).on('error', reject);
+});
+
+// HLS playlists name their segments and renditions, so on Cloudinary these go up as raw
+// files under their exact name instead of a generated id
+const NAMED_TYPES = ['application/vnd.apple.mpegurl', 'video/mp2t'];
+
+const localRoot = () => process.env.STORAGE_LOCAL_DIR || 'uploads';
+
+// A key from a saved descriptor must stay inside the upload folder, whatever "../" it holds
+const localPath = (root, key) => {
+  const base = path.resolve(root);
+  const resolved = path.resolve(base, String(key));
+  if (!resolved.startsWith(base + path.sep)) {
+    throw new Error(`Storage key outside the upload folder: ${key}`);
+  }
+  return resolved;
+};
+
+// Each driver stores buffers under a key and can read, delete and link to them again.
+// putFile, when a driver has it, streams a file from disk instead of holding it in memory.
+const drivers = {
+  // Files under uploads/, served by express.static at /uploads
+  local: () => {
+    const root = localRoot();
+    const baseUrl = (process.env.STORAGE_LOCAL_URL || '/uploads').replace(/\/$/, '');
+    const toPath = (key) => localPath(root, key);
+
+    return {
+      async put(key, buffer) {
+        await fs.promises.mkdir(path.dirname(toPath(key)), { recursive: true });
+        await fs.promises.writeFile(toPath(key), buffer);
+        return { url: `${baseUrl}/${key}`, path: path.join(root, key) };
+      },
+      async putFile(key, filePath) {
+        await fs.promises.mkdir(path.dirname(toPath(key)), { recursive: true });
+        await fs.promises.copyFile(filePath, toPath(key));
+        return { url: `${baseUrl}/${key}`, path: path.join(root, key) };
+      },
+      async get(key) {
+        return fs.createReadStream(toPath(key));
+      },
+      async remove(key) {
+        await fs.promises.unlink(toPath(key)).catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+        });
+      }
+    };
+  },
+
+  // Cloudinary keys carry the resource type, which it needs for deletes: "raw/events/reports/abc.pdf"
+  cloudinary: () => {
+    const cloudinary = require('cloudinary').v2;
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET
+    });
+    const splitKey = (key) => {
+      const [resourceType, ...rest] = key.split('/');
+      return { resourceType, publicId: rest.join('/') };
+    };
+    const uploadOptions = (key, mimetype) => {
+      let resourceType = 'raw';
+      if (!NAMED_TYPES.includes(mimetype)) {
+        if (mimetype.startsWith('image/')) resourceType = 'image';
+        if (mimetype.startsWith('video/') || mimetype.startsWith('audio/')) resourceType = 'video';
+      }
+      return {
+        folder: path.posix.dirname(key),
+        resource_type: resourceType,
+        access_mode: 'public',
+        // Raw files keep their extension so downloads open with the right program
+        ...(resourceType === 'raw' ? { public_id: path.posix.basename(key) } : {}),
+        type: 'upload'
+      };
+    };
+    // Cloudinary chooses its own ids, so the key is only known after the upload
+    const stored = (result) => ({
+      key: `${result.resource_type}/${result.public_id}`,
+      url: result.secure_url,
+      publicId: result.public_id
+    });
+
+    return {
+      async put(key, buffer, { mimetype }) {
+        const result = await new Promise((resolve, reject) => {
+          const stream = cloudinary.uploader.upload_stream(
+            uploadOptions(key, mimetype),
+            (error, uploaded) => (error ? reject(error) : resolve(uploaded))
+          );
+          stream.end(buffer);
+        });
+        return stored(result);
+      },
+      // Large files go up in parts
+      async putFile(key, filePath, { mimetype }) {
+        const result = await new Promise((resolve, reject) => {
+          cloudinary.uploader.upload_large(
+            filePath,
+            { ...uploadOptions(key, mimetype), chunk_size: 20 * 1024 * 1024 },
+            (error, uploaded) => (error ? reject(error) : resolve(uploaded))
+          );
+        });
+        return stored(result);
+      },
+      async get(key) {
+        const { resourceType, publicId } = splitKey(key);
+        return download(cloudinary.url(publicId, { resource_type: resourceType, secure: true }));
+      },
+      async remove(key) {
+        const { resourceType, publicId } = splitKey(key);
+        await cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+      }
+    };
+  },
+
+  // Any S3 API: AWS, or MinIO locally with S3_ENDPOINT=http://localhost:9000 and S3_FORCE_PATH_STYLE=true
+  s3: () => {
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+      throw new Error('S3_BUCKET is not configured');
+    }
+    const endpoint = process.env.S3_ENDPOINT;
+    const forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true';
+    const client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint,
+      forcePathStyle,
+      credentials: process.env.S3_ACCESS_KEY_ID ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      } : undefined
+    });
+
+    let baseUrl = process.env.S3_PUBLIC_URL;
+    if (!baseUrl) {
+      baseUrl = endpoint
+        ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+        : `https://${bucket}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`;
+    }
+
+    const putObject = async (key, body, length, { mimetype, filename }) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: mimetype,
+        ContentLength: length,
+        ContentDisposition: filename ? `inline; filename*=UTF-8''${encodeURIComponent(filename)}` : undefined
+      }));
+      return { url: `${baseUrl.replace(/\/$/, '')}/${key}` };
+    };
+
+    return {
+      async put(key, buffer, meta) {
+        return putObject(key, buffer, buffer.length, meta);
+      },
+      async putFile(key, filePath, meta) {
+        const { size } = await fs.promises.stat(filePath);
+        return putObject(key, fs.createReadStream(filePath), size, meta);
+      },
+      async get(key) {
+        const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return result.Body;
+      },
+      async remove(key) {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      }
+    };
+  }
+};
+
+const instances = {};
+
+// The descriptor saved on the models for a stored file
+const describe = (driver, key, stored, file, size) => {
+  const descriptor = {
+    storage: driver,
+    key: stored.key || key,
+    url: stored.url,
+    filename: file.originalname,
+    mimetype: file.mimetype,
+    size
+  };
+  if (stored.path) descriptor.path = stored.path;
+  if (stored.publicId) descriptor.publicId = stored.publicId;
+  return descriptor;
+};
+
+class StorageService {
+  static get DRIVERS() {
+    return Object.keys(drivers);
+  }
+
+  // Driver for new uploads, from STORAGE_DRIVER (local by default)
+  static get defaultDriver() {
+    return process.env.STORAGE_DRIVER || 'local';
+  }
+
+  static getDriver(name = StorageService.defaultDriver) {
+    if (!instances[name]) {
+      if (!drivers[name]) {
+        throw new Error(`Unknown storage driver: ${name}`);
+      }
+      instances[name] = drivers[name]();
+    }
+    return instances[name];
+  }
+
+  // Replace a driver, e.g. with an in-memory one in tests
+  static setDriver(name, driver) {
+    instances[name] = driver;
+  }
+
+  // Store a multer file (memory storage) and return the descriptor saved on the models:
+  // { storage, key, url, filename, mimetype, size } plus path for local files
+  static async save(file, { folder, driver = StorageService.defaultDriver } = {}) {
+    const buffer = file.buffer || await fs.promises.readFile(file.path);
+    const key = path.posix.join(folder || 'misc', uniqueName(file.originalname));
+    const stored = await StorageService.getDriver(driver).put(key, buffer, {
+      mimetype: file.mimetype,
+      filename: file.originalname
+    });
+    return describe(driver, key, stored, file, file.size !== undefined ? file.size : buffer.length);
+  }
+
+  // Store a file from disk without reading it into memory, for large media.
+  // file is { path, originalname, mimetype, size } like a multer disk upload.
+  static async saveFile(file, { folder, driver = StorageService.defaultDriver } = {}) {
+    const key = path.posix.join(folder || 'misc', uniqueName(file.originalname));
+    return StorageService.saveFileAt(file, key, { driver });
+  }
+
+  // Store a file from disk under an exact key, for sets of files that link to each other
+  // by relative name (HLS playlists and their segments)
+  static async saveFileAt(file, key, { driver = StorageService.defaultDriver } = {}) {
+    const storage = StorageService.getDriver(driver);
+    const meta = { mimetype: file.mimetype, filename: file.originalname };
+    const stored = storage.putFile
+      ? await storage.putFile(key, file.path, meta)
+      : await storage.put(key, await fs.promises.readFile(file.path), meta);
+    return describe(driver, key, stored, file, file.size);
+  }
+
+  // Save several files, undoing the ones already stored if any of them fails.
+  // save can be swapped for one that stores derived files too, like ImageService.save.
+  static async saveAll(files, options, save = StorageService.save) {
+    const saved = [];
+    try {
+      for (const file of files || []) {
+        saved.push(await save(file, options));
+      }
+      return saved;
+    } catch (error) {
+      await StorageService.removeAll(saved);
+      throw error;
+    }
+  }
+
+  // Where a descriptor lives; files saved before this service only have path or publicId
+  static locate(file) {
+    if (file.storage && file.key) {
+      return { storage: file.storage, key: file.key };
+    }
+    if (file.publicId) {
+      // Older event uploads: images were image resources, reports raw
+      const resourceType = file.mimetype && !file.mimetype.startsWith('image/') ? 'raw' : 'image';
+      return { storage: 'cloudinary', key: `${resourceType}/${file.publicId}` };
+    }
+    if (file.path) {
+      return { storage: 'local', key: path.relative(path.resolve(localRoot()), path.resolve(file.path)).split(path.sep).join('/') };
+    }
+    return null;
+  }
+
+  // Stable identity of a stored file, for comparing descriptors
+  static fileId(file) {
+    const location = StorageService.locate(file);
+    return location ? `${location.storage}:${location.key}` : null;
+  }
+
+  // Where a local file is on disk, checked to be inside the upload folder; null for other drivers
+  static localPath(file) {
+    const location = StorageService.locate(file);
+    if (!location || location.storage !== 'local') return null;
+    return localPath(localRoot(), location.key);
+  }
+
+  static async open(file) {
+    const location = StorageService.locate(file);
+    if (!location) throw new Error('File has no storage location');
+    return StorageService.getDriver(location.storage).get(location.key);
+  }
+
+  static async read(file) {
+    return streamToBuffer(await StorageService.open(file));
+  }
+
+  // Removes files made from this one (resized images, transcoded media) along with it
+  static async remove(file) {
+    const made = [...(file.variants || []), ...(file.derived || [])];
+    await Promise.all(made.map(variant => StorageService.remove(variant)));
+    const location = StorageService.locate(file);
+    if (!location) return;
+    try {
+      await StorageService.getDriver(location.storage).remove(location.key);
+    } catch (error) {
+      // A file that cannot be deleted should not fail the request that dropped it
+      console.error('Error deleting file:', error);
+    }
+  }
+
+  static async removeAll(files) {
+    await Promise.all((files || []).map(file => StorageService.remove(file)));
+  }
+
+  // Copy a stored file into another driver and return its new descriptor; the original is left in place
+  static async copy(file, driver) {
+    const buffer = await StorageService.read(file);
+    const location = StorageService.locate(file);
+    return StorageService.save({
+      buffer,
+      originalname: file.filename || path.posix.basename(location.key),
+      mimetype: file.mimetype || 'application/octet-stream',
+      size: buffer.length
+    }, { folder: path.posix.dirname(location.key.replace(/^(image|video|raw)\//, '')), driver });
+  }
+}
+
+module.exports = StorageService;
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const PdfService = require('./pdfService');
+const MailService = require('./mailService');
+const { PUBLIC_API_URL } = require('../config');
+
+const TICKET_PREFIX = 'JTK1';
+
+const getSecret = () => process.env.TICKET_SECRET || process.env.JWT_SECRET;
+
+const sign = (registrationId, eventId) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`${registrationId}:${eventId}`)
+  .digest('base64url');
+
+class TicketService {
+  // Signed code printed in the QR image; it identifies the registration and its event
+  static getTicketCode(registration) {
+    const registrationId = registration._id.toString();
+    const eventId = (registration.event._id || registration.event).toString();
+    return `${TICKET_PREFIX}.${registrationId}.${eventId}.${sign(registrationId, eventId)}`;
+  }
+
+  // Check the signature of a scanned code; returns null for malformed or forged codes
+  static parseTicketCode(code) {
+    const parts = (code || '').trim().split('.');
+    if (parts.length !== 4 || parts[0] !== TICKET_PREFIX) return null;
+
+    const [, registrationId, eventId, signature] = parts;
+    const expected = Buffer.from(sign(registrationId, eventId));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return { registrationId, eventId };
+  }
+
+  // Public link to the ticket; the signed code itself is the credential
+  static getTicketUrl(registration, format = 'pdf') {
+    return `${PUBLIC_API_URL}/event-registrations/ticket/${encodeURIComponent(TicketService.getTicketCode(registration))}?format=${format}`;
+  }
+
+  // Email the registrant a link to their ticket
+  static async sendTicket(registration, event) {
+    const link = TicketService.getTicketUrl(registration);
+    return MailService.send({
+      to: registration.email,
+      subject: `Your ticket for ${event.title}`,
+      text: `Hello ${registration.name},\n\nYour registration for "${event.title}" has been approved. Download your ticket and show the QR code at the venue:\n${link}`
+    });
+  }
+
+  static renderQrPng(code) {
+    return QRCode.toBuffer(code, { type: 'png', width: 400, margin: 2 });
+  }
+
+  // Printable A6 ticket with the QR code and event details
+  static async renderTicketPdf(registration, event) {
+    const code = TicketService.getTicketCode(registration);
+    const qrDataUrl = await QRCode.toDataURL(code, { width: 400, margin: 1 });
+
+    return PdfService.render(({ Document, Page, View, Text, Image, StyleSheet, h }) => {
+      const styles = StyleSheet.create({
+        page: { padding: 24, fontSize: 11, fontFamily: 'Helvetica' },
+        heading: { fontSize: 16, marginBottom: 4, fontFamily: 'Helvetica-Bold' },
+        muted: { color: '#555555', marginBottom: 2 },
+        qr: { width: 180, height: 180, marginVertical: 12, alignSelf: 'center' },
+        footer: { fontSize: 8, color: '#777777', textAlign: 'center' }
+      });
+
+      return h(Document, { title: `Ticket - ${event.title}` },
+        h(Page, { size: 'A6', style: styles.page },
+          h(Text, { style: styles.heading }, event.title),
+          h(Text, { style: styles.muted }, new Date(event.date).toDateString() + (event.time ? ` ${event.time}` : '')),
+          h(Text, { style: styles.muted }, `${event.location}, ${event.district}`),
+          h(Image, { src: qrDataUrl, style: styles.qr }),
+          h(View, null,
+            h(Text, null, registration.name),
+            h(Text, { style: styles.muted }, `${registration.village}, ${registration.taluka}`)
+          ),
+          h(Text, { style: styles.footer }, `Ticket ${registration._id}`)
+        )
+      );
+    });
+  }
+}
+
+module.exports = TicketService;
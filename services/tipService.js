@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const Tip = require('../models/Tip');
+
+// No 0/O or 1/I so case numbers can be read out over the phone
+const CASE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateCaseNumber = () => {
+  const chars = Array.from(crypto.randomBytes(8), byte => CASE_ALPHABET[byte % CASE_ALPHABET.length]).join('');
+  return `TIP-${new Date().getFullYear()}-${chars}`;
+};
+
+class TipService {
+  // Create a tip and return it with the secret token the reporter needs to check its status
+  static async submit(data) {
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+
+    const tip = new Tip({
+      ...data,
+      caseNumber: generateCaseNumber(),
+      accessTokenHash: hashToken(accessToken)
+    });
+    tip.audit('submitted', null, { to: 'new' });
+    await tip.save();
+
+    return { tip, accessToken };
+  }
+
+  // Look up a tip for its anonymous reporter; null unless the token matches
+  static async findForReporter(caseNumber, accessToken) {
+    const tip = await Tip.findOne({ caseNumber: String(caseNumber).trim().toUpperCase() }).select('+accessTokenHash');
+    if (!tip || !accessToken) return null;
+
+    const expected = Buffer.from(tip.accessTokenHash);
+    const actual = Buffer.from(hashToken(String(accessToken).trim()));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+    return tip;
+  }
+}
+
+module.exports = TipService;
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const path = require('path');
+
+// Plumbing shared by the outgoing message services (mail, SMS). A transport has
+// send(message) and resolves with { id }; the service picks one by name from its env variable.
+class TransportService {
+  // Development transport: print the message to the server log, framed by a header line
+  static console(label, lines) {
+    return () => ({
+      async send(message) {
+        const header = `--- Outgoing ${label} ---`;
+        console.log(header);
+        lines(message).forEach(line => console.log(line));
+        console.log('-'.repeat(header.length));
+        return { id: `console-${Date.now()}` };
+      }
+    });
+  }
+
+  // One JSON file per message, so tests and local setups can read them back
+  static file(envVar, defaultDir) {
+    return () => {
+      const outputDir = process.env[envVar] || defaultDir;
+      return {
+        async send(message) {
+          await fs.promises.mkdir(outputDir, { recursive: true });
+          const id = `${Date.now()}-${Math.round(Math.random() * 1E9)}`;
+          const filePath = path.join(outputDir, `${id}.json`);
+          await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+          return { id, path: filePath };
+        }
+      };
+    };
+  }
+
+  // Holds the active transport of one service, built on first use from the named factory.
+  // defaultName() is used when the env variable is empty; returning nothing throws missingMessage.
+  static registry({ label, envVar, transports, defaultName = () => 'console', missingMessage }) {
+    let active = null;
+    return {
+      set(transport) {
+        active = transport;
+      },
+      get() {
+        if (!active) {
+          const name = process.env[envVar] || defaultName();
+          if (!name) {
+            throw new Error(missingMessage || `${envVar} must be set`);
+          }
+          if (!transports[name]) {
+            throw new Error(`Unknown ${label} transport: ${name}`);
+          }
+          active = transports[name]();
+        }
+        return active;
+      }
+    };
+  }
+}
+
+module.exports = TransportService;
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const QuarantinedFile = require('../models/QuarantinedFile');
+const FileTypeService = require('./fileTypeService');
+const VirusScanService = require('./virusScanService');
+
+const MESSAGES = {
+  unrecognised: 'File type could not be recognised',
+  type_not_allowed: 'File type is not allowed here',
+  type_mismatch: 'File content does not match its type',
+  infected: 'File failed the virus scan'
+};
+
+const uploadError = (reason, file) => {
+  const error = new Error(MESSAGES[reason]);
+  error.name = 'UploadRejectedError';
+  error.reason = reason;
+  error.file = file.originalname;
+  return error;
+};
+
+// Files on disk up to this size are read whole for type detection (a .docx is recognised by
+// entries anywhere in the zip); larger ones only by their first bytes
+const FULL_READ_LIMIT = 32 * 1024 * 1024;
+const HEAD_SIZE = 1024 * 1024;
+
+// Multer keeps files in memory or on disk depending on the router; resumable uploads are on disk
+const headOf = async (file) => {
+  if (file.buffer) return file.buffer;
+  const { size } = await fs.promises.stat(file.path);
+  if (size <= FULL_READ_LIMIT) return fs.promises.readFile(file.path);
+
+  const handle = await fs.promises.open(file.path, 'r');
+  try {
+    const head = Buffer.alloc(HEAD_SIZE);
+    const { bytesRead } = await handle.read(head, 0, HEAD_SIZE, 0);
+    return head.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+const sha256Of = async (file) => {
+  const hash = crypto.createHash('sha256');
+  if (file.buffer) return hash.update(file.buffer).digest('hex');
+  for await (const chunk of fs.createReadStream(file.path)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+};
+
+class UploadCheckService {
+  // Folder for refused uploads; never served, and outside uploads/
+  static get quarantineDir() {
+    return process.env.QUARANTINE_DIR || 'storage/quarantine';
+  }
+
+  static message(reason) {
+    return MESSAGES[reason];
+  }
+
+  // Why a file should be refused, or null when it is acceptable.
+  // allowed is the list of types accepted for the file's form field.
+  static async inspect(file, allowed) {
+    const detectedType = FileTypeService.detect(await headOf(file));
+
+    let reason = null;
+    let signature = null;
+    if (!detectedType) {
+      reason = 'unrecognised';
+    } else if (!allowed.includes(detectedType)) {
+      reason = 'type_not_allowed';
+    } else if (detectedType !== file.mimetype) {
+      reason = 'type_mismatch';
+    } else {
+      const result = await VirusScanService.scan(file.buffer || fs.createReadStream(file.path));
+      if (!result.clean) {
+        reason = 'infected';
+        signature = result.signature;
+      }
+    }
+
+    return { detectedType, reason, signature };
+  }
+
+  // Move a refused file out of the way and record why
+  static async quarantine(file, { detectedType, reason, signature }, req) {
+    const sha256 = await sha256Of(file);
+    // No original extension, so nothing can open or execute it by name
+    const name = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}.bin`;
+    const filePath = path.join(UploadCheckService.quarantineDir, name);
+
+    await fs.promises.mkdir(UploadCheckService.quarantineDir, { recursive: true });
+    if (file.buffer) {
+      await fs.promises.writeFile(filePath, file.buffer, { mode: 0o600 });
+    } else {
+      await fs.promises.copyFile(file.path, filePath);
+      await fs.promises.chmod(filePath, 0o600);
+      await fs.promises.unlink(file.path).catch(() => {});
+    }
+    const { size } = await fs.promises.stat(filePath);
+
+    const entry = await QuarantinedFile.create({
+      reason,
+      field: file.fieldname,
+      originalName: file.originalname,
+      declaredType: file.mimetype,
+      detectedType,
+      signature,
+      size,
+      sha256,
+      path: filePath,
+      route: req ? `${req.method} ${req.originalUrl}` : undefined,
+      ip: req ? req.ip : undefined,
+      uploadedBy: req && req.user ? req.user._id : undefined
+    });
+
+    console.warn(`Upload quarantined (${reason}${signature ? `: ${signature}` : ''}): ${file.originalname} ` +
+      `declared ${file.mimetype}, detected ${detectedType || 'unknown'}, sha256 ${sha256}, entry ${entry._id}`);
+    return entry;
+  }
+
+  // Check every file of a request against the types allowed per field.
+  // Refused files are quarantined and an UploadRejectedError is thrown for the first of them.
+  static async check(files, rules, req) {
+    let rejection = null;
+    for (const file of files) {
+      const result = await UploadCheckService.inspect(file, rules[file.fieldname] || []);
+      if (result.reason) {
+        await UploadCheckService.quarantine(file, result, req);
+        rejection = rejection || uploadError(result.reason, file);
+      }
+    }
+    if (rejection) throw rejection;
+  }
+
+  static async removeQuarantined(entry) {
+    await fs.promises.unlink(entry.path).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+    await entry.deleteOne();
+  }
+}
+
+module.exports = UploadCheckService;
@@ -0,0 +1,352 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const UploadSession = require('../models/UploadSession');
+const StorageService = require('./storageService');
+const UploadCheckService = require('./uploadCheckService');
+const JobService = require('./jobService');
+
+const TEMP_DIR = process.env.UPLOAD_TEMP_DIR || 'storage/upload-sessions';
+const MAX_FILE_SIZE = parseInt(process.env.RESUMABLE_UPLOAD_MAX_SIZE || String(2 * 1024 * 1024 * 1024));
+// Suggested to clients; chunks may be smaller, never larger than MAX_CHUNK_SIZE
+const CHUNK_SIZE = 5 * 1024 * 1024;
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+// Attached sessions are only a record by then; the file belongs to the initiative or event
+const ATTACHED_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const LOCK_MS = 60 * 1000;
+// Checking and storing a large file takes a while; a finalize that outlives this is taken as crashed
+const FINALIZE_LOCK_MS = 30 * 60 * 1000;
+const CLEANUP_INTERVAL_MS = parseInt(process.env.UPLOAD_CLEANUP_INTERVAL_MS || String(60 * 60 * 1000));
+
+const MEDIA_TYPES = [
+  'video/mp4',
+  'audio/mpeg',
+  'audio/wav',
+  'audio/ogg',
+  'audio/aac',
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+
+// Types accepted for each purpose; images stay on the regular form upload, which resizes them
+const ALLOWED_TYPES = {
+  initiative: MEDIA_TYPES,
+  event: MEDIA_TYPES
+};
+
+const FOLDERS = {
+  initiative: 'initiatives',
+  event: 'events/media'
+};
+
+const uploadError = (message, status = 409, details = {}) => {
+  const error = new Error(message);
+  error.name = 'UploadSessionError';
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+};
+
+const expiry = (ms = SESSION_TTL_MS) => new Date(Date.now() + ms);
+
+const removeTemp = async (session) => {
+  if (!session.tempPath) return;
+  await fs.promises.unlink(session.tempPath).catch(error => {
+    if (error.code !== 'ENOENT') console.error('Error deleting upload chunk file:', error);
+  });
+};
+
+// "sha256 <base64 digest>" as in the tus checksum extension
+const parseChecksum = (header) => {
+  const [algorithm, digest] = String(header || '').trim().split(/\s+/);
+  if (algorithm !== 'sha256' || !digest) {
+    throw uploadError('Each chunk needs an Upload-Checksum header: sha256 <base64 digest>', 400);
+  }
+  return digest;
+};
+
+// The same upload being finished by another request, reported with its state
+const finalizingError = (session) => uploadError(
+  'Upload is being checked and stored; ask again shortly',
+  409,
+  { offset: session.offset, uploadStatus: 'finalizing' }
+);
+
+class UploadSessionService {
+  static get CHUNK_SIZE() {
+    return CHUNK_SIZE;
+  }
+
+  static get MAX_CHUNK_SIZE() {
+    return MAX_CHUNK_SIZE;
+  }
+
+  static get MAX_FILE_SIZE() {
+    return MAX_FILE_SIZE;
+  }
+
+  static allowedTypes(purpose) {
+    return ALLOWED_TYPES[purpose] || [];
+  }
+
+  static async create(user, { purpose, filename, mimetype, size, checksum }) {
+    if (!UploadSessionService.allowedTypes(purpose).includes(mimetype)) {
+      throw uploadError('This file type cannot be uploaded here', 400);
+    }
+    if (size > MAX_FILE_SIZE) {
+      throw uploadError(`Files can be at most ${Math.floor(MAX_FILE_SIZE / (1024 * 1024))} MB`, 413);
+    }
+
+    const session = new UploadSession({
+      owner: user._id,
+      purpose,
+      filename: path.basename(filename),
+      mimetype,
+      size,
+      checksum: checksum ? checksum.toLowerCase() : undefined,
+      expiresAt: expiry()
+    });
+    session.tempPath = path.join(TEMP_DIR, `${session._id}.part`);
+
+    await fs.promises.mkdir(TEMP_DIR, { recursive: true });
+    await fs.promises.writeFile(session.tempPath, Buffer.alloc(0));
+    await session.save();
+    return session;
+  }
+
+  // Sessions are private to whoever started them
+  static async findForOwner(id, user) {
+    const session = await UploadSession.findOne({ _id: id, owner: user._id });
+    if (!session) {
+      throw uploadError('Upload not found', 404);
+    }
+    return session;
+  }
+
+  // Write one chunk at the given offset. Retrying a chunk after a dropped connection is safe:
+  // the client asks for the current offset (HEAD) and sends from there.
+  static async appendChunk(session, { offset, chunk, checksum }, req) {
+    if (session.status === 'finalizing') {
+      throw finalizingError(session);
+    }
+    if (session.status !== 'uploading') {
+      throw uploadError(`Upload is already ${session.status}`, 409, { uploadStatus: session.status });
+    }
+    if (offset !== session.offset) {
+      throw uploadError('Upload-Offset does not match the bytes received', 409, { offset: session.offset });
+    }
+    if (offset + chunk.length > session.size) {
+      throw uploadError('Chunk goes past the declared file size', 400);
+    }
+
+    // An empty chunk at the end retries checking and storing a complete file
+    if (chunk.length === 0) {
+      if (offset === session.size) {
+        return UploadSessionService.finalize(session, req);
+      }
+      return session;
+    }
+
+    const digest = parseChecksum(checksum);
+    if (crypto.createHash('sha256').update(chunk).digest('base64') !== digest) {
+      throw uploadError('Chunk checksum does not match', 460);
+    }
+
+    const now = new Date();
+    const locked = await UploadSession.findOneAndUpdate(
+      {
+        _id: session._id,
+        status: 'uploading',
+        offset,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+      },
+      { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+      { new: true }
+    );
+    if (!locked) {
+      throw uploadError('Another chunk for this upload is being written', 409);
+    }
+
+    let updated;
+    try {
+      const handle = await fs.promises.open(locked.tempPath, 'r+');
+      try {
+        await handle.write(chunk, 0, chunk.length, offset);
+      } finally {
+        await handle.close();
+      }
+      updated = await UploadSession.findByIdAndUpdate(
+        locked._id,
+        { $set: { offset: offset + chunk.length, expiresAt: expiry() }, $unset: { lockedUntil: '' } },
+        { new: true }
+      );
+    } catch (error) {
+      await UploadSession.updateOne({ _id: locked._id }, { $unset: { lockedUntil: '' } });
+      throw error;
+    }
+
+    if (updated.offset === updated.size) {
+      return UploadSessionService.finalize(updated, req);
+    }
+    return updated;
+  }
+
+  // All bytes are in: verify, check the content, and move the file to storage.
+  // The session moves to finalizing first, in one update, so a retry sent meanwhile is told
+  // to wait rather than storing the file a second time.
+  static async finalize(uploaded, req) {
+    const now = new Date();
+    const session = await UploadSession.findOneAndUpdate(
+      {
+        _id: uploaded._id,
+        offset: uploaded.size,
+        $or: [
+          { status: 'uploading', $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }] },
+          { status: 'finalizing', lockedUntil: { $lt: now } }
+        ]
+      },
+      { $set: { status: 'finalizing', lockedUntil: new Date(now.getTime() + FINALIZE_LOCK_MS), expiresAt: expiry() } },
+      { new: true }
+    );
+    if (!session) {
+      const current = await UploadSession.findById(uploaded._id);
+      if (!current) throw uploadError('Upload not found', 404);
+      // Finished by the request this one retried
+      if (current.status === 'complete') return current;
+      if (current.status === 'finalizing') throw finalizingError(current);
+      if (current.status === 'uploading') throw uploadError('Another chunk for this upload is being written', 409);
+      throw uploadError(`Upload is already ${current.status}`, 409, { uploadStatus: current.status });
+    }
+
+    try {
+      return await UploadSessionService.store(session, req);
+    } catch (error) {
+      // Anything short of a rejected file can be retried with an empty chunk
+      await UploadSession.updateOne(
+        { _id: session._id, status: 'finalizing' },
+        { $set: { status: 'uploading' }, $unset: { lockedUntil: '' } }
+      );
+      throw error;
+    }
+  }
+
+  static async store(session, req) {
+    const file = {
+      path: session.tempPath,
+      originalname: session.filename,
+      mimetype: session.mimetype,
+      size: session.size,
+      fieldname: session.purpose
+    };
+
+    if (session.checksum) {
+      const hash = crypto.createHash('sha256');
+      for await (const chunk of fs.createReadStream(session.tempPath)) {
+        hash.update(chunk);
+      }
+      if (hash.digest('hex') !== session.checksum) {
+        await UploadSessionService.fail(session, 'Checksum of the assembled file does not match');
+        throw uploadError('Checksum of the assembled file does not match', 460);
+      }
+    }
+
+    // A ScanUnavailableError leaves the session as it is, so an empty chunk can retry later
+    const result = await UploadCheckService.inspect(file, UploadSessionService.allowedTypes(session.purpose));
+    if (result.reason) {
+      await UploadCheckService.quarantine(file, result, req);
+      const message = UploadCheckService.message(result.reason);
+      await UploadSessionService.fail(session, message);
+      throw uploadError(message, 400);
+    }
+
+    const descriptor = await StorageService.saveFile(file, { folder: FOLDERS[session.purpose] });
+    await removeTemp(session);
+
+    session.status = 'complete';
+    session.file = descriptor;
+    session.expiresAt = expiry();
+    session.lockedUntil = undefined;
+    await session.save();
+    return session;
+  }
+
+  static async fail(session, message) {
+    await removeTemp(session);
+    session.status = 'failed';
+    session.error = message;
+    session.lockedUntil = undefined;
+    await session.save();
+  }
+
+  // Take finished uploads for an initiative or event being saved; their files then belong to it.
+  // Returns the storage descriptors in the order given.
+  static async claim(ids, user, purpose) {
+    const claimed = [];
+    try {
+      for (const id of ids) {
+        const session = await UploadSession.findOneAndUpdate(
+          { _id: id, owner: user._id, purpose, status: 'complete' },
+          { $set: { status: 'attached', expiresAt: expiry(ATTACHED_TTL_MS) } },
+          { new: true }
+        );
+        if (!session) {
+          throw uploadError(`Upload ${id} is not a finished upload of yours`, 400);
+        }
+        claimed.push(session);
+      }
+    } catch (error) {
+      await UploadSessionService.release(claimed.map(session => session._id));
+      throw error;
+    }
+    return claimed.map(session => session.file);
+  }
+
+  // Undo a claim when saving the initiative or event failed
+  static async release(ids) {
+    if (!ids || ids.length === 0) return;
+    await UploadSession.updateMany(
+      { _id: { $in: ids }, status: 'attached' },
+      { $set: { status: 'complete', expiresAt: expiry() } }
+    );
+  }
+
+  // Abandon an upload and remove whatever it stored
+  static async cancel(session) {
+    if (session.status === 'attached') {
+      throw uploadError('This upload is already attached; remove the file from its initiative or event instead');
+    }
+    if (session.status === 'finalizing' && session.lockedUntil > new Date()) {
+      throw finalizingError(session);
+    }
+    await removeTemp(session);
+    if (session.status === 'complete' && session.file) {
+      await StorageService.remove(session.file);
+    }
+    await session.deleteOne();
+  }
+
+  static async removeExpired(now = new Date()) {
+    const sessions = await UploadSession.find({ expiresAt: { $lte: now } });
+    for (const session of sessions) {
+      try {
+        if (session.status === 'attached') {
+          await session.deleteOne();
+        } else {
+          await UploadSessionService.cancel(session);
+        }
+      } catch (error) {
+        console.error(`Error removing expired upload ${session._id}:`, error);
+      }
+    }
+    return sessions.length;
+  }
+
+  static startCleanup(intervalMs = CLEANUP_INTERVAL_MS) {
+    JobService.register('uploads.cleanup', () => UploadSessionService.removeExpired(), { concurrency: 1 });
+    return JobService.every('uploads.cleanup', intervalMs);
+  }
+}
+
+module.exports = UploadSessionService;
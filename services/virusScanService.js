@@ -0,0 +1,137 @@
+const net = require('net');
+
+// The standard antivirus test string; harmless, but every scanner reports it.
+// Built from two halves so this source file is not itself flagged.
+const EICAR = ['X5O!P%@AP[4\\PZX54(P^)7CC)7}$', 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*'].join('');
+
+const scanError = (message) => {
+  const error = new Error(message);
+  error.name = 'ScanUnavailableError';
+  return error;
+};
+
+// Files on disk are scanned as streams so large media is never held in memory
+const toBuffer = async (content) => {
+  if (Buffer.isBuffer(content)) return content;
+  const chunks = [];
+  for await (const chunk of content) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+// Scanners take a buffer or readable stream and resolve to { clean, signature }
+const scanners = {
+  // No scanning; for local development without ClamAV
+  none: () => ({
+    async scan() {
+      return { clean: true, signature: null };
+    }
+  }),
+
+  // Flags the EICAR test string, so tests can exercise the rejection path without ClamAV
+  mock: () => ({
+    async scan(content) {
+      const infected = (await toBuffer(content)).includes(EICAR);
+      return { clean: !infected, signature: infected ? 'Eicar-Test-Signature' : null };
+    }
+  }),
+
+  // clamd over TCP with the INSTREAM command. Large media needs StreamMaxLength raised in clamd.conf.
+  clamav: () => {
+    const host = process.env.CLAMAV_HOST || '127.0.0.1';
+    const port = parseInt(process.env.CLAMAV_PORT || '3310');
+    const timeout = parseInt(process.env.CLAMAV_TIMEOUT_MS || '30000');
+    const chunkSize = 64 * 1024;
+
+    return {
+      scan(content) {
+        return new Promise((resolve, reject) => {
+          const socket = net.createConnection({ host, port });
+          let reply = '';
+
+          socket.setTimeout(timeout, () => {
+            socket.destroy();
+            reject(scanError('ClamAV did not answer in time'));
+          });
+          socket.on('error', error => reject(scanError(`ClamAV is unavailable: ${error.message}`)));
+          socket.on('data', data => {
+            reply += data.toString();
+          });
+          socket.on('end', () => {
+            // "stream: OK" or "stream: <signature> FOUND"
+            const result = reply.replace(/\0/g, '').trim();
+            if (/: OK$/.test(result)) {
+              resolve({ clean: true, signature: null });
+            } else if (/ FOUND$/.test(result)) {
+              resolve({ clean: false, signature: result.replace(/^.*?: /, '').replace(/ FOUND$/, '') });
+            } else {
+              reject(scanError(`Unexpected ClamAV reply: ${result}`));
+            }
+          });
+
+          const writeChunk = (chunk) => {
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(chunk.length);
+            socket.write(length);
+            return socket.write(chunk);
+          };
+
+          socket.on('connect', async () => {
+            try {
+              socket.write('zINSTREAM\0');
+              if (Buffer.isBuffer(content)) {
+                for (let offset = 0; offset < content.length; offset += chunkSize) {
+                  writeChunk(content.subarray(offset, offset + chunkSize));
+                }
+              } else {
+                for await (const chunk of content) {
+                  // Wait for the socket to drain rather than buffering the whole file
+                  if (!writeChunk(chunk)) {
+                    await new Promise(drained => socket.once('drain', drained));
+                  }
+                }
+              }
+              socket.write(Buffer.alloc(4));
+            } catch (error) {
+              socket.destroy();
+              reject(error);
+            }
+          });
+        });
+      }
+    };
+  }
+};
+
+let activeScanner = null;
+
+class VirusScanService {
+  static get EICAR() {
+    return EICAR;
+  }
+
+  // Replace the scanner, e.g. with an in-memory one in tests
+  static setScanner(scanner) {
+    activeScanner = scanner;
+  }
+
+  static getScanner() {
+    if (!activeScanner) {
+      const name = process.env.VIRUS_SCANNER || 'none';
+      if (!scanners[name]) {
+        throw new Error(`Unknown virus scanner: ${name}`);
+      }
+      activeScanner = scanners[name]();
+    }
+    return activeScanner;
+  }
+
+  // { clean, signature } for a buffer or readable stream;
+  // throws ScanUnavailableError when the scanner cannot be reached
+  static async scan(content) {
+    return VirusScanService.getScanner().scan(content);
+  }
+}
+
+module.exports = VirusScanService;
@@ -0,0 +1,74 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const SessionService = require('../services/sessionService');
+
+const id = () => new mongoose.Types.ObjectId();
+
+const DISTRICT = id();
+const OTHER_DISTRICT = id();
+const TALUKA = id();
+const OTHER_TALUKA = id();
+
+// One user per role; the block officer covers one district and one taluka in it
+const users = {
+  admin: { _id: id(), role: 'admin', name: 'Admin' },
+  official: { _id: id(), role: 'Official_member', name: 'Official' },
+  officer: {
+    _id: id(),
+    role: 'block_officer',
+    name: 'Officer',
+    district: 'Pune',
+    districtArea: DISTRICT,
+    talukaAreas: [TALUKA]
+  },
+  public: { _id: id(), role: 'public', name: 'Public' }
+};
+
+// Replace methods on an object for one test; restore() puts them back
+const stubs = () => {
+  const saved = [];
+  return {
+    stub(target, name, value) {
+      saved.push([target, name, target[name]]);
+      target[name] = value;
+    },
+    restore() {
+      while (saved.length) {
+        const [target, name, value] = saved.pop();
+        target[name] = value;
+      }
+    }
+  };
+};
+
+// Sign in as one of the users above by sending their id as the bearer token
+const signIn = (sandbox) => {
+  sandbox.stub(SessionService, 'verifyAccessToken', async (token) => ({ userId: token, sessionId: 'session' }));
+  sandbox.stub(User, 'findOne', async ({ _id }) => Object.values(users).find(user => user._id.toString() === _id) || null);
+};
+
+// Serve a router on a free port and call it with fetch
+const serve = async (router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(router);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    url: base,
+    request: (path, { as, method = 'GET', body } = {}) => fetch(`${base}${path}`, {
+      method,
+      headers: {
+        ...(as ? { Authorization: `Bearer ${as._id}` } : {}),
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = { id, users, stubs, signIn, serve, DISTRICT, OTHER_DISTRICT, TALUKA, OTHER_TALUKA };
@@ -0,0 +1,44 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../../models/User');
+const MailService = require('../../services/mailService');
+const router = require('../../routes/auth');
+const { stubs, serve } = require('../helpers');
+
+describe('POST /register', () => {
+  const sandbox = stubs();
+  let api;
+
+  before(async () => {
+    api = await serve(router);
+  });
+  after(() => api.close());
+  afterEach(() => {
+    sandbox.restore();
+    MailService.setTransport(null);
+  });
+
+  it('still reports the account as created when the verification email fails', async () => {
+    const saved = [];
+    sandbox.stub(User, 'findOne', async () => null);
+    sandbox.stub(User.prototype, 'save', async function() {
+      saved.push(this);
+      return this;
+    });
+    MailService.setTransport({
+      async send() {
+        throw new Error('SMTP relay unavailable');
+      }
+    });
+
+    const response = await api.request('/register', {
+      method: 'POST',
+      body: { name: 'Asha', email: 'asha@example.com', password: 'secret123' }
+    });
+    assert.equal(response.status, 201);
+    const body = await response.json();
+    assert.match(body.message, /verification email could not be sent/);
+    assert.equal(body.user.email, 'asha@example.com');
+    assert.equal(saved.length, 1);
+  });
+});
@@ -0,0 +1,155 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Event = require('../../models/Event');
+const EventRegistration = require('../../models/EventRegistration');
+const RegistrationService = require('../../services/registrationService');
+const router = require('../../routes/eventRegistrations');
+const { id, users, stubs, signIn, serve, DISTRICT, OTHER_DISTRICT, TALUKA } = require('../helpers');
+
+describe('GET /event/:eventId', () => {
+  const sandbox = stubs();
+  let api;
+  let queries;
+
+  before(async () => {
+    api = await serve(router);
+  });
+  after(() => api.close());
+  afterEach(() => sandbox.restore());
+
+  // One event in the block officer's district unless fields say otherwise
+  const withEvent = (fields = {}) => {
+    const event = { _id: id(), createdBy: id(), sharedWith: [], districtArea: users.officer.districtArea, district: 'Pune', ...fields };
+    queries = [];
+    signIn(sandbox);
+    sandbox.stub(Event, 'findById', async () => event);
+    sandbox.stub(EventRegistration, 'find', (query) => {
+      queries.push(query);
+      return { sort: async () => [] };
+    });
+    return event;
+  };
+
+  it('requires sign-in', async () => {
+    const event = withEvent();
+    const response = await api.request(`/event/${event._id}`);
+    assert.equal(response.status, 401);
+  });
+
+  it('lets an admin list every registration', async () => {
+    const event = withEvent({ districtArea: OTHER_DISTRICT });
+    const response = await api.request(`/event/${event._id}`, { as: users.admin });
+    assert.equal(response.status, 200);
+    assert.deepEqual(queries[0], { event: event._id.toString() });
+  });
+
+  it('lets an Official_member list every registration', async () => {
+    const event = withEvent({ districtArea: OTHER_DISTRICT });
+    const response = await api.request(`/event/${event._id}`, { as: users.official });
+    assert.equal(response.status, 200);
+    assert.deepEqual(queries[0], { event: event._id.toString() });
+  });
+
+  it('limits a block officer to their talukas in their district', async () => {
+    const event = withEvent();
+    const response = await api.request(`/event/${event._id}`, { as: users.officer });
+    assert.equal(response.status, 200);
+    assert.deepEqual(queries[0].$or[0].$and[1], { talukaArea: { $in: [TALUKA] } });
+  });
+
+  it('refuses a block officer an event in another district', async () => {
+    const event = withEvent({ districtArea: OTHER_DISTRICT });
+    const response = await api.request(`/event/${event._id}`, { as: users.officer });
+    assert.equal(response.status, 403);
+    assert.equal(queries.length, 0);
+  });
+
+  it('lets a block officer list an event in another district that was shared with them', async () => {
+    const event = withEvent({ districtArea: OTHER_DISTRICT, sharedWith: [users.officer._id] });
+    const response = await api.request(`/event/${event._id}`, { as: users.officer });
+    assert.equal(response.status, 200);
+    assert.deepEqual(queries[0], { event: event._id.toString() });
+  });
+
+  it('refuses a public user an event that is not theirs', async () => {
+    const event = withEvent();
+    const response = await api.request(`/event/${event._id}`, { as: users.public });
+    assert.equal(response.status, 403);
+  });
+
+  it('lets a public user list an event shared with them', async () => {
+    const event = withEvent({ sharedWith: [users.public._id] });
+    const response = await api.request(`/event/${event._id}`, { as: users.public });
+    assert.equal(response.status, 200);
+  });
+});
+
+describe('PUT /:registrationId/status', () => {
+  const sandbox = stubs();
+  let api;
+  let registrations;
+  let notified;
+
+  before(async () => {
+    api = await serve(router);
+  });
+  after(() => api.close());
+  afterEach(() => sandbox.restore());
+
+  // A full event in the officer's district, with the registrations kept in memory
+  const withRegistrations = (stored) => {
+    const event = { _id: id(), title: 'Rally', capacity: 1, seatsTaken: 1, createdBy: id(), sharedWith: [], districtArea: DISTRICT, district: 'Pune' };
+    registrations = stored.map(fields => ({ _id: id(), event: event._id, districtArea: DISTRICT, talukaArea: TALUKA, ...fields }));
+    notified = [];
+    const matches = (registration, query) => registration.status === query.status &&
+      (!query._id || (query._id.$ne ? String(registration._id) !== String(query._id.$ne) : String(registration._id) === String(query._id)));
+
+    signIn(sandbox);
+    sandbox.stub(Event, 'findById', async () => event);
+    sandbox.stub(Event, 'findOneAndUpdate', async () => {
+      if (event.seatsTaken >= event.capacity) return null;
+      event.seatsTaken += 1;
+      return event;
+    });
+    sandbox.stub(Event, 'updateOne', async () => {
+      event.seatsTaken -= 1;
+      return {};
+    });
+    sandbox.stub(EventRegistration, 'findById', async (registrationId) => registrations.find(r => String(r._id) === String(registrationId)));
+    sandbox.stub(EventRegistration, 'find', (query) => ({
+      sort: async () => registrations.filter(r => matches(r, query)).sort((a, b) => a.waitlistedAt - b.waitlistedAt)
+    }));
+    sandbox.stub(EventRegistration, 'findOneAndUpdate', async (query, update) => {
+      const found = registrations.find(r => matches(r, query));
+      if (!found) return null;
+      Object.assign(found, update.$set || update);
+      return { ...found };
+    });
+    sandbox.stub(RegistrationService, 'notifyRegistrant', async (registration, name) => {
+      notified.push([String(registration._id), name]);
+    });
+    return event;
+  };
+
+  it('keeps a registration an organiser moved to the waitlist there', async () => {
+    withRegistrations([{ status: 'approved', ticketIssuedAt: new Date() }]);
+    const [registration] = registrations;
+
+    const response = await api.request(`/${registration._id}/status`, { as: users.admin, method: 'PUT', body: { status: 'waitlisted' } });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).status, 'waitlisted');
+    assert.equal(registration.status, 'waitlisted');
+    assert.deepEqual(notified.map(([, name]) => name), ['registrationStatus']);
+  });
+
+  it('gives the freed seat to someone already waiting', async () => {
+    withRegistrations([{ status: 'approved', ticketIssuedAt: new Date() }, { status: 'waitlisted', waitlistedAt: new Date(0) }]);
+    const [moved, waiting] = registrations;
+
+    const response = await api.request(`/${moved._id}/status`, { as: users.admin, method: 'PUT', body: { status: 'waitlisted' } });
+    assert.equal(response.status, 200);
+    assert.equal(moved.status, 'waitlisted');
+    assert.equal(waiting.status, 'pending');
+    assert.deepEqual(notified, [[String(moved._id), 'registrationStatus'], [String(waiting._id), 'waitlistPromoted']]);
+  });
+});
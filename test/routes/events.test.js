@@ -0,0 +1,66 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Event = require('../../models/Event');
+const RegistrationService = require('../../services/registrationService');
+const UploadCheckService = require('../../services/uploadCheckService');
+const router = require('../../routes/events');
+const { id, users, stubs, signIn, serve } = require('../helpers');
+
+describe('PUT /:id', () => {
+  const sandbox = stubs();
+  let api;
+  let updates;
+
+  before(async () => {
+    api = await serve(router);
+  });
+  after(() => api.close());
+  afterEach(() => sandbox.restore());
+
+  const update = (body, fields = {}) => {
+    const event = { _id: id(), title: 'Rally', createdBy: users.admin._id, images: [], reports: [], videos: [], audio: [], seatsTaken: 5, ...fields };
+    updates = [];
+    signIn(sandbox);
+    sandbox.stub(UploadCheckService, 'check', async () => {});
+    sandbox.stub(Event, 'findById', async () => event);
+    sandbox.stub(Event, 'findByIdAndUpdate', (eventId, change) => {
+      updates.push(change);
+      return { populate: async () => ({ ...event, ...change.$set }) };
+    });
+    sandbox.stub(RegistrationService, 'countTakenSeats', async () => 7);
+    sandbox.stub(RegistrationService, 'promoteFromWaitlist', async () => []);
+    return api.request(`/${event._id}`, { as: users.admin, method: 'PUT', body });
+  };
+
+  it('rejects a capacity that is not a positive number', async () => {
+    const response = await update({ capacity: 'lots' });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).errors[0].path, 'capacity');
+    assert.equal(updates.length, 0);
+  });
+
+  it('refuses to cut the capacity below the seats already taken', async () => {
+    const response = await update({ capacity: 4 });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).message, /5 seats already taken/);
+    assert.equal(updates.length, 0);
+  });
+
+  it('counts the seats of events saved before the counter existed', async () => {
+    const response = await update({ capacity: 6 }, { seatsTaken: undefined });
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).message, /7 seats already taken/);
+  });
+
+  it('saves a capacity that still fits everyone seated', async () => {
+    const response = await update({ capacity: 5 });
+    assert.equal(response.status, 200);
+    assert.equal(updates[0].$set.capacity, 5);
+  });
+
+  it('clears the capacity when it is empty', async () => {
+    const response = await update({ capacity: '' });
+    assert.equal(response.status, 200);
+    assert.deepEqual(updates[0].$unset, { capacity: '' });
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const sharp = require('sharp');
+const Tip = require('../../models/Tip');
+const User = require('../../models/User');
+const AdminAreaService = require('../../services/adminAreaService');
+const ImageService = require('../../services/imageService');
+const NotificationService = require('../../services/notificationService');
+const TipService = require('../../services/tipService');
+const UploadCheckService = require('../../services/uploadCheckService');
+const router = require('../../routes/tips');
+const { id, users, stubs, signIn, serve, DISTRICT } = require('../helpers');
+
+describe('POST /', () => {
+  const sandbox = stubs();
+  let api;
+
+  before(async () => {
+    api = await serve(router);
+  });
+  after(() => api.close());
+  afterEach(() => sandbox.restore());
+
+  it('gives the reporter their case number when notifying officers fails', async () => {
+    let evidence = [];
+    sandbox.stub(UploadCheckService, 'check', async () => {});
+    sandbox.stub(AdminAreaService, 'resolve', async () => ({ district: { _id: DISTRICT, name: 'Pune' } }));
+    sandbox.stub(TipService, 'submit', async (data) => {
+      evidence = data.evidence;
+      return { tip: { _id: id(), caseNumber: 'TIP-1', category: data.category }, accessToken: 'secret' };
+    });
+    sandbox.stub(User, 'find', () => ({ select: async () => [{ _id: users.officer._id }] }));
+    sandbox.stub(NotificationService, 'createLocalizedNotification', async () => {
+      throw new Error('database unavailable');
+    });
+
+    const form = new FormData();
+    form.append('category', 'selling');
+    form.append('description', 'Sold near the bus stand every evening');
+    form.append('district', 'Pune');
+    const photo = await sharp({ create: { width: 8, height: 8, channels: 3, background: 'red' } }).png().toBuffer();
+    form.append('evidence', new Blob([photo], { type: 'image/png' }), 'photo.png');
+
+    const response = await fetch(`${api.url}/`, { method: 'POST', body: form });
+    try {
+      assert.equal(response.status, 201);
+      assert.deepEqual(await response.json(), {
+        message: 'Thank you. Keep the case number and access token to check the status of your report.',
+        caseNumber: 'TIP-1',
+        accessToken: 'secret'
+      });
+      assert.equal(evidence.length, 1);
+      assert.ok(fs.existsSync(evidence[0].path));
+    } finally {
+      evidence.forEach(file => fs.rmSync(file.path, { force: true }));
+    }
+  });
+});
+
+describe('GET /', () => {
+  const sandbox = stubs();
+  let api;
+  let calls;
+
+  before(async () => {
+    api = await serve(router);
+  });
+  after(() => api.close());
+  afterEach(() => sandbox.restore());
+
+  const listTips = (query, as = users.admin) => {
+    calls = { filter: null, skip: null, limit: null };
+    signIn(sandbox);
+    const chain = {
+      select: () => chain,
+      sort: () => chain,
+      skip: (skip) => {
+        calls.skip = skip;
+        return chain;
+      },
+      limit: (limit) => {
+        calls.limit = limit;
+        return chain;
+      },
+      populate: async () => []
+    };
+    sandbox.stub(Tip, 'find', (filter) => {
+      calls.filter = filter;
+      return chain;
+    });
+    sandbox.stub(Tip, 'countDocuments', async () => 0);
+    return api.request(`/${query}`, { as });
+  };
+
+  it('caps the page size', async () => {
+    const response = await listTips('?limit=100000&page=3');
+    assert.equal(response.status, 200);
+    assert.equal(calls.limit, 100);
+    assert.equal(calls.skip, 200);
+  });
+
+  it('rejects an assignedTo that is not a user id', async () => {
+    const response = await listTips('?assignedTo=nobody');
+    assert.equal(response.status, 400);
+    assert.equal(calls.filter, null);
+  });
+
+  it('accepts "me" for the signed-in officer', async () => {
+    const response = await listTips('?assignedTo=me', users.officer);
+    assert.equal(response.status, 200);
+    assert.equal(calls.filter.assignedTo, users.officer._id);
+  });
+
+  it('refuses public users', async () => {
+    const response = await listTips('', users.public);
+    assert.equal(response.status, 403);
+  });
+});
+
+describe('evidence photos', () => {
+  it('lose their EXIF data, GPS position included', async () => {
+    const photo = await sharp({ create: { width: 8, height: 8, channels: 3, background: 'red' } })
+      .jpeg()
+      .withExifMerge({ IFD0: { Make: 'PhoneCo', Model: 'X1' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '16/1 51/1 0/1' } })
+      .toBuffer();
+    assert.ok((await sharp(photo).metadata()).exif);
+
+    const stripped = await ImageService.stripMetadata(photo, 'image/jpeg');
+    assert.equal((await sharp(stripped).metadata()).exif, undefined);
+  });
+});
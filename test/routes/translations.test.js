@@ -0,0 +1,87 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Event = require('../../models/Event');
+const Initiative = require('../../models/Initiative');
+const LocaleService = require('../../services/localeService');
+const router = require('../../routes/translations');
+const { id, users, stubs, signIn, serve } = require('../helpers');
+
+describe('GET /missing', () => {
+  const sandbox = stubs();
+  let api;
+  let calls;
+
+  before(async () => {
+    api = await serve(router);
+  });
+  after(() => api.close());
+  afterEach(() => sandbox.restore());
+
+  // Each type reports `total` items missing something and returns `limit` of them
+  const stubModel = (Model, total) => {
+    sandbox.stub(Model, 'countDocuments', async () => total);
+    sandbox.stub(Model, 'find', (filter) => {
+      const call = { filter };
+      calls.push(call);
+      const chain = {
+        select: () => chain,
+        sort: () => chain,
+        skip: (skip) => {
+          call.skip = skip;
+          return chain;
+        },
+        limit: (limit) => {
+          call.limit = limit;
+          return chain;
+        },
+        lean: async () => Array.from({ length: Math.min(call.limit, total - call.skip) }, () => ({
+          _id: id(),
+          title: 'Untranslated',
+          sourceLocale: 'en'
+        }))
+      };
+      return chain;
+    });
+  };
+
+  const listMissing = (query) => {
+    calls = [];
+    signIn(sandbox);
+    stubModel(Event, 3);
+    stubModel(Initiative, 5);
+    return api.request(`/missing${query}`, { as: users.admin });
+  };
+
+  it('filters and pages in the query', async () => {
+    const response = await listMissing('?locale=mr&limit=2&page=2');
+    assert.equal(response.status, 200);
+    const body = await response.json();
+
+    assert.deepEqual(calls.map(({ skip, limit }) => ({ skip, limit })), [{ skip: 2, limit: 2 }, { skip: 0, limit: 1 }]);
+    assert.deepEqual(calls[0].filter, LocaleService.missingQuery(Event.TRANSLATABLE_FIELDS, 'mr'));
+    assert.deepEqual(body.items.map(item => item.type), ['event', 'initiative']);
+    assert.deepEqual(body.summary, { event: { mr: 3 }, initiative: { mr: 5 } });
+    assert.equal(body.totalPages, 4);
+  });
+
+  it('skips a type whose items are all on earlier pages', async () => {
+    const response = await listMissing('?limit=2&page=3');
+    assert.equal(response.status, 200);
+    assert.deepEqual(calls.map(({ skip, limit }) => ({ skip, limit })), [{ skip: 1, limit: 2 }]);
+  });
+
+  it('caps the page size', async () => {
+    await listMissing('?type=initiative&limit=100000');
+    assert.equal(calls[0].limit, 100);
+  });
+});
+
+describe('LocaleService.missingQuery', () => {
+  it('treats a missing sourceLocale as English', () => {
+    assert.deepEqual(LocaleService.missingQuery(['title'], 'en'), {
+      sourceLocale: { $nin: [null, 'en'] },
+      $or: [{ title: { $nin: [null, ''] }, 'translations.en.title': { $in: [null, ''] } }]
+    });
+    assert.deepEqual(LocaleService.missingQuery(['title'], 'mr').sourceLocale, { $ne: 'mr' });
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../../models/User');
+const router = require('../../routes/users');
+const { id, users, stubs, signIn, serve, DISTRICT, OTHER_DISTRICT } = require('../helpers');
+
+// Enough of MongoDB's matching for the filters PolicyService builds
+const matches = (doc, query) => Object.entries(query).every(([field, condition]) => {
+  if (field === '$or') return condition.some(part => matches(doc, part));
+  if (condition && typeof condition === 'object' && '$exists' in condition) {
+    return (doc[field] !== undefined) === condition.$exists;
+  }
+  return String(doc[field]) === String(condition);
+});
+
+describe('GET /', () => {
+  const sandbox = stubs();
+  let api;
+  let queries;
+
+  before(async () => {
+    api = await serve(router);
+  });
+  after(() => api.close());
+  afterEach(() => sandbox.restore());
+
+  const listUsers = (as, stored = []) => {
+    queries = [];
+    signIn(sandbox);
+    sandbox.stub(User, 'find', (query) => {
+      queries.push(query);
+      return { select: () => ({ sort: async () => stored.filter(doc => matches(doc, query)) }) };
+    });
+    return api.request('/', { as });
+  };
+
+  it('lists everyone for an admin', async () => {
+    const response = await listUsers(users.admin);
+    assert.equal(response.status, 200);
+    assert.deepEqual(queries[0], {});
+  });
+
+  it('lists the public users of their district for a block officer', async () => {
+    const stored = [
+      { _id: id(), name: 'Chosen from the list', role: 'public', districtArea: DISTRICT, district: 'Pune' },
+      { _id: id(), name: 'Signed up with a name', role: 'public', district: 'Pune' },
+      { _id: id(), name: 'Elsewhere', role: 'public', districtArea: OTHER_DISTRICT, district: 'Nashik' },
+      { _id: id(), name: 'Typed elsewhere', role: 'public', district: 'Nashik' },
+      { _id: id(), name: 'Colleague', role: 'block_officer', districtArea: DISTRICT, district: 'Pune' }
+    ];
+    const response = await listUsers(users.officer, stored);
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).map(user => user.name), ['Chosen from the list', 'Signed up with a name']);
+  });
+
+  it('refuses an Official_member', async () => {
+    const response = await listUsers(users.official);
+    assert.equal(response.status, 403);
+    assert.equal(queries.length, 0);
+  });
+
+  it('refuses a public user', async () => {
+    const response = await listUsers(users.public);
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,77 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const AdminArea = require('../../models/AdminArea');
+const Broadcast = require('../../models/Broadcast');
+const User = require('../../models/User');
+const BroadcastService = require('../../services/broadcastService');
+const NotificationService = require('../../services/notificationService');
+const NotificationPreferenceService = require('../../services/notificationPreferenceService');
+const { id, stubs, DISTRICT, OTHER_DISTRICT, TALUKA } = require('../helpers');
+
+describe('BroadcastService.send', () => {
+  const sandbox = stubs();
+  afterEach(() => sandbox.restore());
+
+  const send = async (audience) => {
+    const broadcast = new Broadcast({ title: 'Camp', message: 'Health camp on Sunday', audience, createdBy: id() });
+    let options = null;
+    sandbox.stub(Broadcast, 'findOneAndUpdate', async () => broadcast);
+    sandbox.stub(Broadcast, 'updateOne', async () => ({}));
+    sandbox.stub(NotificationService, 'countAudience', async () => 0);
+    sandbox.stub(NotificationService, 'sendToAudience', async (target, content, given) => {
+      options = given;
+      return 0;
+    });
+    sandbox.stub(AdminArea, 'find', () => ({
+      select: () => ({ lean: async () => [{ _id: TALUKA, district: OTHER_DISTRICT }] })
+    }));
+    await BroadcastService.send({ broadcast: broadcast._id }, { job: { attempts: 1, maxAttempts: 5 }, checkpoint: async () => {} });
+    return options;
+  };
+
+  it('passes on the districts it targets, including those of its talukas', async () => {
+    const options = await send({ districts: [DISTRICT], talukas: [TALUKA] });
+    assert.deepEqual(options.districtArea, [DISTRICT.toString(), OTHER_DISTRICT.toString()]);
+  });
+
+  it('passes no district for a statewide broadcast', async () => {
+    const options = await send({});
+    assert.deepEqual(options.districtArea, []);
+  });
+});
+
+describe('BroadcastService.present', () => {
+  it('reports delivered from the broadcast, counting users who get it in a digest', () => {
+    const broadcast = new Broadcast({ title: 'Camp', message: 'Health camp on Sunday', createdBy: id() });
+    broadcast.stats = { targeted: 10, delivered: 8 };
+    const stats = new Map([[broadcast._id.toString(), { read: 2 }]]);
+
+    assert.deepEqual(BroadcastService.present(broadcast, stats).stats, { targeted: 10, delivered: 8, read: 2, readRate: 0.25 });
+    assert.deepEqual(BroadcastService.present(broadcast).stats, { targeted: 10, delivered: 8, read: 0, readRate: 0 });
+  });
+});
+
+describe('NotificationService.sendToAudience', () => {
+  const sandbox = stubs();
+  afterEach(() => sandbox.restore());
+
+  it('counts users reached now or through a digest, but not those who opted out', async () => {
+    const people = [{ _id: id() }, { _id: id() }, { _id: id() }];
+    const plans = [{ channels: ['inApp'], live: true }, { channels: ['inApp'], digest: true }, { channels: [] }];
+    sandbox.stub(NotificationService, 'audienceQuery', async () => ({}));
+    sandbox.stub(User, 'find', () => {
+      const chain = { select: () => chain, sort: () => chain, lean: () => chain, cursor: () => people };
+      return chain;
+    });
+    sandbox.stub(NotificationPreferenceService, 'forUsers', async () => new Map());
+    sandbox.stub(NotificationPreferenceService, 'plan', () => plans.shift());
+    sandbox.stub(NotificationService, 'deliver', async () => []);
+
+    const batches = [];
+    const sent = await NotificationService.sendToAudience({}, () => ({ title: 'Camp', message: 'Sunday' }), {
+      onBatch: async (after, count) => batches.push(count)
+    });
+    assert.equal(sent, 2);
+    assert.deepEqual(batches, [2]);
+  });
+});
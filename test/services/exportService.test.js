@@ -0,0 +1,94 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const EventRegistration = require('../../models/EventRegistration');
+const ExportService = require('../../services/exportService');
+const RegistrationService = require('../../services/registrationService');
+const { stubs } = require('../helpers');
+
+// A cursor over many registrations that records whether it was closed
+const fakeCursor = (count = 100000) => {
+  const cursor = {
+    closed: false,
+    async close() {
+      cursor.closed = true;
+    },
+    async *[Symbol.asyncIterator]() {
+      for (let n = 0; n < count && !cursor.closed; n++) {
+        yield { name: `Person ${n}`, email: `person${n}@example.com`, status: 'approved' };
+      }
+    }
+  };
+  return cursor;
+};
+
+// A client that reads nothing and hangs up after a moment
+const stalledClient = () => {
+  const stream = new Writable({
+    highWaterMark: 1024,
+    write(chunk, encoding, callback) {
+      // Never calls back, so the buffer fills and drain never comes
+    }
+  });
+  setTimeout(() => stream.destroy(), 20);
+  return stream;
+};
+
+describe('ExportService.writeRegistrations', () => {
+  const sandbox = stubs();
+  afterEach(() => sandbox.restore());
+
+  const withCursor = (count) => {
+    const cursor = fakeCursor(count);
+    const query = { populate: () => query, sort: () => query, lean: () => query, cursor: () => cursor };
+    sandbox.stub(EventRegistration, 'find', () => query);
+    return cursor;
+  };
+
+  for (const format of ['csv', 'xlsx']) {
+    it(`writes every registration to a client that reads them (${format})`, async () => {
+      withCursor(3);
+      const chunks = [];
+      const client = new Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(chunk);
+          callback();
+        }
+      });
+      const finished = new Promise(resolve => client.on('finish', resolve));
+
+      await ExportService.writeRegistrations(client, {}, format);
+      await finished;
+      const output = Buffer.concat(chunks);
+      if (format === 'csv') {
+        assert.equal(output.toString().trim().split('\r\n').length, 4);
+      } else {
+        assert.equal(output.subarray(0, 2).toString(), 'PK');
+      }
+    });
+
+    it(`gives up and closes the cursor when the client disconnects (${format})`, async () => {
+      const cursor = withCursor();
+      await assert.rejects(
+        ExportService.writeRegistrations(stalledClient(), {}, format),
+        /closed before it finished/
+      );
+      assert.equal(cursor.closed, true);
+    });
+  }
+});
+
+describe('RegistrationService.buildFilter', () => {
+  it('includes the whole of a date-only "to" day', () => {
+    const filter = RegistrationService.buildFilter({ from: '2026-10-01', to: '2026-10-19' });
+    assert.deepEqual(filter.createdAt, {
+      $gte: new Date('2026-10-01T00:00:00.000Z'),
+      $lt: new Date('2026-10-20T00:00:00.000Z')
+    });
+  });
+
+  it('keeps an exact "to" time as given', () => {
+    const filter = RegistrationService.buildFilter({ to: '2026-10-19T12:30:00.000Z' });
+    assert.deepEqual(filter.createdAt, { $lte: new Date('2026-10-19T12:30:00.000Z') });
+  });
+});
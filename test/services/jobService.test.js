@@ -0,0 +1,49 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Job = require('../../models/Job');
+const JobService = require('../../services/jobService');
+const { id, stubs } = require('../helpers');
+
+describe('JobService.enqueue with a uniqueKey', () => {
+  const sandbox = stubs();
+  afterEach(() => sandbox.restore());
+
+  it('has a unique index on queued jobs by key', () => {
+    const index = Job.schema.indexes().find(([fields]) => fields.uniqueKey === 1);
+    assert.ok(index);
+    assert.equal(index[1].unique, true);
+    assert.deepEqual(index[1].partialFilterExpression.status, 'queued');
+  });
+
+  // Two servers enqueue at once; the unique index lets one insert and the other fail
+  it('returns the job another server inserted first', async () => {
+    const queued = [];
+    sandbox.stub(Job, 'findOneAndUpdate', async (query, update) => {
+      await new Promise(resolve => setImmediate(resolve));
+      const existing = queued.find(job => job.uniqueKey === query.uniqueKey);
+      if (existing) return existing;
+      if (queued.pending) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      queued.pending = true;
+      await new Promise(resolve => setImmediate(resolve));
+      const job = { _id: id(), uniqueKey: query.uniqueKey, ...update.$setOnInsert };
+      queued.push(job);
+      return job;
+    });
+
+    const [first, second] = await Promise.all([
+      JobService.enqueue('digests.send', {}, { uniqueKey: 'digests.send' }),
+      JobService.enqueue('digests.send', {}, { uniqueKey: 'digests.send' })
+    ]);
+    assert.equal(queued.length, 1);
+    assert.equal(first._id, second._id);
+  });
+
+  it('passes on other errors', async () => {
+    sandbox.stub(Job, 'findOneAndUpdate', async () => {
+      throw new Error('not primary');
+    });
+    await assert.rejects(JobService.enqueue('digests.send', {}, { uniqueKey: 'digests.send' }), /not primary/);
+  });
+});
@@ -0,0 +1,35 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const MailService = require('../../services/mailService');
+
+describe('MailService', () => {
+  const env = { ...process.env };
+  afterEach(() => {
+    process.env.NODE_ENV = env.NODE_ENV;
+    process.env.MAIL_TRANSPORT = env.MAIL_TRANSPORT;
+    if (env.NODE_ENV === undefined) delete process.env.NODE_ENV;
+    if (env.MAIL_TRANSPORT === undefined) delete process.env.MAIL_TRANSPORT;
+    MailService.setTransport(null);
+  });
+
+  it('refuses to fall back to the console transport in production', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.MAIL_TRANSPORT;
+    MailService.setTransport(null);
+    assert.throws(() => MailService.getTransport(), /MAIL_TRANSPORT must be set/);
+  });
+
+  it('uses the transport production names', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.MAIL_TRANSPORT = 'console';
+    MailService.setTransport(null);
+    assert.ok(MailService.getTransport().send);
+  });
+
+  it('prints to the log by default during development', () => {
+    delete process.env.NODE_ENV;
+    delete process.env.MAIL_TRANSPORT;
+    MailService.setTransport(null);
+    assert.ok(MailService.getTransport().send);
+  });
+});
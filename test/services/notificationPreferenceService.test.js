@@ -0,0 +1,22 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const NotificationPreferenceService = require('../../services/notificationPreferenceService');
+const { DISTRICT, OTHER_DISTRICT } = require('../helpers');
+
+describe('NotificationPreferenceService.plan', () => {
+  const preferences = { districts: [DISTRICT], digest: { frequency: 'off' } };
+  const plan = (districtArea) => NotificationPreferenceService.plan(preferences, { category: 'announcements', districtArea });
+
+  it('skips users who follow none of the districts', () => {
+    assert.deepEqual(plan([OTHER_DISTRICT]).channels, []);
+  });
+
+  it('reaches users who follow one of the districts', () => {
+    assert.deepEqual(plan([OTHER_DISTRICT, DISTRICT]).channels, ['inApp']);
+    assert.deepEqual(plan(DISTRICT).channels, ['inApp']);
+  });
+
+  it('reaches everyone when it is about no district', () => {
+    assert.deepEqual(plan([]).channels, ['inApp']);
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PolicyService = require('../../services/policyService');
+const { id, users, DISTRICT, OTHER_DISTRICT, TALUKA, OTHER_TALUKA } = require('../helpers');
+
+const { admin, official, officer } = users;
+const publicUser = users.public;
+
+const event = (fields = {}) => ({ _id: id(), createdBy: id(), sharedWith: [], districtArea: DISTRICT, district: 'Pune', ...fields });
+const registration = (fields = {}) => ({ _id: id(), sharedWith: [], districtArea: DISTRICT, district: 'Pune', talukaArea: TALUKA, ...fields });
+
+describe('PolicyService', () => {
+  describe('admin', () => {
+    it('manages every event and registration', () => {
+      const elsewhere = event({ districtArea: OTHER_DISTRICT });
+      assert.equal(PolicyService.canManageRegistrations(admin, elsewhere), true);
+      assert.equal(PolicyService.canManageRegistrations(admin, elsewhere, registration({ districtArea: OTHER_DISTRICT })), true);
+    });
+
+    it('edits events created by anyone', () => {
+      assert.equal(PolicyService.canEditEvent(admin, event()), true);
+    });
+
+    it('is not limited by any filter', () => {
+      assert.deepEqual(PolicyService.eventFilter(admin), {});
+      assert.deepEqual(PolicyService.registrationFilter(admin), {});
+      assert.deepEqual(PolicyService.tipFilter(admin), {});
+      assert.deepEqual(PolicyService.userFilter(admin), {});
+    });
+  });
+
+  describe('Official_member', () => {
+    it('works statewide on registrations and tips', () => {
+      const elsewhere = event({ districtArea: OTHER_DISTRICT });
+      assert.equal(PolicyService.canManageRegistrations(official, elsewhere), true);
+      assert.equal(PolicyService.canTriageTip(official, { location: { districtArea: OTHER_DISTRICT } }), true);
+      assert.deepEqual(PolicyService.eventFilter(official), {});
+      assert.deepEqual(PolicyService.registrationFilter(official), {});
+    });
+
+    it('edits only events they created', () => {
+      assert.equal(PolicyService.canEditEvent(official, event()), false);
+      assert.equal(PolicyService.canEditEvent(official, event({ createdBy: official._id })), true);
+    });
+
+    it('cannot manage users', () => {
+      assert.deepEqual(PolicyService.userFilter(official), { _id: null });
+    });
+  });
+
+  describe('block_officer', () => {
+    it('creates events only in their own district', () => {
+      assert.equal(PolicyService.canCreateEventIn(officer, { _id: DISTRICT, name: 'Pune' }), true);
+      assert.equal(PolicyService.canCreateEventIn(officer, { _id: OTHER_DISTRICT, name: 'Nashik' }), false);
+    });
+
+    it('manages registrations in their district and assigned talukas', () => {
+      assert.equal(PolicyService.canManageRegistrations(officer, event()), true);
+      assert.equal(PolicyService.canManageRegistrations(officer, event(), registration()), true);
+      assert.equal(PolicyService.canManageRegistrations(officer, event(), registration({ talukaArea: OTHER_TALUKA })), false);
+      assert.equal(PolicyService.canManageRegistrations(officer, event({ districtArea: OTHER_DISTRICT })), false);
+    });
+
+    it('falls back to the district name for records from before the area migration', () => {
+      const legacy = event({ districtArea: undefined, district: ' pune ' });
+      assert.equal(PolicyService.canManageRegistrations(officer, legacy), true);
+    });
+
+    it('manages events and registrations shared with them outside their district', () => {
+      const elsewhere = event({ districtArea: OTHER_DISTRICT, sharedWith: [officer._id] });
+      assert.equal(PolicyService.canManageRegistrations(officer, elsewhere), true);
+      assert.equal(
+        PolicyService.canManageRegistrations(officer, elsewhere, registration({ districtArea: OTHER_DISTRICT, talukaArea: OTHER_TALUKA })),
+        true
+      );
+
+      const sharedRegistration = registration({ districtArea: OTHER_DISTRICT, sharedWith: [officer._id] });
+      assert.equal(PolicyService.canManageRegistrations(officer, event({ districtArea: OTHER_DISTRICT }), sharedRegistration), true);
+    });
+
+    it('lists all registrations of a shared event and shared registrations elsewhere', () => {
+      const shared = event({ districtArea: OTHER_DISTRICT, sharedWith: [officer._id] });
+      assert.deepEqual(PolicyService.registrationFilter(officer, shared), {});
+
+      const filter = PolicyService.registrationFilter(officer, event());
+      assert.deepEqual(filter.$or[1], { sharedWith: officer._id });
+      assert.deepEqual(filter.$or[0].$and[1], { talukaArea: { $in: [TALUKA] } });
+    });
+
+    it('edits only their own events in their district', () => {
+      assert.equal(PolicyService.canEditEvent(officer, event()), false);
+      assert.equal(PolicyService.canEditEvent(officer, event({ createdBy: officer._id })), true);
+      assert.equal(PolicyService.canEditEvent(officer, event({ createdBy: officer._id, districtArea: OTHER_DISTRICT })), false);
+    });
+
+    it('triages tips in their district or assigned to them', () => {
+      assert.equal(PolicyService.canTriageTip(officer, { location: { districtArea: DISTRICT } }), true);
+      assert.equal(PolicyService.canTriageTip(officer, { location: { districtArea: OTHER_DISTRICT } }), false);
+      assert.equal(PolicyService.canTriageTip(officer, { assignedTo: officer._id, location: { districtArea: OTHER_DISTRICT } }), true);
+    });
+
+    it('manages only public users of their district', () => {
+      assert.deepEqual(PolicyService.userFilter(officer), {
+        role: 'public',
+        $or: [{ districtArea: DISTRICT }, { districtArea: { $exists: false }, district: 'Pune' }]
+      });
+    });
+  });
+
+  describe('public', () => {
+    it('manages only events created by or shared with them', () => {
+      assert.equal(PolicyService.canManageRegistrations(publicUser, event()), false);
+      assert.equal(PolicyService.canManageRegistrations(publicUser, event({ createdBy: publicUser._id })), true);
+      assert.equal(PolicyService.canManageRegistrations(publicUser, event({ sharedWith: [publicUser._id] })), true);
+      assert.equal(PolicyService.canManageRegistrations(publicUser, event(), registration({ sharedWith: [publicUser._id] })), true);
+    });
+
+    it('cannot create events or edit other people\'s', () => {
+      assert.equal(PolicyService.canCreateEventIn(publicUser, { _id: DISTRICT, name: 'Pune' }), false);
+      assert.equal(PolicyService.canEditEvent(publicUser, event()), false);
+    });
+
+    it('sees only events they created or were given', () => {
+      assert.deepEqual(PolicyService.eventFilter(publicUser), {
+        $or: [{ createdBy: publicUser._id }, { sharedWith: publicUser._id }]
+      });
+      assert.deepEqual(PolicyService.userFilter(publicUser), { _id: null });
+    });
+  });
+});
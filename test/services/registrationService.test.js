@@ -0,0 +1,115 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Event = require('../../models/Event');
+const EventRegistration = require('../../models/EventRegistration');
+const User = require('../../models/User');
+const RegistrationService = require('../../services/registrationService');
+const NotificationService = require('../../services/notificationService');
+const MailService = require('../../services/mailService');
+const { id, stubs } = require('../helpers');
+
+// An event whose seat counter lives in memory; each update applies in one step, like MongoDB's
+const seatCounter = (sandbox, event) => {
+  const stored = { ...event };
+  sandbox.stub(Event, 'findOneAndUpdate', async (filter, update) => {
+    await new Promise(resolve => setImmediate(resolve));
+    if (stored.capacity && stored.seatsTaken >= stored.capacity) return null;
+    stored.seatsTaken += update.$inc.seatsTaken;
+    return { ...stored };
+  });
+  sandbox.stub(Event, 'updateOne', async (filter, update) => {
+    if (update.$inc && stored.seatsTaken > 0) stored.seatsTaken += update.$inc.seatsTaken;
+    return { matchedCount: 1 };
+  });
+  return stored;
+};
+
+describe('RegistrationService', () => {
+  const sandbox = stubs();
+  afterEach(() => sandbox.restore());
+
+  it('does not overbook when people sign up for the last seats at the same time', async () => {
+    const event = { _id: id(), capacity: 2, seatsTaken: 0 };
+    const stored = seatCounter(sandbox, event);
+    sandbox.stub(EventRegistration.prototype, 'save', async function() {
+      return this;
+    });
+
+    const registrations = await Promise.all([1, 2, 3, 4].map(n => RegistrationService.register(event, {
+      event: event._id,
+      name: `Person ${n}`,
+      email: `person${n}@example.com`
+    })));
+
+    const statuses = registrations.map(registration => registration.status).sort();
+    assert.deepEqual(statuses, ['pending', 'pending', 'waitlisted', 'waitlisted']);
+    assert.equal(stored.seatsTaken, 2);
+  });
+
+  it('gives the seat back when the registration cannot be saved', async () => {
+    const event = { _id: id(), capacity: 2, seatsTaken: 1 };
+    const stored = seatCounter(sandbox, event);
+    sandbox.stub(EventRegistration.prototype, 'save', async () => {
+      throw new Error('write failed');
+    });
+
+    await assert.rejects(RegistrationService.register(event, { event: event._id }), /write failed/);
+    assert.equal(stored.seatsTaken, 1);
+  });
+
+  it('refuses to move a registration back into a full event', async () => {
+    const event = { _id: id(), capacity: 1, seatsTaken: 1 };
+    seatCounter(sandbox, event);
+    let updated = false;
+    sandbox.stub(EventRegistration, 'findOneAndUpdate', async () => {
+      updated = true;
+    });
+
+    const registration = { _id: id(), event: event._id, status: 'cancelled' };
+    await assert.rejects(
+      RegistrationService.changeStatus(event, registration, 'approved'),
+      error => error.name === 'SeatError' && error.status === 409
+    );
+    assert.equal(updated, false);
+  });
+
+  it('frees the seat when a registration is cancelled', async () => {
+    const event = { _id: id(), capacity: 1, seatsTaken: 1 };
+    const stored = seatCounter(sandbox, event);
+    sandbox.stub(EventRegistration, 'findOneAndUpdate', async (filter, update) => ({ ...filter, ...update.$set }));
+
+    const registration = { _id: id(), event: event._id, status: 'approved', ticketIssuedAt: new Date() };
+    const cancelled = await RegistrationService.changeStatus(event, registration, 'cancelled');
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(stored.seatsTaken, 0);
+  });
+
+  describe('notifyRegistrant', () => {
+    const registration = { _id: id(), name: 'Asha', email: 'asha@example.com', locale: 'en' };
+
+    const record = (user) => {
+      const sent = { mail: [], notifications: [] };
+      sandbox.stub(User, 'findOne', async () => user);
+      sandbox.stub(MailService, 'send', async (message) => sent.mail.push(message));
+      sandbox.stub(NotificationService, 'createLocalizedNotification', async (...args) => sent.notifications.push(args));
+      return sent;
+    };
+
+    it('leaves account holders to NotificationService and their preferences', async () => {
+      const user = { _id: id(), email: registration.email };
+      const sent = record(user);
+      await RegistrationService.notifyRegistrant(registration, 'registrationStatus', {}, 'info', '/events/1');
+      assert.equal(sent.mail.length, 0);
+      assert.equal(sent.notifications.length, 1);
+      assert.equal(sent.notifications[0][0], user._id);
+    });
+
+    it('emails registrants without an account', async () => {
+      const sent = record(null);
+      await RegistrationService.notifyRegistrant(registration, 'waitlistPromoted', { event: 'Walk' });
+      assert.equal(sent.notifications.length, 0);
+      assert.equal(sent.mail.length, 1);
+      assert.equal(sent.mail[0].to, registration.email);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Event = require('../../models/Event');
+const Initiative = require('../../models/Initiative');
+const SupportCentre = require('../../models/SupportCentre');
+const SearchService = require('../../services/searchService');
+const { stubs } = require('../helpers');
+
+describe('SearchService.search', () => {
+  const sandbox = stubs();
+  afterEach(() => sandbox.restore());
+
+  it('reads no deeper than the last page it serves', async () => {
+    const limits = [];
+    [Event, Initiative, SupportCentre].forEach(Model => {
+      sandbox.stub(Model, 'countDocuments', async () => 100000);
+      sandbox.stub(Model, 'find', () => {
+        const chain = {
+          select: () => chain,
+          sort: () => chain,
+          limit: (limit) => {
+            limits.push(limit);
+            return chain;
+          },
+          lean: async () => []
+        };
+        return chain;
+      });
+    });
+
+    const result = await SearchService.search('rally', { page: 100000, limit: 50 });
+    assert.deepEqual(limits, [SearchService.MAX_PAGE * 50, SearchService.MAX_PAGE * 50, SearchService.MAX_PAGE * 50]);
+    assert.equal(result.currentPage, SearchService.MAX_PAGE);
+    assert.equal(result.totalPages, SearchService.MAX_PAGE);
+  });
+});
@@ -0,0 +1,61 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const Session = require('../../models/Session');
+const SessionService = require('../../services/sessionService');
+const { id, stubs } = require('../helpers');
+
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// One session kept in memory; each update applies in one step, like MongoDB's
+const storedSession = (sandbox, secret) => {
+  const stored = {
+    _id: id(),
+    user: id(),
+    refreshTokenHash: hash(secret),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  };
+  sandbox.stub(Session, 'findOneAndUpdate', async (filter, update) => {
+    await new Promise(resolve => setImmediate(resolve));
+    if (filter.refreshTokenHash && filter.refreshTokenHash !== stored.refreshTokenHash) return null;
+    if (stored.revokedAt && filter.revokedAt) return null;
+    Object.assign(stored, update.$set || update);
+    return new Session(stored);
+  });
+  sandbox.stub(Session, 'findById', () => ({ select: async () => new Session(stored) }));
+  return stored;
+};
+
+describe('SessionService.refresh', () => {
+  const sandbox = stubs();
+  before(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+  });
+  afterEach(() => sandbox.restore());
+
+  it('lets exactly one of two simultaneous refreshes rotate the token without revoking the session', async () => {
+    const stored = storedSession(sandbox, 'first');
+    const token = `${stored._id}.first`;
+
+    const results = await Promise.allSettled([SessionService.refresh(token), SessionService.refresh(token)]);
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(stored.revokedAt, undefined);
+
+    // The winner's new token keeps working
+    const winner = results.find(result => result.status === 'fulfilled').value;
+    const next = await SessionService.refresh(winner.refreshToken);
+    assert.ok(next.refreshToken);
+    assert.equal(stored.revokedAt, undefined);
+  });
+
+  it('revokes the session when an old token is replayed later', async () => {
+    const stored = storedSession(sandbox, 'first');
+    await SessionService.refresh(`${stored._id}.first`);
+    stored.lastUsedAt = new Date(Date.now() - 60 * 1000);
+
+    await assert.rejects(SessionService.refresh(`${stored._id}.first`), /Invalid refresh token/);
+    assert.ok(stored.revokedAt);
+    assert.equal(stored.revokedReason, 'refresh_token_reuse');
+  });
+});
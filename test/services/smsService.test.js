@@ -0,0 +1,37 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SmsService = require('../../services/smsService');
+
+describe('SmsService', () => {
+  const env = { ...process.env };
+  afterEach(() => {
+    ['SMS_TRANSPORT', 'SMS_OUTPUT_DIR'].forEach(name => {
+      if (env[name] === undefined) delete process.env[name];
+      else process.env[name] = env[name];
+    });
+    SmsService.setTransport(null);
+  });
+
+  it('writes messages to the folder the file transport is given', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sms-'));
+    process.env.SMS_TRANSPORT = 'file';
+    process.env.SMS_OUTPUT_DIR = dir;
+    try {
+      const sent = await SmsService.send({ to: '+919800000000', text: 'Your ticket is ready' });
+      const saved = JSON.parse(await fs.promises.readFile(sent.path, 'utf8'));
+      assert.equal(path.dirname(sent.path), dir);
+      assert.equal(saved.to, '+919800000000');
+      assert.equal(saved.text, 'Your ticket is ready');
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects a transport it does not know', () => {
+    process.env.SMS_TRANSPORT = 'pigeon';
+    assert.throws(() => SmsService.getTransport(), /Unknown SMS transport: pigeon/);
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cloudinary = require('cloudinary').v2;
+const StorageService = require('../../services/storageService');
+const { stubs } = require('../helpers');
+
+describe('StorageService.saveFileAt on Cloudinary', () => {
+  const sandbox = stubs();
+  afterEach(() => {
+    sandbox.restore();
+    StorageService.setDriver('cloudinary', undefined);
+  });
+
+  // Upload through the real driver with Cloudinary answering like it does for raw files
+  const saveAt = async (key, mimetype) => {
+    let options = null;
+    sandbox.stub(cloudinary.uploader, 'upload_large', (filePath, given, callback) => {
+      options = given;
+      const publicId = given.public_id ? `${given.folder}/${given.public_id}` : `${given.folder}/generated123`;
+      callback(null, { resource_type: given.resource_type, public_id: publicId, secure_url: `https://res.example/${publicId}` });
+    });
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+    const filePath = path.join(dir, path.posix.basename(key));
+    await fs.promises.writeFile(filePath, 'data');
+    try {
+      const descriptor = await StorageService.saveFileAt(
+        { path: filePath, originalname: path.posix.basename(key), mimetype, size: 4 },
+        key,
+        { driver: 'cloudinary' }
+      );
+      return { options, descriptor };
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+  };
+
+  it('keeps the exact names of HLS playlists and segments', async () => {
+    for (const [name, mimetype] of [['master.m3u8', 'application/vnd.apple.mpegurl'], ['720p_000.ts', 'video/mp2t']]) {
+      const { options, descriptor } = await saveAt(`events/media/clip/hls/${name}`, mimetype);
+      assert.equal(options.resource_type, 'raw');
+      assert.equal(options.public_id, name);
+      assert.equal(descriptor.key, `raw/events/media/clip/hls/${name}`);
+    }
+  });
+
+  it('still uploads the web video as a video resource', async () => {
+    const { options } = await saveAt('events/media/clip/web.mp4', 'video/mp4');
+    assert.equal(options.resource_type, 'video');
+    assert.equal(options.public_id, undefined);
+  });
+});
@@ -0,0 +1,29 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const TicketService = require('../../services/ticketService');
+const { PUBLIC_API_URL } = require('../../config');
+const { id } = require('../helpers');
+
+describe('TicketService', () => {
+  before(() => {
+    process.env.TICKET_SECRET = process.env.TICKET_SECRET || 'test-secret';
+  });
+
+  it('links to the ticket on the public HTTPS address', () => {
+    const registration = { _id: id(), event: id() };
+    const url = TicketService.getTicketUrl(registration);
+    assert.ok(url.startsWith(`${PUBLIC_API_URL}/event-registrations/ticket/`));
+    assert.ok(url.startsWith('https://'));
+    assert.ok(url.endsWith('?format=pdf'));
+  });
+
+  it('reads back the registration from a signed code and rejects a forged one', () => {
+    const registration = { _id: id(), event: id() };
+    const code = TicketService.getTicketCode(registration);
+    assert.deepEqual(TicketService.parseTicketCode(code), {
+      registrationId: registration._id.toString(),
+      eventId: registration.event.toString()
+    });
+    assert.equal(TicketService.parseTicketCode(`${code.slice(0, -2)}xx`), null);
+  });
+});
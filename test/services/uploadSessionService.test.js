@@ -0,0 +1,97 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const UploadSession = require('../../models/UploadSession');
+const UploadSessionService = require('../../services/uploadSessionService');
+const UploadCheckService = require('../../services/uploadCheckService');
+const StorageService = require('../../services/storageService');
+const { id, stubs } = require('../helpers');
+
+// One upload session kept in memory; each update applies in one step, like MongoDB's
+const storedSession = (sandbox, fields) => {
+  const stored = { _id: id(), ...fields };
+  const matches = (filter) => filter.$or.some(branch => branch.status === stored.status &&
+    (branch.status === 'uploading' || stored.lockedUntil < new Date()));
+
+  sandbox.stub(UploadSession, 'findOneAndUpdate', async (filter, update) => {
+    await new Promise(resolve => setImmediate(resolve));
+    if (!matches(filter)) return null;
+    Object.assign(stored, update.$set);
+    return new UploadSession(stored);
+  });
+  sandbox.stub(UploadSession, 'findById', async () => new UploadSession(stored));
+  sandbox.stub(UploadSession, 'updateOne', async (filter, update) => {
+    if (filter.status === stored.status) Object.assign(stored, update.$set);
+  });
+  sandbox.stub(UploadSession.prototype, 'save', async function() {
+    Object.assign(stored, this.toObject());
+    return this;
+  });
+  return stored;
+};
+
+describe('UploadSessionService.finalize', () => {
+  const sandbox = stubs();
+  afterEach(() => sandbox.restore());
+
+  const upload = (sandbox) => storedSession(sandbox, {
+    owner: id(),
+    purpose: 'initiative',
+    filename: 'talk.mp4',
+    mimetype: 'video/mp4',
+    size: 10,
+    offset: 10,
+    status: 'uploading',
+    tempPath: `/tmp/upload-session-test-${process.pid}.part`,
+    expiresAt: new Date(Date.now() + 60 * 1000)
+  });
+
+  it('stores the file once when a retry arrives while the first finalize is still running', async () => {
+    const stored = upload(sandbox);
+    let saves = 0;
+    sandbox.stub(UploadCheckService, 'inspect', async () => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return {};
+    });
+    sandbox.stub(StorageService, 'saveFile', async () => {
+      saves++;
+      return { storage: 'local', key: 'initiatives/talk.mp4' };
+    });
+
+    const session = new UploadSession(stored);
+    const [first, retry] = await Promise.allSettled([
+      UploadSessionService.finalize(session),
+      UploadSessionService.finalize(session)
+    ]);
+
+    assert.equal(first.status, 'fulfilled');
+    assert.equal(first.value.status, 'complete');
+    assert.equal(retry.status, 'rejected');
+    assert.equal(retry.reason.status, 409);
+    assert.equal(retry.reason.uploadStatus, 'finalizing');
+    assert.equal(saves, 1);
+
+    // Once done, a retry gets the finished upload
+    const again = await UploadSessionService.finalize(session);
+    assert.equal(again.status, 'complete');
+    assert.equal(saves, 1);
+  });
+
+  it('goes back to uploading when storing fails, so an empty chunk can retry', async () => {
+    const stored = upload(sandbox);
+    sandbox.stub(UploadCheckService, 'inspect', async () => ({}));
+    sandbox.stub(StorageService, 'saveFile', async () => {
+      throw new Error('storage offline');
+    });
+
+    await assert.rejects(UploadSessionService.finalize(new UploadSession(stored)), /storage offline/);
+    assert.equal(stored.status, 'uploading');
+  });
+
+  it('reports an upload being finalized to a chunk sent meanwhile', async () => {
+    const session = new UploadSession({ _id: id(), status: 'finalizing', offset: 10, size: 10 });
+    await assert.rejects(
+      UploadSessionService.appendChunk(session, { offset: 10, chunk: Buffer.alloc(0) }),
+      error => error.uploadStatus === 'finalizing' && error.status === 409
+    );
+  });
+});